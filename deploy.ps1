@@ -4,9 +4,11 @@
 # ─────────────────────────────────────────────────────────────────────────────
 # ARCHITECTURE — READ THIS BEFORE USING RAW GIT PUSH
 # ─────────────────────────────────────────────────────────────────────────────
-# data/recipes.json is the live recipe database. It is written directly to
-# GitHub by the BROWSER via the GitHub Contents API (PUT /contents/...) every
-# time a recipe is added, updated, rated, or deleted.
+# data/recipes/ (one file per recipe + index.json) is the live recipe database.
+# It is written directly to GitHub by the BROWSER via the GitHub Contents API
+# (PUT/DELETE /contents/...) every time a recipe is added, updated, rated, or
+# deleted. data/recipes.json is the pre-migration single-file database, kept
+# as a backup.
 #
 # This means GitHub's main branch gets new commits from the browser at any
 # time — completely outside your local git history. If you run `git push`
@@ -14,7 +16,8 @@
 # `git push --force`, you WIPE all the live recipe data.
 #
 # THE FIX — this script does three things:
-#   1. Marks data/recipes.json with --skip-worktree so git never stages it.
+#   1. Marks data/recipes.json and data/recipes/* with --skip-worktree so git
+#      never stages them.
 #      Even after `git pull` restores it locally, git treats it as invisible.
 #   2. Runs `git pull --rebase` to incorporate any browser-written recipe
 #      commits from GitHub before pushing.
@@ -24,23 +27,22 @@
 #   - Press q or :q! to escape the editor, then `git rebase --abort`
 #   - Fallback: push files directly via GitHub Contents API (see README.md)
 #     then sync local: `git fetch origin; git reset --hard origin/main`
-#     then re-run: `git update-index --skip-worktree data/recipes.json`
+#     then re-run: `git update-index --skip-worktree data/recipes.json data/recipes/*`
 # ─────────────────────────────────────────────────────────────────────────────
 
 Set-Location $PSScriptRoot
 
-# Step 1: Ensure data/recipes.json is marked skip-worktree
-#         (git won't stage or push local changes to it)
-$tracked = git ls-files data/recipes.json
-if ($tracked) {
-    $flags = git ls-files -v data/recipes.json
-    if ($flags -notmatch '^S') {
-        Write-Host "Marking data/recipes.json as skip-worktree..."
-        git update-index --skip-worktree data/recipes.json
+# Step 1: Ensure the recipe data files are marked skip-worktree
+#         (git won't stage or push local changes to them)
+foreach ($line in (git ls-files -v data/recipes.json data/recipes)) {
+    if ($line -notmatch '^S') {
+        $file = $line.Substring(2)
+        Write-Host "Marking $file as skip-worktree..."
+        git update-index --skip-worktree $file
     }
 }
 
-# Step 2: Stage any pending code changes (data/recipes.json is safely skipped)
+# Step 2: Stage any pending code changes (recipe data is safely skipped)
 git add -A
 
 # Step 3: Pull remote changes (incorporates any API recipe commits) then push
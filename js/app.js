@@ -6,16 +6,26 @@
 // ── State ─────────────────────────────────────────────────────
 let currentFilter = 'all';
 let currentSearch = '';
+let searchPick    = -1;     // highlighted search suggestion
+let currentSort   = '';     // a RECIPE_SORTS key (browse.js)
+let currentFacets = emptyFacets();
+const cardCache   = new WeakMap();   // recipe → { key, cards: Map(section → card) }, so a re-render reuses unchanged cards
 let addModalTab   = 'url';
 let pendingRecipe = null;   // recipe being previewed before save
 
 // ── Init ──────────────────────────────────────────────────────
 document.addEventListener('DOMContentLoaded', async () => {
+  recipeDB.onConflict = resolveSyncConflicts;
+  recipeDB.onStorageError = msg => showToast(msg, 'error');
   await recipeDB.init();
   renderStats();
   renderCategoryBar();
   renderRecipes();
   bindEvents();
+  const pending = recipeDB.pendingCount();
+  if (pending) showToast(`${pending} change${pending !== 1 ? 's' : ''} waiting to sync to ${recipeDB.backendLabel}`, 'info');
+  const repaired = recipeDB.repairReport.recipes.length;
+  if (repaired) showToast(`🩺 Repaired ${repaired} recipe${repaired !== 1 ? 's' : ''} while loading — details in Settings`, 'info');
   // Background: fill in missing thumbnails for already-saved recipes
   backfillThumbnails();
 });
@@ -23,14 +33,23 @@ document.addEventListener('DOMContentLoaded', async () => {
 async function backfillThumbnails() {
   const recipes = recipeDB.getAll().filter(r => !r.thumbnail);
   if (!recipes.length) return;
-  let updated = false;
+  // Look them all up first: while a batch is open every change joins it, the user's too
+  const thumbs = new Map();
   for (const r of recipes) {
     const thumb = await fetchThumbnailFromMealDB(r.name);
-    if (thumb) {
-      await recipeDB.update(r.id, { thumbnail: thumb });
-      updated = true;
-    }
+    if (thumb) thumbs.set(r.id, thumb);
   }
+  // Then one batch → one commit for all of them, not one per recipe
+  const { result: updated } = await recipeDB.batch(() => {
+    let n = 0;
+    for (const [id, thumbnail] of thumbs) {
+      // Edited or deleted while we were looking
+      if (!recipeDB.getById(id) || recipeDB.getById(id).thumbnail) continue;
+      recipeDB.update(id, { thumbnail });
+      n++;
+    }
+    return n;
+  }, 'Add missing thumbnails');
   if (updated) renderRecipes();
 }
 
@@ -40,77 +59,103 @@ function renderStats() {
   document.getElementById('stat-total').textContent   = s.total;
   document.getElementById('stat-cats').textContent    = s.categories;
   document.getElementById('stat-notes').textContent   = s.withNotes;
+  renderTrashCount();
+  renderShoppingCount();
+  renderPlanner();
+  renderIntake();
 }
 
 function renderCategoryBar() {
-  const s      = recipeDB.stats();
-  const counts = s.catCounts;
+  // Counts are of what the search and facets let through, so they follow along
+  const recipes = browseRecipes();
+  const counts  = {};
+  recipes.forEach(r => recipeCategories(r).forEach(c => { counts[c] = (counts[c] || 0) + 1; }));
   const inner  = document.getElementById('cat-bar-inner');
 
-  // Build pills — only show categories that have recipes + "All"
+  // Build pills — only show categories that have recipes (or are picked) + "All"
   const all = document.createElement('button');
   all.className = `cat-pill${currentFilter === 'all' ? ' active' : ''}`;
   all.dataset.cat = 'all';
-  all.innerHTML = `✨ All<span class="cat-count">${s.total}</span>`;
+  all.innerHTML = `✨ All<span class="cat-count">${recipes.length}</span>`;
   inner.innerHTML = '';
   inner.appendChild(all);
 
-  for (const [key, info] of Object.entries(CATEGORIES)) {
+  for (const [key, info] of Object.entries(recipeDB.categories)) {
     const count = counts[key] || 0;
-    if (count === 0) continue;
+    if (count === 0 && currentFilter !== key) continue;
     const btn = document.createElement('button');
     btn.className = `cat-pill${currentFilter === key ? ' active' : ''}`;
     btn.dataset.cat = key;
-    btn.innerHTML = `<span class="cat-emoji">${info.emoji}</span>${info.label}<span class="cat-count">${count}</span>`;
+    btn.innerHTML = `<span class="cat-emoji">${info.emoji}</span>${escHtml(info.label)}<span class="cat-count">${count}</span>`;
     inner.appendChild(btn);
   }
+
+  const manage = document.createElement('button');
+  manage.className = 'cat-pill cat-pill-manage';
+  manage.dataset.manage = '';
+  manage.title = 'Add, rename, reorder or delete categories';
+  manage.innerHTML = '✏️ Categories';
+  inner.appendChild(manage);
+}
+
+/** What the search box and facets let through, in the chosen order — before the category pill */
+function browseRecipes() {
+  const found = currentSearch ? recipeDB.search(currentSearch) : recipeDB.getAll();
+  return sortRecipes(found.filter(r => facetMatches(r, currentFacets)), currentSort);
 }
 
 function renderRecipes() {
   const container = document.getElementById('recipes-container');
-  let recipes = currentSearch
-    ? recipeDB.search(currentSearch)
-    : recipeDB.getAll();
+  let recipes = browseRecipes();
 
   if (currentFilter !== 'all') {
-    recipes = recipes.filter(r => r.category === currentFilter);
+    recipes = recipes.filter(r => recipeCategories(r).includes(currentFilter));
   }
 
   container.innerHTML = '';
+  renderFacets(recipes);
 
   if (recipes.length === 0) {
+    const faceted = facetCount(currentFacets) > 0;
+    const empty = !currentSearch && !faceted;
     container.innerHTML = `
       <div class="empty-state">
-        <div class="empty-icon">${currentSearch ? '🔍' : '🍽️'}</div>
-        <h3>${currentSearch ? 'No recipes found' : 'No recipes yet'}</h3>
-        <p>${currentSearch ? `No recipes match "${escHtml(currentSearch)}"` : 'Add your first recipe using the + button below!'}</p>
-        ${!currentSearch ? `<button class="btn btn-primary" onclick="openAddModal()">➕ Add Recipe</button>` : ''}
+        <div class="empty-icon">${empty ? '🍽️' : '🔍'}</div>
+        <h3>${empty ? 'No recipes yet' : 'No recipes found'}</h3>
+        <p>${currentSearch ? `No recipes match "${escHtml(currentSearch)}"${faceted ? ' with these filters' : ''}`
+          : faceted ? 'No recipes match these filters' : 'Add your first recipe using the + button below!'}</p>
+        ${faceted ? `<button class="btn btn-outline" onclick="clearFacets()">Clear filters</button>`
+          : empty ? `<button class="btn btn-primary" onclick="openAddModal()">➕ Add Recipe</button>` : ''}
       </div>`;
     return;
   }
 
   if (currentFilter !== 'all') {
     // Single-category view
-    const cat = CATEGORIES[currentFilter];
+    const cat = categoryInfo(currentFilter);
     const section = buildCategorySection(currentFilter, cat, recipes);
     container.appendChild(section);
+  } else if (searchTerms(currentSearch).length) {
+    // Searching for words: one list, best match first unless sorted otherwise
+    container.appendChild(buildCategorySection('results', { label: currentSort ? 'Matches' : 'Best Matches', emoji: '🔍', color: '#FF6B35' }, recipes));
   } else {
-    // Group by category
+    // Group by category — a recipe in several shows up in each
+    const cats = recipeDB.categories;
     const grouped = {};
-    recipes.forEach(r => {
-      if (!grouped[r.category]) grouped[r.category] = [];
-      grouped[r.category].push(r);
-    });
+    recipes.forEach(r => recipeCategories(r).forEach(c => {
+      if (!grouped[c]) grouped[c] = [];
+      grouped[c].push(r);
+    }));
     // Preserve category order
-    for (const key of Object.keys(CATEGORIES)) {
+    for (const key of Object.keys(cats)) {
       if (!grouped[key] || grouped[key].length === 0) continue;
-      const section = buildCategorySection(key, CATEGORIES[key], grouped[key]);
+      const section = buildCategorySection(key, cats[key], grouped[key]);
       container.appendChild(section);
     }
     // Unknown categories
     for (const [key, list] of Object.entries(grouped)) {
-      if (CATEGORIES[key]) continue;
-      const section = buildCategorySection(key, { label: key, emoji: '🍽️', color: '#888' }, list);
+      if (cats[key]) continue;
+      const section = buildCategorySection(key, categoryInfo(key), list);
       container.appendChild(section);
     }
   }
@@ -126,7 +171,7 @@ function buildCategorySection(key, info, recipes) {
     <div class="section-header">
       <div class="section-emoji">${info.emoji}</div>
       <div class="section-title-group">
-        <h2>${info.label}</h2>
+        <h2>${escHtml(info.label)}</h2>
         <div class="section-count">${recipes.length} recipe${recipes.length !== 1 ? 's' : ''}</div>
       </div>
       <div class="section-accent"></div>
@@ -134,12 +179,32 @@ function buildCategorySection(key, info, recipes) {
     <div class="recipe-grid" id="grid-${key}"></div>`;
 
   const grid = section.querySelector(`#grid-${key}`);
-  recipes.forEach(recipe => grid.appendChild(buildRecipeCard(recipe)));
+  const onList = recipeDB.shoppingList.recipes;
+  const marked = searchTerms(currentSearch).join('\n');
+  const cats   = recipeDB.categories;   // the same object until a category is edited
+  recipes.forEach(recipe => grid.appendChild(recipeCard(recipe, key, `${marked}|${recipe.id in onList}`, cats)));
   return section;
 }
 
+/**
+ * The card for a recipe in one section, built once and reused while it looks the
+ * same. Saves and syncs replace a recipe's object rather than editing it, so a
+ * changed recipe is a cache miss; `key` covers what else a card shows (search
+ * highlights, 🛒 state) and `cats` the category colors and names.
+ */
+function recipeCard(recipe, section, key, cats) {
+  let cached = cardCache.get(recipe);
+  if (!cached || cached.key !== key || cached.cats !== cats) {
+    cached = { key, cats, cards: new Map() };
+    cardCache.set(recipe, cached);
+  }
+  // A recipe in two categories needs a card for each section
+  if (!cached.cards.has(section)) cached.cards.set(section, buildRecipeCard(recipe));
+  return cached.cards.get(section);
+}
+
 function buildRecipeCard(recipe) {
-  const cat  = CATEGORIES[recipe.category] || { label: recipe.category, emoji: '🍽️', color: '#888' };
+  const cat  = categoryInfo(recipe.category);
   const card = document.createElement('article');
   card.className = 'recipe-card';
   card.style.setProperty('--card-color-bg', hexToRgba(cat.color, 0.12));
@@ -148,9 +213,12 @@ function buildRecipeCard(recipe) {
   card.setAttribute('role', 'button');
   card.setAttribute('tabindex', '0');
   card.setAttribute('aria-label', `View ${recipe.name}`);
+  card.draggable = true;
 
   const hasNotes = recipe.notes && recipe.notes.trim();
-  const timeStr  = recipe.totalTime || recipe.cookTime || '';
+  const onList   = recipe.id in recipeDB.shoppingList.recipes;
+  const ready    = recipeTotalTime(recipe);
+  const cal      = nutritionOf(recipe).calories;
   const thumb    = recipe.thumbnail || '';
 
   const cardTopHtml = thumb
@@ -170,14 +238,19 @@ function buildRecipeCard(recipe) {
 
   card.innerHTML = `
     ${cardTopHtml}
+    <button class="card-shop-btn${onList ? ' active' : ''}" title="${onList ? 'Remove from' : 'Add to'} shopping list" aria-label="${onList ? 'Remove from' : 'Add to'} shopping list">🛒</button>
     <div class="card-body">
       <div class="card-name">${highlightText(recipe.name, currentSearch)}</div>
       <div class="card-meta">
-        <span class="card-cat-badge">${cat.emoji} ${cat.label}</span>
+        ${recipeCategories(recipe).map((c, i) => {
+          const info = categoryInfo(c);
+          const style = i ? ` style="--badge-bg: ${hexToRgba(info.color, 0.12)}; --badge-color: ${info.color}"` : '';
+          return `<span class="card-cat-badge"${style}>${info.emoji} ${escHtml(info.label)}</span>`;
+        }).join('')}
       </div>
       <div class="card-info-row">
-        <span class="cal-badge"><span class="flame">🔥</span> ${recipe.calories} cal</span>
-        ${timeStr ? `<span class="time-badge">⏱ ${timeStr}</span>` : ''}
+        ${cal ? `<span class="cal-badge"${cal.estimated ? ' title="Estimated from the ingredients"' : ''}><span class="flame">🔥</span> ${cal.estimated ? '~' : ''}${cal.value} cal</span>` : ''}
+        ${ready ? `<span class="time-badge">⏱ Ready in ${escHtml(ready)}</span>` : ''}
       </div>
       ${recipe.tags && recipe.tags.length ? `
       <div class="tags-row">
@@ -186,28 +259,85 @@ function buildRecipeCard(recipe) {
       ${buildCardRatings(recipe.ratings)}
     </div>`;
 
-  const goToRecipe = () => {
-    window.location.href = `recipe.html?id=${encodeURIComponent(recipe.id)}`;
-  };
+  const goToRecipe = () => openRecipe(recipe.id);
   card.addEventListener('click', goToRecipe);
   card.addEventListener('keydown', e => { if (e.key === 'Enter' || e.key === ' ') goToRecipe(); });
+  card.addEventListener('dragstart', e => startPlanDrag(e, { recipe: recipe.id }));
+
+  const shopBtn = card.querySelector('.card-shop-btn');
+  shopBtn.addEventListener('click', e => { e.stopPropagation(); toggleShoppingRecipe(recipe.id); });
+  shopBtn.addEventListener('keydown', e => e.stopPropagation());
   return card;
 }
 
+function openRecipe(id) {
+  // Let changes still waiting on the sync debounce go out first
+  recipeDB.flush().catch(() => {}).then(() => {
+    window.location.href = `recipe.html?id=${encodeURIComponent(id)}`;
+  });
+}
+
 // ── Event Bindings ────────────────────────────────────────────
 function bindEvents() {
   // Search
   const searchInput = document.getElementById('search-input');
-  searchInput.addEventListener('input', debounce(e => {
-    currentSearch = e.target.value.trim();
+  const runSearch = debounce(() => {
+    currentSearch = searchInput.value.trim();
     renderCategoryBar();
     renderRecipes();
-  }, 250));
+  }, 150);
+  searchInput.addEventListener('input', () => {
+    searchPick = -1;
+    renderSearchSuggest();
+    runSearch();
+  });
+  searchInput.addEventListener('focus', renderSearchSuggest);
+  searchInput.addEventListener('click', renderSearchSuggest);
+  searchInput.addEventListener('blur', () => hideSearchSuggest());
+  searchInput.addEventListener('keydown', e => {
+    const options = document.querySelectorAll('#search-suggest [data-text]');
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (!options.length) return;
+      e.preventDefault();
+      searchPick = (searchPick + (e.key === 'ArrowDown' ? 1 : options.length) + 1) % (options.length + 1) - 1;
+      renderSearchSuggest();
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && searchPick >= 0 && options[searchPick]) {
+      e.preventDefault();
+      acceptSearchSuggestion(options[searchPick].dataset.text, runSearch);
+    } else if (e.key === 'Escape') {
+      hideSearchSuggest();
+    }
+  });
+  const suggest = document.getElementById('search-suggest');
+  suggest.addEventListener('mousedown', e => e.preventDefault());   // keep focus in the box
+  suggest.addEventListener('click', e => {
+    const option = e.target.closest('[data-text]');
+    if (option) acceptSearchSuggestion(option.dataset.text, runSearch);
+  });
+
+  // Sort and facets
+  const sortSelect = document.getElementById('sort-select');
+  sortSelect.innerHTML = Object.entries(RECIPE_SORTS).map(([key, def]) =>
+    `<option value="${key}">${escHtml(def.label)}</option>`).join('');
+  sortSelect.addEventListener('change', () => {
+    currentSort = sortSelect.value;
+    renderRecipes();
+  });
+  document.getElementById('btn-facets').addEventListener('click', () => toggleFacets());
+  document.getElementById('facet-tags').addEventListener('click', e => {
+    const chip = e.target.closest('[data-tag]');
+    if (chip) toggleFacetTag(chip.dataset.tag);
+  });
+  const readRanges = debounce(readFacetInputs, 300);
+  document.querySelectorAll('.facet-range input').forEach(el => el.addEventListener('input', readRanges));
+  document.querySelectorAll('.facet-check input').forEach(el => el.addEventListener('change', readFacetInputs));
+  document.getElementById('btn-facets-clear').addEventListener('click', clearFacets);
 
   // Category filter
   document.getElementById('cat-bar-inner').addEventListener('click', e => {
     const pill = e.target.closest('.cat-pill');
     if (!pill) return;
+    if ('manage' in pill.dataset) { openCategories(); return; }
     currentFilter = pill.dataset.cat;
     document.querySelectorAll('.cat-pill').forEach(p => p.classList.remove('active'));
     pill.classList.add('active');
@@ -221,9 +351,169 @@ function bindEvents() {
   // Settings
   document.getElementById('btn-settings').addEventListener('click', openSettings);
 
+  // Trash
+  document.getElementById('btn-trash').addEventListener('click', openTrash);
+  document.getElementById('btn-empty-trash').addEventListener('click', emptyTrash);
+  document.getElementById('trash-list').addEventListener('click', e => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    if (btn.dataset.action === 'restore') restoreFromTrash(btn.dataset.id);
+    else if (btn.dataset.action === 'purge') purgeFromTrash(btn.dataset.id);
+  });
+
+  // Categories
+  const categoryList = document.getElementById('category-list');
+  categoryList.addEventListener('change', e => {
+    const row = e.target.closest('[data-key]');
+    if (row && e.target.dataset.field) editCategory(row.dataset.key, e.target.dataset.field, e.target.value);
+  });
+  categoryList.addEventListener('click', e => {
+    const row = e.target.closest('[data-key]');
+    const btn = e.target.closest('[data-action]');
+    if (!row || !btn) return;
+    const key = row.dataset.key;
+    switch (btn.dataset.action) {
+      case 'up':     saveCategories(recipeDB.moveCategory(key, -1)); break;
+      case 'down':   saveCategories(recipeDB.moveCategory(key, 1)); break;
+      case 'delete': confirmRemoveCategory(key); break;
+      case 'remove': removeCategory(key, row.querySelector('[data-move-to]').value); break;
+      case 'cancel': deletingCategory = null; renderCategories(); break;
+    }
+  });
+  document.getElementById('btn-add-category').addEventListener('click', addCategory);
+  document.getElementById('new-category-label').addEventListener('keydown', e => {
+    if (e.key === 'Enter') addCategory();
+  });
+  document.getElementById('man-category').addEventListener('change', e => {
+    const picks = document.getElementById('man-categories');
+    renderManualCategories(e.target.value, pickedCategories(e.target.value, picks));
+    renderCategorySuggestions();
+  });
+  document.getElementById('man-category-suggest').addEventListener('click', e => {
+    const btn = e.target.closest('[data-cat]');
+    if (!btn) return;
+    renderManualCategories(btn.dataset.cat, pickedCategories(btn.dataset.cat, document.getElementById('man-categories')));
+    renderCategorySuggestions();
+  });
+  // Suggestions follow what's typed
+  ['man-name', 'man-tags', 'man-ingredients'].forEach(id =>
+    document.getElementById(id).addEventListener('input', renderCategorySuggestions));
+
+  // Shopping list
+  document.getElementById('btn-shopping').addEventListener('click', openShopping);
+  document.getElementById('shopping-recipes').addEventListener('click', e => {
+    const row = e.target.closest('[data-id]');
+    const btn = e.target.closest('[data-shop-step], [data-shop-remove]');
+    if (!row || !btn) return;
+    const current = recipeDB.shoppingList.recipes[row.dataset.id] || 1;
+    setShoppingMultiplier(row.dataset.id, 'shopRemove' in btn.dataset ? 0 : Math.max(0.5, current + Number(btn.dataset.shopStep)));
+  });
+  document.getElementById('shopping-list').addEventListener('change', e => {
+    if (e.target.dataset.key) checkShoppingItem(e.target.dataset.key, e.target.checked);
+  });
+  document.getElementById('btn-shopping-uncheck').addEventListener('click', () => clearShopping(false));
+  document.getElementById('btn-shopping-clear').addEventListener('click', () => clearShopping(true));
+  document.getElementById('btn-shopping-copy').addEventListener('click', copyShoppingList);
+  document.getElementById('btn-shopping-download').addEventListener('click', downloadShoppingList);
+
+  // Meal planner
+  document.getElementById('btn-planner').addEventListener('click', () => togglePlanner());
+  document.getElementById('btn-planner-close').addEventListener('click', () => togglePlanner(false));
+  document.getElementById('btn-planner-prev').addEventListener('click', () => showPlannerWeek(addDays(plannerWeek, -7)));
+  document.getElementById('btn-planner-next').addEventListener('click', () => showPlannerWeek(addDays(plannerWeek, 7)));
+  document.getElementById('btn-planner-today').addEventListener('click', () => showPlannerWeek(weekStart()));
+  document.getElementById('btn-planner-repeat').addEventListener('click', repeatLastWeek);
+  const planner = document.getElementById('planner');
+  planner.addEventListener('dragstart', e => {
+    const chip = e.target.closest('[data-placeholder], .planner-slot .plan-chip');
+    if (!chip) return;
+    const cell = chip.closest('.planner-slot');
+    const entry = cell ? recipeDB.mealPlan[cell.dataset.day]?.[cell.dataset.slot] : { placeholder: chip.dataset.placeholder };
+    startPlanDrag(e, entry, cell && { day: cell.dataset.day, slot: cell.dataset.slot });
+  });
+  planner.addEventListener('dragover', e => {
+    const cell = e.target.closest('.planner-slot');
+    if (!cell || !e.dataTransfer.types.includes(PLAN_DRAG_TYPE)) return;
+    e.preventDefault();
+    cell.classList.add('drag-over');
+  });
+  planner.addEventListener('dragleave', e => {
+    const cell = e.target.closest('.planner-slot');
+    if (cell && !cell.contains(e.relatedTarget)) cell.classList.remove('drag-over');
+  });
+  planner.addEventListener('drop', e => {
+    const cell = e.target.closest('.planner-slot');
+    if (!cell) return;
+    e.preventDefault();
+    cell.classList.remove('drag-over');
+    let drag = null;
+    try { drag = JSON.parse(e.dataTransfer.getData(PLAN_DRAG_TYPE)); } catch (_) {}
+    if (drag?.entry) dropOnPlan(cell.dataset.day, cell.dataset.slot, drag.entry, drag.from);
+  });
+  document.getElementById('planner-grid').addEventListener('click', e => {
+    const cell = e.target.closest('.planner-slot');
+    if (!cell) return;
+    if (e.target.closest('[data-plan-remove]')) {
+      savePlan(recipeDB.setMealSlot(cell.dataset.day, cell.dataset.slot, null));
+    } else if (e.target.closest('[data-plan-eaten]')) {
+      const person = e.target.closest('[data-plan-eaten]').dataset.planEaten;
+      const entry  = recipeDB.mealPlan[cell.dataset.day]?.[cell.dataset.slot];
+      savePlan(recipeDB.logMeal(cell.dataset.day, cell.dataset.slot, person, !eatenBy(entry, person)));
+    } else if (e.target.closest('.plan-recipe')) {
+      e.preventDefault();
+      openRecipe(e.target.closest('.plan-recipe').dataset.id);
+    }
+  });
+  document.getElementById('planner-grid').addEventListener('change', e => {
+    const cell = e.target.closest('.planner-slot');
+    const [kind, value] = e.target.value.split(/:(.*)/);
+    if (cell && value) savePlan(recipeDB.setMealSlot(cell.dataset.day, cell.dataset.slot, { [kind]: value }));
+  });
+
+  // Nutrition dashboard
+  document.getElementById('btn-planner-intake').addEventListener('click', openIntake);
+  document.getElementById('intake-people').addEventListener('click', e => {
+    const tab = e.target.closest('[data-person]');
+    if (!tab) return;
+    intakePerson = tab.dataset.person;
+    renderIntakeTargets();
+    renderIntake();
+  });
+  document.querySelector('.intake-span').addEventListener('click', e => {
+    const btn = e.target.closest('[data-span]');
+    if (!btn) return;
+    intakeSpan = btn.dataset.span;
+    renderIntake();
+  });
+  document.getElementById('btn-intake-prev').addEventListener('click', () => showIntakeDay(addDays(intakeDay, intakeSpan === 'week' ? -7 : -1)));
+  document.getElementById('btn-intake-next').addEventListener('click', () => showIntakeDay(addDays(intakeDay, intakeSpan === 'week' ? 7 : 1)));
+  document.getElementById('intake-meals').addEventListener('change', e => {
+    const { day, slot } = e.target.dataset;
+    if (day && slot) savePlan(recipeDB.logMeal(day, slot, intakePerson, e.target.checked));
+  });
+  document.getElementById('intake-meals').addEventListener('click', e => {
+    const row = e.target.closest('[data-show-day]');
+    if (!row) return;
+    intakeSpan = 'day';
+    showIntakeDay(row.dataset.showDay);
+  });
+  document.getElementById('intake-suggest').addEventListener('click', e => {
+    const btn = e.target.closest('[data-plan-slot]');
+    if (btn) savePlan(recipeDB.setMealSlot(intakeDay, btn.dataset.planSlot, { recipe: btn.dataset.id }));
+  });
+  document.getElementById('intake-targets').addEventListener('change', e => {
+    const key = e.target.dataset.nutrient;
+    if (key) saveTargets(recipeDB.setNutritionTarget(intakePerson, key, e.target.value === '' ? null : Number(e.target.value)));
+  });
+
   // Modal close buttons
   document.getElementById('add-modal-close').addEventListener('click', closeAddModal);
   document.getElementById('settings-modal-close').addEventListener('click', closeSettings);
+  document.getElementById('trash-modal-close').addEventListener('click', closeTrash);
+  document.getElementById('export-modal-close').addEventListener('click', closeExport);
+  document.getElementById('shopping-modal-close').addEventListener('click', closeShopping);
+  document.getElementById('intake-modal-close').addEventListener('click', closeIntake);
+  document.getElementById('categories-modal-close').addEventListener('click', closeCategories);
 
   // Close modals on overlay click
   document.getElementById('add-modal-overlay').addEventListener('click', e => {
@@ -232,14 +522,29 @@ function bindEvents() {
   document.getElementById('settings-modal-overlay').addEventListener('click', e => {
     if (e.target === e.currentTarget) closeSettings();
   });
+  document.getElementById('trash-modal-overlay').addEventListener('click', e => {
+    if (e.target === e.currentTarget) closeTrash();
+  });
+  document.getElementById('export-modal-overlay').addEventListener('click', e => {
+    if (e.target === e.currentTarget) closeExport();
+  });
+  document.getElementById('shopping-modal-overlay').addEventListener('click', e => {
+    if (e.target === e.currentTarget) closeShopping();
+  });
+  document.getElementById('intake-modal-overlay').addEventListener('click', e => {
+    if (e.target === e.currentTarget) closeIntake();
+  });
+  document.getElementById('categories-modal-overlay').addEventListener('click', e => {
+    if (e.target === e.currentTarget) closeCategories();
+  });
 
   // Escape key
   document.addEventListener('keydown', e => {
-    if (e.key === 'Escape') { closeAddModal(); closeSettings(); }
+    if (e.key === 'Escape') { closeAddModal(); closeSettings(); closeTrash(); closeExport(); closeShopping(); closeIntake(); closeCategories(); }
   });
 
   // Add modal tabs
-  document.querySelectorAll('.modal-tab').forEach(btn => {
+  document.querySelectorAll('#add-modal-overlay .modal-tab').forEach(btn => {
     btn.addEventListener('click', () => switchAddTab(btn.dataset.tab));
   });
 
@@ -254,9 +559,13 @@ function bindEvents() {
 
   // Save settings
   document.getElementById('btn-save-settings').addEventListener('click', saveSettingsForm);
+  document.getElementById('set-backend').addEventListener('change', e => showBackendFields(e.target.value));
 
   // Export / Import
-  document.getElementById('btn-export').addEventListener('click', exportData);
+  document.getElementById('btn-export').addEventListener('click', openExport);
+  document.getElementById('btn-run-export').addEventListener('click', runExport);
+  ['export-category', 'export-tag', 'export-search'].forEach(id =>
+    document.getElementById(id).addEventListener('change', renderExportCount));
   document.getElementById('btn-import').addEventListener('click', () => document.getElementById('import-file').click());
   document.getElementById('import-file').addEventListener('change', importData);
 
@@ -264,6 +573,105 @@ function bindEvents() {
   document.getElementById('btn-reset-data').addEventListener('click', resetData);
 }
 
+// ── Search Box ────────────────────────────────────────────────
+/** Autocomplete under the search box for the word being typed — fields, tags, categories */
+function renderSearchSuggest() {
+  const input = document.getElementById('search-input');
+  const list  = document.getElementById('search-suggest');
+  const items = searchSuggestions(input.value, input.selectionStart ?? input.value.length, recipeDB.getAll());
+  if (!items.length) { hideSearchSuggest(); return; }
+  searchPick = Math.min(searchPick, items.length - 1);
+  const syntax = !currentSearchToken(input.value, input.selectionStart ?? input.value.length).raw;
+  list.innerHTML = (syntax ? '<div class="search-suggest-title">Search by</div>' : '') + items.map((item, i) => `
+    <div class="search-suggestion${i === searchPick ? ' active' : ''}" id="search-option-${i}" role="option"
+      aria-selected="${i === searchPick}" data-text="${escHtml(item.text)}">
+      <code>${escHtml(item.label)}</code><span class="form-hint">${escHtml(item.hint)}</span>
+    </div>`).join('');
+  list.classList.remove('hidden');
+  input.setAttribute('aria-expanded', 'true');
+  if (searchPick >= 0) input.setAttribute('aria-activedescendant', `search-option-${searchPick}`);
+  else input.removeAttribute('aria-activedescendant');
+}
+
+function hideSearchSuggest() {
+  searchPick = -1;
+  document.getElementById('search-suggest').classList.add('hidden');
+  const input = document.getElementById('search-input');
+  input.setAttribute('aria-expanded', 'false');
+  input.removeAttribute('aria-activedescendant');
+}
+
+/** Put a suggestion in place of the word being typed, then search */
+function acceptSearchSuggestion(text, runSearch) {
+  const input = document.getElementById('search-input');
+  const { query, caret } = applySearchSuggestion(input.value, input.selectionStart ?? input.value.length, text);
+  input.value = query;
+  input.focus();
+  input.setSelectionRange(caret, caret);
+  searchPick = -1;
+  renderSearchSuggest();
+  runSearch();
+}
+
+// ── Sort & Filters ────────────────────────────────────────────
+/** The Filters button's badge, the tag chips with their counts among `recipes`, and how many are showing */
+function renderFacets(recipes) {
+  const set = facetCount(currentFacets);
+  const badge = document.getElementById('facet-count');
+  badge.textContent = set;
+  badge.classList.toggle('hidden', !set);
+  document.getElementById('btn-facets').classList.toggle('active', set > 0);
+  document.getElementById('browse-count').textContent = set || currentSearch
+    ? `${recipes.length} recipe${recipes.length !== 1 ? 's' : ''}` : '';
+
+  // Picked tags stay up even when nothing here has them, so they can be unpicked
+  const tags = facetTags(recipes).filter(t => !currentFacets.tags.includes(t.tag));
+  const picked = currentFacets.tags.map(tag => ({ tag, count: recipes.length, active: true }));
+  const chips = picked.concat(tags);
+  document.getElementById('facet-tags').innerHTML = chips.length
+    ? chips.map(t => `<button class="facet-tag${t.active ? ' active' : ''}" data-tag="${escHtml(t.tag)}" aria-pressed="${!!t.active}">`
+      + `${escHtml(t.tag)}<span class="cat-count">${t.count}</span></button>`).join('')
+    : '<span class="text-muted">No tags on these recipes</span>';
+}
+
+function toggleFacets(show) {
+  const panel = document.getElementById('facet-panel');
+  show = show ?? panel.classList.contains('hidden');
+  panel.classList.toggle('hidden', !show);
+  document.getElementById('btn-facets').setAttribute('aria-expanded', String(show));
+}
+
+function toggleFacetTag(tag) {
+  const tags = currentFacets.tags;
+  currentFacets.tags = tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag];
+  applyFacets();
+}
+
+/** Take the ranges and checkboxes from the panel */
+function readFacetInputs() {
+  const number = id => {
+    const value = document.getElementById(id).value.trim();
+    return value === '' || isNaN(value) ? null : Number(value);
+  };
+  currentFacets.calories = { min: number('facet-cal-min'),  max: number('facet-cal-max') };
+  currentFacets.time     = { min: number('facet-time-min'), max: number('facet-time-max') };
+  currentFacets.notes    = document.getElementById('facet-notes').checked;
+  currentFacets.unrated  = document.getElementById('facet-unrated').checked;
+  applyFacets();
+}
+
+function clearFacets() {
+  currentFacets = emptyFacets();
+  document.querySelectorAll('.facet-range input').forEach(el => { el.value = ''; });
+  document.querySelectorAll('.facet-check input').forEach(el => { el.checked = false; });
+  applyFacets();
+}
+
+function applyFacets() {
+  renderCategoryBar();
+  renderRecipes();
+}
+
 // ── Add Recipe Modal ─────────────────────────────────────────
 function openAddModal() {
   document.getElementById('add-modal-overlay').classList.add('active');
@@ -289,7 +697,7 @@ function resetAddForm() {
 
 function switchAddTab(tab) {
   addModalTab = tab;
-  document.querySelectorAll('.modal-tab').forEach(b => b.classList.toggle('active', b.dataset.tab === tab));
+  document.querySelectorAll('#add-modal-overlay .modal-tab').forEach(b => b.classList.toggle('active', b.dataset.tab === tab));
   document.getElementById('tab-url').classList.toggle('hidden', tab !== 'url');
   document.getElementById('tab-manual').classList.toggle('hidden', tab !== 'manual');
 
@@ -366,7 +774,7 @@ function showScrapeStatus(type, msg) {
 
 function renderRecipePreview(recipe) {
   const el = document.getElementById('recipe-preview');
-  const cat = CATEGORIES[recipe.category] || { label: recipe.category, emoji: '🍽️' };
+  const cat = categoryInfo(recipe.category);
   el.innerHTML = `
     <div class="preview-header">
       <span class="preview-emoji">${recipe.emoji || cat.emoji}</span>
@@ -382,28 +790,63 @@ function renderRecipePreview(recipe) {
       <strong>Ingredients found:</strong> ${recipe.ingredients.length}<br>
       <strong>Steps found:</strong> ${recipe.steps.length}<br>
       ${recipe.servings ? `<strong>Servings:</strong> ${recipe.servings}<br>` : ''}
-      ${recipe.totalTime ? `<strong>Total time:</strong> ${recipe.totalTime}<br>` : ''}
+      ${recipeTotalTime(recipe) ? `<strong>Total time:</strong> ${escHtml(recipeTotalTime(recipe))}<br>` : ''}
     </div>`;
 }
 
 function populateManualForm(recipe) {
   safeSet('man-name', recipe.name || '');
-  safeSet('man-category', recipe.category || 'meat');
+  renderManualCategories(recipe.category || defaultCategory(), recipeCategories(recipe));
   safeSet('man-calories', recipe.calories || '');
   safeSet('man-servings', recipe.servings || '');
   safeSet('man-prep', recipe.prepTime || '');
   safeSet('man-cook', recipe.cookTime || '');
+  safeSet('man-total', recipe.totalTime || '');
   safeSet('man-emoji', recipe.emoji || '');
   safeSet('man-source', recipe.source || '');
   safeSet('man-ingredients', (recipe.ingredients || []).join('\n'));
   safeSet('man-steps', (recipe.steps || []).join('\n\n'));
   const tags = (recipe.tags || []).join(', ');
   safeSet('man-tags', tags);
+  renderCategorySuggestions();
 }
 
 function clearManualForm() {
-  ['man-name','man-category','man-calories','man-servings','man-prep','man-cook',
+  ['man-name','man-calories','man-servings','man-prep','man-cook','man-total',
    'man-emoji','man-source','man-ingredients','man-steps','man-tags','man-notes'].forEach(id => safeSet(id, ''));
+  renderManualCategories(defaultCategory(), []);
+  renderCategorySuggestions();
+}
+
+/** Fill the category menu and the "Also in" picks — the categories can change between uses */
+function renderManualCategories(main, categories) {
+  document.getElementById('man-category').innerHTML = categoryOptionsHTML(main);
+  document.getElementById('man-categories').innerHTML = categoryPicksHTML(categories, main);
+}
+
+/** The likeliest categories for what's in the form so far, as choices under the menu (js/classify.js) */
+function renderCategorySuggestions() {
+  const el   = document.getElementById('man-category-suggest');
+  const name = (document.getElementById('man-name').value || '').trim();
+  const tags = (document.getElementById('man-tags').value || '').split(',').map(s => s.trim()).filter(Boolean);
+  const ingredients = (document.getElementById('man-ingredients').value || '').split('\n').filter(s => s.trim());
+  if (!name && !tags.length && !ingredients.length) { el.classList.add('hidden'); return; }
+
+  const current = document.getElementById('man-category').value;
+  const suggestions = categoryClassifier.suggest({ name, tags, ingredients })
+    .filter((s, i) => i === 0 || s.confidence >= 0.05).slice(0, 3);
+  el.innerHTML = '<span class="form-hint">Suggested:</span>' + suggestions.map(({ category, confidence }) => {
+    const cat = categoryInfo(category);
+    return `<button type="button" class="facet-tag${category === current ? ' active' : ''}" data-cat="${escHtml(category)}"
+      aria-pressed="${category === current}">${cat.emoji} ${escHtml(cat.label)}<span class="cat-count">${Math.round(confidence * 100)}%</span></button>`;
+  }).join('');
+  el.classList.remove('hidden');
+}
+
+/** Where a new recipe goes when nothing better is known */
+function defaultCategory() {
+  const keys = Object.keys(recipeDB.categories);
+  return keys.includes('meat') ? 'meat' : keys[0];
 }
 
 async function confirmAddRecipe() {
@@ -413,19 +856,23 @@ async function confirmAddRecipe() {
   const ingredientsRaw = (document.getElementById('man-ingredients').value || '').trim();
   const stepsRaw       = (document.getElementById('man-steps').value || '').trim();
   const tagsRaw        = (document.getElementById('man-tags').value || '').trim();
+  const ingredients    = ingredientsRaw ? ingredientsRaw.split('\n').map(s => s.trim()).filter(Boolean) : [];
 
+  const category = document.getElementById('man-category').value || defaultCategory();
   const recipe = {
     name,
-    category:    document.getElementById('man-category').value || 'meat',
+    category,
+    categories:  pickedCategories(category, document.getElementById('man-categories')),
     calories:    parseInt(document.getElementById('man-calories').value) || 0,
     servings:    parseInt(document.getElementById('man-servings').value) || 4,
     prepTime:    (document.getElementById('man-prep').value || '').trim(),
     cookTime:    (document.getElementById('man-cook').value || '').trim(),
-    totalTime:   '',
+    totalTime:   (document.getElementById('man-total').value || '').trim(),
     emoji:       (document.getElementById('man-emoji').value || '').trim(),
     source:      (document.getElementById('man-source').value || '').trim(),
     notes:       (document.getElementById('man-notes').value || '').trim(),
-    ingredients: ingredientsRaw ? ingredientsRaw.split('\n').map(s => s.trim()).filter(Boolean) : [],
+    ingredients,
+    parsedIngredients: parseIngredients(ingredients),
     steps:       stepsRaw ? stepsRaw.split(/\n{2,}|\n(?=\d+[\.\)]\s)/).map(s => s.replace(/^\d+[\.\)]\s*/, '').trim()).filter(Boolean) : [],
     tags:        tagsRaw ? tagsRaw.split(',').map(s => s.trim()).filter(Boolean) : [],
     nutrition:   pendingRecipe?.nutrition || {},
@@ -433,7 +880,7 @@ async function confirmAddRecipe() {
   };
 
   if (!recipe.emoji) {
-    recipe.emoji = (CATEGORIES[recipe.category] || { emoji: '🍽️' }).emoji;
+    recipe.emoji = categoryInfo(recipe.category).emoji;
   }
 
   const allSaveBtns = document.querySelectorAll('.btn-confirm-add');
@@ -454,9 +901,9 @@ async function confirmAddRecipe() {
     }, 100);
 
     if (saved._syncOk) {
-      showToast(`✅ "${saved.name}" added & synced to GitHub!`, 'success');
+      showToast(`✅ "${saved.name}" added & synced to ${recipeDB.backendLabel}!`, 'success');
     } else {
-      showToast(`✅ "${saved.name}" added locally — ⚠️ GitHub sync failed: ${saved._syncError}`, 'warning');
+      showToast(`✅ "${saved.name}" added locally — ⚠️ sync to ${recipeDB.backendLabel} will retry: ${saved._syncError}`, 'warning');
     }
 
     // If no thumbnail yet, silently try TheMealDB for a real food photo
@@ -478,63 +925,773 @@ async function confirmAddRecipe() {
 // ── Settings Modal ────────────────────────────────────────────
 function openSettings() {
   const s = getSettings();
+  safeSet('set-backend', s.storageBackend || 'github');
   safeSet('set-token', s.githubToken);
   safeSet('set-owner', s.githubOwner);
   safeSet('set-repo', s.githubRepo);
   safeSet('set-branch', s.githubBranch || 'main');
+  safeSet('set-rest-url', s.restUrl);
+  safeSet('set-rest-token', s.restToken);
+  safeSet('set-units', s.units || 'original');
+  safeSet('set-trash-days', recipeDB.trashRetentionDays);
+  showBackendFields(s.storageBackend || 'github');
+  renderRepairReport();
   document.getElementById('settings-modal-overlay').classList.add('active');
 }
 
+/** Only show the settings sections that apply to the selected storage backend */
+function showBackendFields(kind) {
+  document.querySelectorAll('#settings-modal-overlay [data-backend]').forEach(el => {
+    el.classList.toggle('hidden', el.dataset.backend !== kind);
+  });
+}
+
+/** Show what the schema check repaired (or couldn't) since the page loaded */
+function renderRepairReport() {
+  const el = document.getElementById('repair-report');
+  if (!el) return;
+  const report = recipeDB.repairReport;
+  const schema = report.from && report.from !== report.to
+    ? `Data upgraded from schema ${escHtml(report.from)} to ${escHtml(report.to)}. `
+    : `Schema version ${escHtml(report.to || SCHEMA_VERSION)}. `;
+  if (!report.recipes.length && !report.errors.length) {
+    el.innerHTML = `<p class="repair-summary">${schema}All recipes passed validation — nothing needed repairing.</p>`;
+    return;
+  }
+  const item = (e, cls) => `
+    <details class="repair-item ${cls}">
+      <summary>${escHtml(e.name)}</summary>
+      <ul>${[...e.errors, ...e.fixes].map(f => `<li>${escHtml(f)}</li>`).join('')}</ul>
+    </details>`;
+  el.innerHTML = `
+    <p class="repair-summary">${schema}Repaired ${report.recipes.length} recipe(s)${report.errors.length ? `; ${report.errors.length} could not be repaired` : ''}.</p>
+    <div class="repair-list">
+      ${report.errors.map(e => item(e, 'repair-error')).join('')}
+      ${report.recipes.map(e => item(e, '')).join('')}
+    </div>`;
+}
+
 function closeSettings() {
   document.getElementById('settings-modal-overlay').classList.remove('active');
 }
 
-function saveSettingsForm() {
+async function saveSettingsForm() {
+  const before = getSettings();
   saveSettings({
+    storageBackend: document.getElementById('set-backend').value || 'github',
     githubToken:  (document.getElementById('set-token').value || '').trim(),
     githubOwner:  (document.getElementById('set-owner').value || '').trim(),
     githubRepo:   (document.getElementById('set-repo').value || '').trim(),
     githubBranch: (document.getElementById('set-branch').value || 'main').trim(),
+    restUrl:      (document.getElementById('set-rest-url').value || '').trim(),
+    restToken:    (document.getElementById('set-rest-token').value || '').trim(),
+    units:        document.getElementById('set-units').value || 'original',
   });
-  showToast('Settings saved!', 'success');
+  const days = parseInt(document.getElementById('set-trash-days').value, 10);
   closeSettings();
+
+  // Storage moved — reload the recipes from wherever they live now
+  const after = getSettings();
+  const keys = ['storageBackend', 'githubToken', 'githubOwner', 'githubRepo', 'githubBranch', 'restUrl', 'restToken'];
+  const moved = keys.some(k => before[k] !== after[k]);
+  if (moved) await recipeDB.init();
+
+  // Retention is kept with the recipes (index.json), not in this browser's settings
+  if (!isNaN(days) && days !== recipeDB.trashRetentionDays) {
+    const result = await recipeDB.setTrashRetention(days);
+    if (result._syncOk === false) showToast(`⚠️ Trash setting saved locally — sync to ${recipeDB.backendLabel} will retry: ${result._syncError}`, 'warning');
+  }
+
+  renderStats();
+  renderCategoryBar();
+  renderRecipes();
+  showToast(moved ? `Settings saved — recipes now stored in ${recipeDB.backendLabel}` : 'Settings saved!', 'success');
+}
+
+// ── Trash ─────────────────────────────────────────────────────
+function renderTrashCount() {
+  const badge = document.getElementById('trash-count');
+  if (!badge) return;
+  const n = recipeDB.getTrash().length;
+  badge.textContent = n;
+  badge.classList.toggle('hidden', !n);
+}
+
+function openTrash() {
+  renderTrash();
+  document.getElementById('trash-modal-overlay').classList.add('active');
+}
+
+function closeTrash() {
+  document.getElementById('trash-modal-overlay').classList.remove('active');
+}
+
+function renderTrash() {
+  const trash = recipeDB.getTrash();
+  const days  = recipeDB.trashRetentionDays;
+  document.getElementById('trash-retention-hint').textContent = days
+    ? `Deleted recipes stay here for ${days} day${days !== 1 ? 's' : ''}, then they're removed for good. Change this in Settings.`
+    : 'Deleted recipes stay here until you delete them for good. Set a retention period in Settings.';
+  document.getElementById('btn-empty-trash').disabled = !trash.length;
+
+  const list = document.getElementById('trash-list');
+  if (!trash.length) {
+    list.innerHTML = '<p class="trash-empty">The trash is empty.</p>';
+    return;
+  }
+  list.innerHTML = trash.map(r => {
+    const cat   = categoryInfo(r.category);
+    const purge = recipeDB.purgeDate(r);
+    return `
+      <div class="trash-item">
+        <span class="trash-emoji">${r.emoji || cat.emoji}</span>
+        <div class="trash-info">
+          <div class="trash-name">${escHtml(r.name)}</div>
+          <div class="trash-meta">
+            Deleted ${escHtml(formatDay(r.deletedAt))}${purge ? ` · removed for good ${escHtml(formatDay(purge.toISOString().slice(0, 10)))}` : ''}
+          </div>
+        </div>
+        <div class="trash-actions">
+          <button class="btn btn-outline btn-sm" data-action="restore" data-id="${escHtml(r.id)}">↩️ Restore</button>
+          <button class="btn btn-ghost btn-sm" data-action="purge" data-id="${escHtml(r.id)}" title="Delete for good">✕</button>
+        </div>
+      </div>`;
+  }).join('');
+}
+
+async function restoreFromTrash(id) {
+  const result = await recipeDB.restore(id);
+  if (!result) return;
+  renderTrash();
+  renderStats();
+  renderCategoryBar();
+  renderRecipes();
+  if (result._syncOk === false) {
+    showToast(`⚠️ Restored locally — sync to ${recipeDB.backendLabel} will retry: ${result._syncError}`, 'warning');
+  } else {
+    showToast(`"${result.name}" restored`, 'success');
+  }
+}
+
+async function purgeFromTrash(id) {
+  const recipe = recipeDB.getTrash().find(r => r.id === id);
+  if (!recipe || !confirm(`Delete "${recipe.name}" for good? It can't be restored from the trash afterwards.`)) return;
+  const result = await recipeDB.purge(id);
+  renderTrash();
+  renderStats();
+  if (result._syncOk === false) {
+    showToast(`⚠️ Deleted locally — sync to ${recipeDB.backendLabel} will retry: ${result._syncError}`, 'warning');
+  } else {
+    showToast('Recipe deleted for good', 'info');
+  }
+}
+
+async function emptyTrash() {
+  const n = recipeDB.getTrash().length;
+  if (!n || !confirm(`Delete all ${n} recipe${n !== 1 ? 's' : ''} in the trash for good?`)) return;
+  const result = await recipeDB.emptyTrash();
+  renderTrash();
+  renderStats();
+  if (result._syncOk === false) {
+    showToast(`⚠️ Emptied locally — sync to ${recipeDB.backendLabel} will retry: ${result._syncError}`, 'warning');
+  } else {
+    showToast(`Trash emptied — ${result.count} recipe${result.count !== 1 ? 's' : ''} deleted`, 'info');
+  }
+}
+
+/** "YYYY-MM-DD" → "Oct 19, 2026" */
+function formatDay(day) {
+  const d = new Date(`${day}T00:00:00`);
+  return isNaN(d) ? String(day || '') : d.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// ── Categories ────────────────────────────────────────────────
+let deletingCategory = null;   // the category whose row asks where its recipes go
+
+function openCategories() {
+  deletingCategory = null;
+  renderCategories();
+  document.getElementById('categories-modal-overlay').classList.add('active');
+}
+
+function closeCategories() {
+  document.getElementById('categories-modal-overlay').classList.remove('active');
+}
+
+function renderCategories() {
+  const cats    = recipeDB.categories;
+  const keys    = Object.keys(cats);
+  const recipes = recipeDB.getAll();
+  document.getElementById('category-list').innerHTML = keys.map((key, i) => {
+    const cat  = cats[key];
+    const n    = recipes.filter(r => recipeCategories(r).includes(key)).length;
+    const only = recipes.filter(r => recipeCategories(r).length === 1 && recipeCategories(r)[0] === key).length;
+    const actions = deletingCategory === key ? `
+        <span class="form-hint">Move ${only} recipe${only !== 1 ? 's' : ''} to</span>
+        <select class="form-select" data-move-to>
+          ${keys.filter(k => k !== key).map(k => `<option value="${escHtml(k)}">${cats[k].emoji} ${escHtml(cats[k].label)}</option>`).join('')}
+        </select>
+        <button class="btn btn-danger btn-sm" data-action="remove">Delete</button>
+        <button class="btn btn-ghost btn-sm" data-action="cancel">Cancel</button>` : `
+        <span class="category-count">${n} recipe${n !== 1 ? 's' : ''}</span>
+        <button class="btn btn-ghost btn-sm" data-action="up" title="Move up"${i === 0 ? ' disabled' : ''}>↑</button>
+        <button class="btn btn-ghost btn-sm" data-action="down" title="Move down"${i === keys.length - 1 ? ' disabled' : ''}>↓</button>
+        <button class="btn btn-ghost btn-sm" data-action="delete" title="Delete category"${keys.length < 2 ? ' disabled' : ''}>🗑</button>`;
+    return `
+      <div class="category-row" data-key="${escHtml(key)}">
+        <input type="text" class="form-input category-emoji" data-field="emoji" value="${escHtml(cat.emoji)}" aria-label="Emoji" />
+        <input type="text" class="form-input" data-field="label" value="${escHtml(cat.label)}" aria-label="Name" />
+        <input type="color" class="category-color" data-field="color" value="${escHtml(cat.color)}" aria-label="Color" />
+        <div class="category-actions">${actions}</div>
+      </div>`;
+  }).join('');
+}
+
+/** Any change to the categories shows everywhere they do. `done` is toasted once it syncs. */
+function saveCategories(change, done, relist = true) {
+  return saveShared('Categories', change, () => {
+    if (relist) renderCategories();   // not for a typed edit — the inputs already show it, and keep focus
+    renderStats();
+    renderCategoryBar();
+    renderRecipes();
+  }, done);
+}
+
+function editCategory(key, field, value) {
+  if (!value.trim()) { renderCategories(); return; }   // a name and an emoji are needed
+  saveCategories(recipeDB.saveCategory(key, { [field]: value }), null, false);
+}
+
+function addCategory() {
+  const label = document.getElementById('new-category-label');
+  const emoji = document.getElementById('new-category-emoji');
+  const color = document.getElementById('new-category-color');
+  if (!label.value.trim()) { showToast('Give the category a name', 'error'); label.focus(); return; }
+  saveCategories(recipeDB.saveCategory(null, { label: label.value, emoji: emoji.value || '🍽️', color: color.value }),
+    `${emoji.value || '🍽️'} ${label.value.trim()} added`);
+  label.value = emoji.value = '';
+}
+
+function removeCategory(key, moveTo) {
+  const label = categoryInfo(key).label;
+  if (currentFilter === key) currentFilter = 'all';
+  deletingCategory = null;
+  saveCategories(recipeDB.removeCategory(key, moveTo), `"${label}" deleted`);
+}
+
+/** 🗑 on a row — straight away when no recipe is in it, else ask where its recipes go */
+function confirmRemoveCategory(key) {
+  const inUse = recipeDB.getAll().some(r => recipeCategories(r).includes(key))
+    || recipeDB.getTrash().some(r => recipeCategories(r).includes(key));
+  if (!inUse) {
+    if (confirm(`Delete the "${categoryInfo(key).label}" category?`)) removeCategory(key);
+    return;
+  }
+  deletingCategory = key;
+  renderCategories();
+}
+
+// ── Shopping List ─────────────────────────────────────────────
+/** [{ recipe, multiplier }] for the recipes on the list that still exist */
+function shoppingEntries() {
+  return Object.entries(recipeDB.shoppingList.recipes)
+    .map(([id, multiplier]) => ({ recipe: recipeDB.getById(id), multiplier }))
+    .filter(e => e.recipe);
+}
+
+function shoppingGroups() {
+  return buildShoppingList(shoppingEntries(), getSettings().units || 'original');
+}
+
+function renderShoppingCount() {
+  const badge = document.getElementById('shopping-count');
+  if (!badge) return;
+  const n = shoppingEntries().length;
+  badge.textContent = n;
+  badge.classList.toggle('hidden', !n);
+}
+
+function openShopping() {
+  renderShopping();
+  document.getElementById('shopping-modal-overlay').classList.add('active');
+}
+
+function closeShopping() {
+  document.getElementById('shopping-modal-overlay').classList.remove('active');
+}
+
+function renderShopping() {
+  const entries = shoppingEntries();
+  const checked = recipeDB.shoppingList.checked;
+  ['btn-shopping-uncheck', 'btn-shopping-clear', 'btn-shopping-copy', 'btn-shopping-download'].forEach(id => {
+    document.getElementById(id).disabled = !entries.length;
+  });
+
+  const recipesEl = document.getElementById('shopping-recipes');
+  const listEl    = document.getElementById('shopping-list');
+  if (!entries.length) {
+    recipesEl.innerHTML = '<p class="trash-empty">Nothing on the list yet — tap 🛒 on a recipe card to add it.</p>';
+    listEl.innerHTML = '';
+    return;
+  }
+
+  recipesEl.innerHTML = entries.map(({ recipe, multiplier }) => {
+    const cat = categoryInfo(recipe.category);
+    const servings = recipe.servings ? ` · ${Math.round(recipe.servings * multiplier * 10) / 10} servings` : '';
+    return `
+      <div class="shopping-recipe" data-id="${escHtml(recipe.id)}">
+        <span class="shopping-recipe-emoji">${recipe.emoji || cat.emoji}</span>
+        <span class="shopping-recipe-name">${escHtml(recipe.name)}<span class="form-hint">${servings}</span></span>
+        <span class="servings-control">
+          <button class="servings-btn" data-shop-step="-0.5" aria-label="Less"${multiplier <= 0.5 ? ' disabled' : ''}>−</button>
+          <span class="shopping-multiplier">×${formatQuantity(multiplier)}</span>
+          <button class="servings-btn" data-shop-step="0.5" aria-label="More">+</button>
+        </span>
+        <button class="btn btn-ghost btn-sm" data-shop-remove title="Take off the list">✕</button>
+      </div>`;
+  }).join('');
+
+  listEl.innerHTML = shoppingGroups().map(g => `
+    <div class="shopping-aisle">
+      <div class="shopping-aisle-title">${g.emoji} ${escHtml(g.label)}</div>
+      ${g.items.map(i => `
+        <label class="shopping-item${checked[i.key] ? ' checked' : ''}">
+          <input type="checkbox" data-key="${escHtml(i.key)}"${checked[i.key] ? ' checked' : ''} />
+          <span class="shopping-item-text">${escHtml(i.text)}</span>
+          <span class="shopping-item-from">${escHtml(i.recipes.join(', '))}</span>
+        </label>`).join('')}
+    </div>`).join('');
+}
+
+function saveShopping(change) {
+  return saveShared('Shopping list', change, () => {
+    renderShoppingCount();
+    if (document.getElementById('shopping-modal-overlay').classList.contains('active')) renderShopping();
+  });
+}
+
+function toggleShoppingRecipe(id) {
+  const onList = id in recipeDB.shoppingList.recipes;
+  const change = recipeDB.setShoppingRecipe(id, onList ? 0 : 1);
+  renderRecipes();
+  const recipe = recipeDB.getById(id);
+  showToast(onList ? `Took "${recipe.name}" off the shopping list` : `Added "${recipe.name}" to the shopping list`, 'success');
+  return saveShopping(change);
+}
+
+function setShoppingMultiplier(id, multiplier) {
+  const change = recipeDB.setShoppingRecipe(id, multiplier);
+  if (!multiplier) renderRecipes();
+  return saveShopping(change);
+}
+
+function checkShoppingItem(key, checked) {
+  return saveShopping(recipeDB.setShoppingChecked(key, checked));
+}
+
+function clearShopping(recipes) {
+  if (recipes && !confirm('Take every recipe off the shopping list?')) return;
+  const change = recipeDB.clearShoppingList({ recipes });
+  if (recipes) renderRecipes();
+  return saveShopping(change);
+}
+
+function shoppingText() {
+  return shoppingListText(shoppingGroups(), shoppingEntries(), recipeDB.shoppingList.checked);
+}
+
+async function copyShoppingList() {
+  try {
+    await navigator.clipboard.writeText(shoppingText());
+    showToast('Shopping list copied', 'success');
+  } catch (e) {
+    showToast('Could not copy — use Download instead', 'error');
+  }
+}
+
+function downloadShoppingList() {
+  const day = new Date().toISOString().slice(0, 10);
+  downloadBlob(new Blob([shoppingText()], { type: 'text/plain;charset=utf-8' }), `shopping-list-${day}.txt`);
+}
+
+// ── Meal Planner ──────────────────────────────────────────────
+const PLAN_DRAG_TYPE = 'application/x-meal-plan';
+let plannerWeek = weekStart();   // first day of the week on screen
+
+function togglePlanner(open = document.getElementById('planner').classList.contains('hidden')) {
+  document.getElementById('planner').classList.toggle('hidden', !open);
+  document.getElementById('main-layout').classList.toggle('planner-open', open);
+  const btn = document.getElementById('btn-planner');
+  btn.classList.toggle('active', open);
+  btn.setAttribute('aria-pressed', String(open));
+  renderPlanner();
+}
+
+function showPlannerWeek(start) {
+  plannerWeek = start;
+  renderPlanner();
+}
+
+function renderPlanner() {
+  if (document.getElementById('planner').classList.contains('hidden')) return;
+  const plan  = recipeDB.mealPlan;
+  const today = dayKey(new Date());
+  document.getElementById('planner-week').textContent = weekLabel(plannerWeek);
+  document.getElementById('btn-planner-today').disabled = plannerWeek === weekStart();
+
+  const chips = document.getElementById('planner-placeholders');
+  if (!chips.children.length) {
+    chips.innerHTML = Object.entries(MEAL_PLACEHOLDERS).map(([key, p]) =>
+      `<span class="plan-chip plan-placeholder" draggable="true" data-placeholder="${key}">${p.emoji} ${escHtml(p.label)}</span>`).join('');
+  }
+
+  const recipes = recipeDB.getAll().slice().sort((a, b) => a.name.localeCompare(b.name));
+  const options = `<option value="">＋ Add…</option>
+    ${Object.entries(MEAL_PLACEHOLDERS).map(([key, p]) => `<option value="placeholder:${key}">${p.emoji} ${escHtml(p.label)}</option>`).join('')}
+    <optgroup label="Recipes">${recipes.map(r => `<option value="recipe:${escHtml(r.id)}">${escHtml(r.name)}</option>`).join('')}</optgroup>`;
+
+  const slots = Object.entries(MEAL_SLOTS);
+  const grid  = document.getElementById('planner-grid');
+  grid.style.setProperty('--plan-slots', slots.length);
+  grid.innerHTML = `<span></span>${slots.map(([, s]) => `<span class="planner-slot-title">${s.emoji} ${s.label}</span>`).join('')}` +
+    weekDays(plannerWeek).map(day => {
+      const date = parseDayKey(day);
+      return `
+        <div class="planner-day${day === today ? ' today' : ''}">
+          <span class="planner-day-name">${date.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+          <span class="planner-day-date">${date.getDate()}</span>
+        </div>
+        ${slots.map(([slot, s]) => {
+          const entry = plan[day]?.[slot];
+          return `<div class="planner-slot" data-day="${day}" data-slot="${slot}" aria-label="${s.label}, ${date.toDateString()}">
+            ${isPlanned(entry) ? planChip(entry) : `<select class="planner-pick" aria-label="Plan ${s.label.toLowerCase()}">${options}</select>`}
+          </div>`;
+        }).join('')}`;
+    }).join('');
+}
+
+/** A filled slot: the recipe (linked), a placeholder, or a recipe that's since been deleted */
+function planChip(entry) {
+  const remove = `<button class="plan-remove" data-plan-remove title="Clear" aria-label="Clear">✕</button>`;
+  if (entry.placeholder) {
+    const p = MEAL_PLACEHOLDERS[entry.placeholder] || { label: entry.placeholder, emoji: '📌' };
+    return `<div class="plan-chip plan-placeholder" draggable="true">${p.emoji} ${escHtml(p.label)}${remove}</div>`;
+  }
+  const recipe = recipeDB.getById(entry.recipe);
+  if (!recipe) return `<div class="plan-chip plan-missing">🗑️ Deleted recipe${remove}</div>`;
+  const cat = categoryInfo(recipe.category);
+  // One tick per person, marked with their initial
+  const eaten = RATERS.map(p => {
+    const on = eatenBy(entry, p), who = personLabel(p);
+    return `<button class="plan-eaten${on ? ' on' : ''}" data-plan-eaten="${p}" title="${on ? `Eaten by ${who}` : `Mark as eaten by ${who}`}" aria-label="Eaten by ${escHtml(who)}" aria-pressed="${on}">${escHtml(who.charAt(0))}</button>`;
+  }).join('');
+  const all = RATERS.every(p => eatenBy(entry, p));
+  return `<div class="plan-chip${all ? ' eaten' : ''}" draggable="true" style="--chip-color: ${hexToRgba(cat.color, 0.14)}">
+    <a class="plan-recipe" href="recipe.html?id=${encodeURIComponent(recipe.id)}" data-id="${escHtml(recipe.id)}" draggable="false">${recipe.emoji || cat.emoji} ${escHtml(recipe.name)}</a>${remove}<span class="plan-eaten-by">${eaten}</span>
+  </div>`;
+}
+
+/** Carry a plan entry (and the slot it came from, if any) in a drag */
+function startPlanDrag(e, entry, from = null) {
+  if (!entry) return;
+  e.dataTransfer.setData(PLAN_DRAG_TYPE, JSON.stringify({ entry, from }));
+  e.dataTransfer.effectAllowed = from ? 'move' : 'copy';
+}
+
+/** Drop an entry on a slot — dragged from another slot, the two swap */
+function dropOnPlan(day, slot, entry, from) {
+  if (from && from.day === day && from.slot === slot) return;
+  const days = { [day]: { [slot]: entry } };
+  if (from) (days[from.day] = days[from.day] || {})[from.slot] = recipeDB.mealPlan[day]?.[slot] || null;
+  return savePlan(recipeDB.planMeals(days));
+}
+
+async function repeatLastWeek() {
+  const plan = recipeDB.mealPlan;
+  const last = addDays(plannerWeek, -7);
+  const hasPlans = start => weekDays(start).some(day => Object.values(plan[day] || {}).some(isPlanned));
+  if (!hasPlans(last)) {
+    showToast(`Nothing was planned for ${weekLabel(last)}`, 'info');
+    return;
+  }
+  if (hasPlans(plannerWeek) && !confirm(`Replace the plan for ${weekLabel(plannerWeek)} with the week before's?`)) return;
+  const days = copyWeekPlan(plan, last, plannerWeek, entry => entry.placeholder || recipeDB.getById(entry.recipe));
+  showToast(`🔁 Repeated the plan from ${weekLabel(last)}`, 'success');
+  return savePlan(recipeDB.planMeals(days));
+}
+
+function savePlan(change) {
+  return saveShared('Meal plan', change, () => {
+    renderPlanner();
+    renderIntake();
+  });
+}
+
+// ── Nutrition Dashboard ───────────────────────────────────────
+let intakePerson = RATERS[0];
+let intakeSpan   = 'day';                // 'day' | 'week'
+let intakeDay    = dayKey(new Date());   // the day shown, or a day in the week shown
+
+function openIntake() {
+  // The week on the planner — today if it's this week
+  const days = weekDays(plannerWeek);
+  showIntakeDay(days.includes(dayKey(new Date())) ? dayKey(new Date()) : plannerWeek);
+  renderIntakeTargets();
+  document.getElementById('intake-modal-overlay').classList.add('active');
+  renderIntake();
+}
+
+function closeIntake() {
+  document.getElementById('intake-modal-overlay').classList.remove('active');
+}
+
+function showIntakeDay(day) {
+  intakeDay = day;
+  renderIntake();
+}
+
+function renderIntake() {
+  if (!document.getElementById('intake-modal-overlay').classList.contains('active')) return;
+  const week    = intakeSpan === 'week';
+  const days    = week ? weekDays(weekStart(intakeDay)) : [intakeDay];
+  const daily   = personTargets(recipeDB.nutritionTargets, intakePerson);
+  const targets = Object.fromEntries(Object.entries(daily).map(([key, amount]) => [key, amount * days.length]));
+  const intake  = planIntake(recipeDB.mealPlan, days, id => recipeDB.getById(id), intakePerson);
+
+  document.getElementById('intake-people').innerHTML = RATERS.map(p =>
+    `<button class="modal-tab${p === intakePerson ? ' active' : ''}" data-person="${p}" role="tab" aria-selected="${p === intakePerson}">${escHtml(personLabel(p))}</button>`).join('');
+  document.querySelectorAll('.intake-span [data-span]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.span === intakeSpan);
+    btn.setAttribute('aria-pressed', String(btn.dataset.span === intakeSpan));
+  });
+  document.getElementById('intake-label').textContent = week
+    ? weekLabel(days[0])
+    : parseDayKey(intakeDay).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+
+  const bars = Object.entries(targets).map(([key, target]) => {
+    const logged = intake.logged[key] || 0, total = intake.total[key] || 0;
+    const width  = value => Math.min(100, value / target * 100);
+    return `
+      <div class="intake-bar${total > target ? ' over' : ''}">
+        <div class="intake-bar-head">
+          <span>${NUTRIENTS[key].label}</span>
+          <span>${formatNutrient(key, total)} <span class="form-hint">/ ${formatNutrient(key, target)}</span></span>
+        </div>
+        <div class="intake-bar-track">
+          <span class="intake-bar-logged" style="width:${width(logged).toFixed(1)}%"></span>
+          <span class="intake-bar-planned" style="width:${(width(total) - width(logged)).toFixed(1)}%"></span>
+        </div>
+      </div>`;
+  }).join('');
+  const notes = [
+    '<span class="intake-key intake-bar-logged"></span> eaten <span class="intake-key intake-bar-planned"></span> planned',
+    intake.unknown ? `${intake.unknown} meal${intake.unknown !== 1 ? 's' : ''} without nutrition not counted` : '',
+    intake.estimated ? 'includes ~ estimates from ingredients' : '',
+  ].filter(Boolean).join(' · ');
+  document.getElementById('intake-bars').innerHTML = bars
+    ? `${bars}<p class="form-hint">${notes}</p>`
+    : `<p class="trash-empty">No targets set for ${escHtml(personLabel(intakePerson))} — add some under Daily targets.</p>`;
+
+  document.getElementById('intake-meals').innerHTML = week ? intakeWeekRows(days, daily) : intakeDayMeals(intake.meals);
+  renderIntakeSuggestions(intake, targets, week);
+}
+
+/** The day's meals, each with an "eaten" tick for the person shown */
+function intakeDayMeals(meals) {
+  if (!meals.length) return '<p class="trash-empty">Nothing planned for this day — add meals in the planner.</p>';
+  return meals.map(({ day, slot, entry, recipe, eaten, nutrition }) => {
+    const s = MEAL_SLOTS[slot];
+    const p = entry.placeholder && (MEAL_PLACEHOLDERS[entry.placeholder] || { label: entry.placeholder, emoji: '📌' });
+    const name = recipe ? `${recipe.emoji || categoryInfo(recipe.category).emoji} ${escHtml(recipe.name)}`
+      : p ? `${p.emoji} ${escHtml(p.label)}` : '🗑️ Deleted recipe';
+    const cal = nutrition.calories ? `${nutrition.calories.estimated ? '~' : ''}${formatNutrient('calories', nutrition.calories.value)} cal` : '';
+    return `
+      <label class="intake-meal${eaten ? ' eaten' : ''}">
+        <input type="checkbox" data-day="${day}" data-slot="${slot}"${eaten ? ' checked' : ''}${recipe ? '' : ' disabled'} aria-label="Eaten by ${escHtml(personLabel(intakePerson))}" />
+        <span class="intake-meal-slot">${s.emoji} ${s.label}</span>
+        <span class="intake-meal-name">${name}</span>
+        <span class="form-hint">${cal}</span>
+      </label>`;
+  }).join('');
+}
+
+/** One row per day of the week — calories against the daily target; a click opens the day */
+function intakeWeekRows(days, daily) {
+  const plan = recipeDB.mealPlan;
+  return days.map(day => {
+    const { total, meals } = planIntake(plan, [day], id => recipeDB.getById(id), intakePerson);
+    const date = parseDayKey(day);
+    const cal  = total.calories ? `${formatNutrient('calories', total.calories)}${daily.calories ? ` / ${formatNutrient('calories', daily.calories)}` : ''} cal` : '';
+    return `
+      <button class="intake-day${total.calories > daily.calories ? ' over' : ''}" data-show-day="${day}">
+        <span class="intake-meal-slot">${date.toLocaleDateString('en-US', { weekday: 'short' })} ${date.getDate()}</span>
+        <span class="intake-meal-name">${meals.length ? `${meals.length} meal${meals.length !== 1 ? 's' : ''}` : 'Nothing planned'}</span>
+        <span class="form-hint">${cal}</span>
+      </button>`;
+  }).join('');
+}
+
+/** Recipes that would best fill what's left — in day view, each can go straight into an empty slot */
+function renderIntakeSuggestions(intake, targets, week) {
+  const el = document.getElementById('intake-suggest');
+  if (!Object.keys(targets).length) { el.innerHTML = ''; return; }
+  const picks = gapFillers(recipeDB.getAll(), intake.total, targets);
+  const slot  = week ? null : Object.keys(MEAL_SLOTS).find(s => !isPlanned(recipeDB.mealPlan[intakeDay]?.[s]));
+  const title = `<div class="shopping-aisle-title">🍽️ Fills the gap for ${escHtml(personLabel(intakePerson))}</div>`;
+  if (!picks.length) {
+    el.innerHTML = `${title}<p class="form-hint">No recipe gets closer to the targets${intake.meals.length ? ' — they are met, or every recipe would overshoot' : ''}.</p>`;
+    return;
+  }
+  el.innerHTML = title + picks.map(({ recipe, nutrition }) => {
+    const cat  = categoryInfo(recipe.category);
+    const adds = Object.keys(targets).filter(key => nutrition[key] && !TARGET_LIMITS.has(key)).slice(0, 3)
+      .map(key => `${nutrition[key].estimated ? '~' : ''}${formatNutrient(key, nutrition[key].value)}${key === 'calories' ? ' cal' : ` ${NUTRIENTS[key].label.toLowerCase()}`}`);
+    const plan = slot ? `<button class="btn btn-ghost btn-sm" data-plan-slot="${slot}" data-id="${escHtml(recipe.id)}">＋ ${MEAL_SLOTS[slot].label}</button>` : '';
+    return `
+      <div class="intake-suggestion">
+        <span class="shopping-recipe-emoji">${recipe.emoji || cat.emoji}</span>
+        <span class="shopping-recipe-name"><a href="recipe.html?id=${encodeURIComponent(recipe.id)}">${escHtml(recipe.name)}</a>
+          <span class="form-hint">+${adds.join(' · ')}</span></span>
+        ${plan}
+      </div>`;
+  }).join('');
+}
+
+/** The target inputs — drawn on opening and on switching person, not on every change, so typing keeps focus */
+function renderIntakeTargets() {
+  const own = recipeDB.nutritionTargets[intakePerson] || {};
+  document.getElementById('intake-targets-title').textContent = `🎯 ${personLabel(intakePerson)}'s daily targets`;
+  document.getElementById('intake-targets').innerHTML = Object.entries(NUTRIENTS).map(([key, info]) => `
+    <label class="intake-target">
+      <span>${info.label}${info.unit ? ` (${info.unit})` : ''}</span>
+      <input type="number" class="form-input" min="0" step="1" data-nutrient="${key}"
+        value="${own[key] ?? ''}" placeholder="${DEFAULT_TARGETS[key] ?? 'none'}" />
+    </label>`).join('');
+}
+
+function saveTargets(change) {
+  return saveShared('Nutrition targets', change, renderIntake);
 }
 
 // ── Export / Import ───────────────────────────────────────────
-function exportData() {
-  const json = recipeDB.exportJSON();
-  const blob = new Blob([json], { type: 'application/json' });
+function openExport() {
+  closeSettings();
+  const formats = document.getElementById('export-formats');
+  if (!formats.children.length) {
+    formats.innerHTML = Object.entries(EXPORT_FORMATS).map(([key, f], i) => `
+      <label class="export-format">
+        <input type="radio" name="export-format" value="${key}"${i === 0 ? ' checked' : ''} />
+        <span><strong>${escHtml(f.label)}</strong><span class="form-hint">${escHtml(f.hint)}</span></span>
+      </label>`).join('');
+  }
+
+  // Start from what's on screen: the active category pill and search
+  const recipes = recipeDB.getAll();
+  const counts  = recipeDB.stats().catCounts;
+  const catSel  = document.getElementById('export-category');
+  catSel.innerHTML = `<option value="all">All categories (${recipes.length})</option>` +
+    Object.keys(counts).map(key => {
+      const cat = categoryInfo(key);
+      return `<option value="${escHtml(key)}">${cat.emoji} ${escHtml(cat.label)} (${counts[key]})</option>`;
+    }).join('');
+  catSel.value = counts[currentFilter] ? currentFilter : 'all';
+
+  const tagCounts = {};
+  recipes.forEach(r => (r.tags || []).forEach(t => { tagCounts[t] = (tagCounts[t] || 0) + 1; }));
+  document.getElementById('export-tag').innerHTML = '<option value="">Any tag</option>' +
+    Object.keys(tagCounts).sort().map(t => `<option value="${escHtml(t)}">${escHtml(t)} (${tagCounts[t]})</option>`).join('');
+
+  const search = document.getElementById('export-search');
+  search.checked  = !!currentSearch;
+  search.disabled = !currentSearch;
+  document.getElementById('export-search-label').textContent = currentSearch
+    ? `Only recipes matching the search "${currentSearch}"`
+    : 'Only recipes matching the current search (no search active)';
+
+  renderExportCount();
+  document.getElementById('export-modal-overlay').classList.add('active');
+}
+
+function closeExport() {
+  document.getElementById('export-modal-overlay').classList.remove('active');
+}
+
+/** Recipes picked by the export dialog's filters */
+function exportSelection() {
+  const cat    = document.getElementById('export-category').value;
+  const tag    = document.getElementById('export-tag').value;
+  const search = document.getElementById('export-search').checked && currentSearch;
+  let recipes = search ? recipeDB.search(currentSearch) : recipeDB.getAll();
+  if (cat !== 'all') recipes = recipes.filter(r => recipeCategories(r).includes(cat));
+  if (tag) recipes = recipes.filter(r => (r.tags || []).includes(tag));
+  return { recipes, filtered: !!(search || cat !== 'all' || tag) };
+}
+
+function renderExportCount() {
+  const { recipes, filtered } = exportSelection();
+  const n = recipes.length;
+  document.getElementById('export-count').textContent = n
+    ? `${n} recipe${n !== 1 ? 's' : ''} will be exported${filtered ? '' : ' — everything'}.`
+    : 'No recipes match these filters.';
+  document.getElementById('btn-run-export').disabled = !n;
+}
+
+async function runExport() {
+  const format = document.querySelector('input[name="export-format"]:checked').value;
+  const { recipes, filtered } = exportSelection();
+  try {
+    const { filename, blob } = await recipeExporter.export(format, recipes, { filtered });
+    downloadBlob(blob, filename);
+    closeExport();
+    showToast(`Exported ${recipes.length} recipe${recipes.length !== 1 ? 's' : ''} — ${EXPORT_FORMATS[format].label}`, 'success');
+  } catch (e) {
+    showToast('Export failed: ' + e.message, 'error');
+  }
+}
+
+function downloadBlob(blob, filename) {
   const a    = document.createElement('a');
   a.href     = URL.createObjectURL(blob);
-  a.download = `recipes-backup-${new Date().toISOString().slice(0,10)}.json`;
+  a.download = filename;
   a.click();
   URL.revokeObjectURL(a.href);
-  showToast('Data exported!', 'success');
 }
 
-function importData(e) {
+async function importData(e) {
   const file = e.target.files[0];
-  if (!file) return;
-  const reader = new FileReader();
-  reader.onload = evt => {
-    const result = recipeDB.importJSON(evt.target.result);
-    if (result.success) {
-      renderStats();
-      renderCategoryBar();
-      renderRecipes();
-      showToast(`✅ Imported ${result.count} recipes!`, 'success');
-    } else {
-      showToast('Import failed: ' + result.error, 'error');
-    }
-  };
-  reader.readAsText(file);
   e.target.value = '';
+  if (!file) return;
+
+  // Our backups, Paprika, Mealie, Tandoor, JSON-LD or CSV → recipes in our shape
+  const read = await recipeImporter.read(file);
+  if (!read.success) {
+    showToast('Import failed: ' + read.error, 'error');
+    return;
+  }
+  // Dry run first — nothing is saved until the preview is confirmed
+  const preview = recipeDB.previewRecipes(read.recipes, read.version);
+  const choices = await showImportPreview(preview, `${file.name} (${read.formats.join(', ')})`);
+  if (!choices) return;
+
+  const result = await recipeDB.applyImport(preview, choices);
+  renderStats();
+  renderCategoryBar();
+  renderRecipes();
+  const done = [
+    result.added    ? `${result.added} added` : '',
+    result.replaced ? `${result.replaced} replaced` : '',
+    result.copied   ? `${result.copied} kept as copies` : '',
+  ].filter(Boolean).join(', ') || 'nothing changed';
+  if (result._syncOk === false) {
+    showToast(`⚠️ Imported locally (${done}) — sync to ${recipeDB.backendLabel} will retry: ${result._syncError}`, 'warning');
+  } else {
+    showToast(`✅ Import done — ${done}${preview.skipped ? ` (${preview.skipped} skipped — see Data Health)` : ''}`, 'success');
+  }
 }
 
 function resetData() {
   if (!confirm('This will reset all recipes to the original seed data. Your added recipes and notes will be lost. Continue?')) return;
-  localStorage.removeItem('healthyrecipes_db');
-  recipeDB.init().then(() => {
+  recipeDB.clearLocal().then(() => recipeDB.init()).then(() => {
     renderStats();
     renderCategoryBar();
     renderRecipes();
@@ -569,11 +1726,30 @@ function showToast(message, type = 'info') {
   }, 3500);
 }
 
+const sharedEdits = {};   // label → number of the latest edit; only that one reports a failed sync
+
+/**
+ * Put a change to something shared (categories, the shopping list, …) on screen
+ * with `render` now, then wait for `change` to sync. A failure is toasted as
+ * "<label> saved locally"; a success toasts `done`, if given.
+ */
+async function saveShared(label, change, render, done) {
+  const edit = sharedEdits[label] = (sharedEdits[label] || 0) + 1;
+  render();
+  const result = await change;
+  if (result._syncOk === false && edit === sharedEdits[label]) {
+    showToast(`⚠️ ${label} saved locally — sync to ${recipeDB.backendLabel} will retry: ${result._syncError}`, 'warning');
+  } else if (result._syncOk !== false && done) {
+    showToast(done, 'success');
+  }
+}
+
 // ── Utilities ─────────────────────────────────────────────────
 function highlightText(text, query) {
-  if (!query) return escHtml(text);
+  const terms = query ? searchTerms(query) : [];
+  if (!terms.length) return escHtml(text);
   const safe = escHtml(text);
-  const re = new RegExp(`(${escRegex(query)})`, 'gi');
+  const re = new RegExp(`(${terms.map(t => escRegex(escHtml(t))).join('|')})`, 'gi');
   return safe.replace(re, '<mark>$1</mark>');
 }
 
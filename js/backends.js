@@ -0,0 +1,429 @@
+/**
+ * backends.js — Pluggable storage backends for RecipeDB
+ *
+ * RecipeDB only talks to storage through this small file-store interface, so
+ * the recipe data can live on GitHub, only in this browser, or on any server
+ * that speaks the plain REST protocol below.
+ *
+ *   read(path)                   → { content, version } | null if missing
+ *   write(path, content, version, message?) → { version }
+ *   remove(path, version)        → void (missing is not an error)
+ *   list(dir)                    → [{ name, path, version }] | null if missing
+ *   version(path)                → version string | null if missing
+ *
+ * Optional, for backends that keep old versions (only GitHub so far):
+ *   history(path, limit?)        → [{ ref, date, message, author }] newest first
+ *   readAt(path, ref)            → content string | null if it didn't exist then
+ *
+ * Optional, for backends where every write has a cost (GitHub: one commit each):
+ *   writeBatch(changes, message) → { [path]: version | null }
+ *     changes = [{ path, content (null = delete), version }], all or nothing —
+ *     if any version no longer matches nothing is written (conflict error).
+ *
+ * `version` makes writes conditional: pass the version last read to update,
+ * null to create a file that must not exist yet, or undefined to overwrite
+ * unconditionally. A write whose version no longer matches throws an error with
+ * `conflict: true`, which RecipeDB answers with a three-way merge.
+ *
+ * Pick the backend in Settings (`storageBackend`: github | indexeddb | rest).
+ */
+
+const STORAGE_BACKENDS = {
+  github:    { label: 'GitHub',          emoji: '🐙' },
+  indexeddb: { label: 'this browser',    emoji: '💻' },
+  rest:      { label: 'your server',     emoji: '🖥️' },
+};
+
+/** Build the backend selected in settings */
+function createBackend(s) {
+  switch (s.storageBackend) {
+    case 'indexeddb': return new IndexedDBBackend();
+    case 'rest':      return new RestBackend(s);
+    default:          return new GitHubBackend(s);
+  }
+}
+
+function storageError(status, text, conflict) {
+  const err = new Error(text);
+  err.status = status;
+  err.conflict = !!conflict;
+  return err;
+}
+
+// ── GitHub Contents API ───────────────────────────────────────
+// Files live in the repo; every write/remove is a real git commit.
+class GitHubBackend {
+  constructor(s) {
+    this.kind   = 'github';
+    this.label  = STORAGE_BACKENDS.github.label;
+    this._token  = s.githubToken;
+    this._owner  = s.githubOwner;
+    this._repo   = s.githubRepo;
+    this._branch = s.githubBranch || 'main';
+  }
+
+  isConfigured() {
+    return !!(this._token && this._owner && this._repo);
+  }
+
+  configError() {
+    return 'GitHub credentials not found — check config.js loaded correctly';
+  }
+
+  describe() {
+    return `${this._owner}/${this._repo}`;
+  }
+
+  _url(path) {
+    const enc = path.split('/').map(encodeURIComponent).join('/');
+    return `https://api.github.com/repos/${this._owner}/${this._repo}/contents/${enc}`;
+  }
+
+  _headers() {
+    return {
+      'Authorization': `Bearer ${this._token}`,
+      'Accept': 'application/vnd.github+json',
+    };
+  }
+
+  async _get(path) {
+    const res = await fetch(`${this._url(path)}?ref=${this._branch}`, { headers: this._headers() });
+    if (res.status === 404) return null;
+    if (!res.ok) throw storageError(res.status, `GitHub API ${res.status}: ${await res.text()}`);
+    return res.json();
+  }
+
+  async read(path) {
+    const d = await this._get(path);
+    if (!d || Array.isArray(d)) return null;
+    // Files over 1MB (the old recipes.json) come without content — fetch the blob itself
+    if (d.encoding === 'none') return { content: await this._blob(d.sha), version: d.sha };
+    return { content: decodeURIComponent(escape(atob(d.content.replace(/\n/g, '')))), version: d.sha };
+  }
+
+  /** A blob's content by SHA, raw — the blobs API serves files up to 100MB */
+  async _blob(sha) {
+    const res = await fetch(`https://api.github.com/repos/${this._owner}/${this._repo}/git/blobs/${sha}`, {
+      headers: { ...this._headers(), 'Accept': 'application/vnd.github.raw' },
+    });
+    if (!res.ok) throw storageError(res.status, `GitHub API ${res.status}: ${await res.text()}`);
+    return res.text();
+  }
+
+  async list(dir) {
+    const d = await this._get(dir);
+    if (!Array.isArray(d)) return null;
+    return d.filter(f => f.type === 'file').map(f => ({ name: f.name, path: f.path, version: f.sha }));
+  }
+
+  async version(path) {
+    const d = await this._get(path);
+    return d && !Array.isArray(d) ? d.sha : null;
+  }
+
+  async write(path, content, version, message) {
+    // Unconditional write — look up the current SHA first
+    if (version === undefined) {
+      try { version = await this.version(path); } catch (_) {}
+    }
+
+    const body = {
+      message: message || `recipe-tracker: auto-sync ${new Date().toISOString().slice(0,10)}`,
+      content: btoa(unescape(encodeURIComponent(content))),
+      branch: this._branch,
+    };
+    if (version) body.sha = version;
+
+    const res = await fetch(this._url(path), {
+      method: 'PUT',
+      headers: { ...this._headers(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    // 409 = SHA no longer matches; 422 = file exists but we sent no SHA
+    if (!res.ok) throw storageError(res.status, `GitHub API ${res.status}: ${await res.text()}`, res.status === 409 || res.status === 422);
+    const d = await res.json();
+    return { version: d.content.sha };
+  }
+
+  async remove(path, version, message) {
+    const res = await fetch(this._url(path), {
+      method: 'DELETE',
+      headers: { ...this._headers(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        message: message || `recipe-tracker: auto-sync ${new Date().toISOString().slice(0,10)}`,
+        sha: version,
+        branch: this._branch,
+      }),
+    });
+    if (res.status === 404) return; // already gone
+    if (!res.ok) throw storageError(res.status, `GitHub API ${res.status}: ${await res.text()}`, res.status === 409);
+  }
+
+  /**
+   * Write several files as ONE commit via the Git Data API: new blobs, a tree
+   * on top of the branch head, a commit, then a fast-forward of the branch.
+   * The versions are checked against the head first; if the branch moves
+   * before the ref update, GitHub refuses the fast-forward (422) → conflict.
+   */
+  async writeBatch(changes, message) {
+    const head = (await this._git('GET', `ref/heads/${this._branch}`)).object.sha;
+    const base = (await this._git('GET', `commits/${head}`)).tree.sha;
+
+    const dirs = new Map();     // dir → Map(name → blob SHA) as of head
+    const current = new Map();  // path → blob SHA as of head | null
+    for (const c of changes) {
+      const dir = c.path.split('/').slice(0, -1).join('/');
+      if (!dirs.has(dir)) dirs.set(dir, await this._treeFiles(base, dir));
+      const cur = dirs.get(dir).get(c.path.split('/').pop()) || null;
+      current.set(c.path, cur);
+      const stale = c.content == null ? cur && c.version && cur !== c.version : c.version !== undefined && cur !== c.version;
+      if (stale) throw storageError(409, `GitHub: ${c.path} was changed since it was loaded`, true);
+    }
+
+    const writes = changes.filter(c => c.content != null);
+    const blobs  = await Promise.all(writes.map(c => this._git('POST', 'blobs', { content: c.content, encoding: 'utf-8' })));
+    const entries = [
+      ...writes.map((c, i) => ({ path: c.path, mode: '100644', type: 'blob', sha: blobs[i].sha })),
+      // Deleting a path that isn't there is an error for the trees API
+      ...changes.filter(c => c.content == null && current.get(c.path)).map(c => ({ path: c.path, mode: '100644', type: 'blob', sha: null })),
+    ];
+    const tree   = await this._git('POST', 'trees', { base_tree: base, tree: entries });
+    const commit = await this._git('POST', 'commits', {
+      message: message || `recipe-tracker: auto-sync ${new Date().toISOString().slice(0,10)}`,
+      tree: tree.sha,
+      parents: [head],
+    });
+    await this._git('PATCH', `refs/heads/${this._branch}`, { sha: commit.sha, force: false });
+
+    const versions = {};
+    changes.forEach(c => { versions[c.path] = null; });
+    writes.forEach((c, i) => { versions[c.path] = blobs[i].sha; });
+    return versions;
+  }
+
+  /** name → blob SHA of the files directly in `dir`, as of tree `treeSha` */
+  async _treeFiles(treeSha, dir) {
+    let sha = treeSha;
+    for (const part of dir ? dir.split('/') : []) {
+      const sub = (await this._git('GET', `trees/${sha}`)).tree.find(e => e.path === part && e.type === 'tree');
+      if (!sub) return new Map();
+      sha = sub.sha;
+    }
+    const files = (await this._git('GET', `trees/${sha}`)).tree.filter(e => e.type === 'blob');
+    return new Map(files.map(e => [e.path, e.sha]));
+  }
+
+  async _git(method, endpoint, body) {
+    const res = await fetch(`https://api.github.com/repos/${this._owner}/${this._repo}/git/${endpoint}`, {
+      method,
+      headers: body ? { ...this._headers(), 'Content-Type': 'application/json' } : this._headers(),
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    // 422 on the ref update = not a fast-forward any more (someone else committed)
+    if (!res.ok) throw storageError(res.status, `GitHub API ${res.status}: ${await res.text()}`, method === 'PATCH' && res.status === 422);
+    return res.json();
+  }
+
+  async history(path, limit = 30) {
+    const q = `path=${encodeURIComponent(path)}&sha=${encodeURIComponent(this._branch)}&per_page=${limit}`;
+    const res = await fetch(`https://api.github.com/repos/${this._owner}/${this._repo}/commits?${q}`, { headers: this._headers() });
+    if (!res.ok) throw storageError(res.status, `GitHub API ${res.status}: ${await res.text()}`);
+    return (await res.json()).map(c => ({
+      ref:     c.sha,
+      date:    c.commit.author?.date || c.commit.committer?.date || '',
+      message: c.commit.message || '',
+      author:  c.commit.author?.name || c.author?.login || '',
+    }));
+  }
+
+  async readAt(path, ref) {
+    // Raw media type — the JSON form leaves out the content of files over 1MB (the old recipes.json)
+    const res = await fetch(`${this._url(path)}?ref=${encodeURIComponent(ref)}`, {
+      headers: { ...this._headers(), 'Accept': 'application/vnd.github.raw' },
+    });
+    if (res.status === 404) return null;
+    if (!res.ok) throw storageError(res.status, `GitHub API ${res.status}: ${await res.text()}`);
+    return res.text();
+  }
+}
+
+// ── IndexedDB (this browser only) ─────────────────────────────
+// No syncing between devices — handy for trying the app out or keeping a
+// private collection. Versions are per-file counters.
+const LOCAL_BACKEND_DB = 'healthyrecipes_files';
+
+class IndexedDBBackend {
+  constructor() {
+    this.kind  = 'indexeddb';
+    this.label = STORAGE_BACKENDS.indexeddb.label;
+    this._db   = null;
+  }
+
+  isConfigured() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  configError() {
+    return 'IndexedDB is not available in this browser';
+  }
+
+  describe() {
+    return 'local only';
+  }
+
+  _open() {
+    if (this._db) return this._db;
+    this._db = new Promise((resolve, reject) => {
+      const req = indexedDB.open(LOCAL_BACKEND_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore('files', { keyPath: 'path' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+    return this._db;
+  }
+
+  /** Run fn(store) in one transaction; resolves with whatever fn's last request returned */
+  async _tx(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('files', mode);
+      let result;
+      fn(tx.objectStore('files'), v => { result = v; }, err => { reject(err); tx.abort(); });
+      tx.oncomplete = () => resolve(result);
+      tx.onerror    = () => reject(tx.error);
+      tx.onabort    = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  async read(path) {
+    return this._tx('readonly', (store, done) => {
+      const req = store.get(path);
+      req.onsuccess = () => done(req.result ? { content: req.result.content, version: req.result.version } : null);
+    });
+  }
+
+  async version(path) {
+    const f = await this.read(path);
+    return f ? f.version : null;
+  }
+
+  async list(dir) {
+    const prefix = dir.replace(/\/$/, '') + '/';
+    const files = await this._tx('readonly', (store, done) => {
+      const range = IDBKeyRange.bound(prefix, prefix + '\uffff');
+      const req = store.getAll(range);
+      req.onsuccess = () => done(req.result);
+    });
+    const direct = files.filter(f => !f.path.slice(prefix.length).includes('/'));
+    if (!direct.length) return null;
+    return direct.map(f => ({ name: f.path.slice(prefix.length), path: f.path, version: f.version }));
+  }
+
+  async write(path, content, version) {
+    return this._tx('readwrite', (store, done, fail) => {
+      const req = store.get(path);
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (version !== undefined && (cur ? cur.version : null) !== version) {
+          fail(storageError(409, `${path} was changed elsewhere`, true));
+          return;
+        }
+        const next = String((cur ? parseInt(cur.version, 10) || 0 : 0) + 1);
+        store.put({ path, content, version: next });
+        done({ version: next });
+      };
+    });
+  }
+
+  async remove(path, version) {
+    return this._tx('readwrite', (store, done, fail) => {
+      const req = store.get(path);
+      req.onsuccess = () => {
+        if (!req.result) return done();
+        if (version !== undefined && req.result.version !== version) {
+          fail(storageError(409, `${path} was changed elsewhere`, true));
+          return;
+        }
+        store.delete(path);
+        done();
+      };
+    });
+  }
+}
+
+// ── Plain REST/JSON endpoint ──────────────────────────────────
+// For self-hosting, or testing against tools/rest-backend-server.py:
+//   GET    {url}/{path}    → 200 file body, ETag = version · 404 if missing
+//   GET    {url}/{dir}/    → 200 [{ name, version }] · 404 if missing
+//   PUT    {url}/{path}    → 200 { version } · If-Match / If-None-Match: * · 412 on mismatch
+//   DELETE {url}/{path}    → 204 · If-Match · 412 on mismatch
+// An optional token is sent as `Authorization: Bearer …`.
+class RestBackend {
+  constructor(s) {
+    this.kind   = 'rest';
+    this.label  = STORAGE_BACKENDS.rest.label;
+    this._url   = (s.restUrl || '').replace(/\/+$/, '');
+    this._token = s.restToken || '';
+  }
+
+  isConfigured() {
+    return !!this._url;
+  }
+
+  configError() {
+    return 'No server URL set — add one under Settings → Storage';
+  }
+
+  describe() {
+    return this._url;
+  }
+
+  _headers(extra = {}) {
+    const h = { 'Accept': 'application/json', ...extra };
+    if (this._token) h['Authorization'] = `Bearer ${this._token}`;
+    return h;
+  }
+
+  _fileUrl(path) {
+    return `${this._url}/${path.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  async read(path) {
+    const res = await fetch(this._fileUrl(path), { headers: this._headers(), cache: 'no-store' });
+    if (res.status === 404) return null;
+    if (!res.ok) throw storageError(res.status, `Server ${res.status}: ${await res.text()}`);
+    return { content: await res.text(), version: res.headers.get('ETag') };
+  }
+
+  async version(path) {
+    const res = await fetch(this._fileUrl(path), { method: 'HEAD', headers: this._headers(), cache: 'no-store' });
+    if (res.status === 404) return null;
+    if (!res.ok) throw storageError(res.status, `Server ${res.status}`);
+    return res.headers.get('ETag');
+  }
+
+  async list(dir) {
+    const res = await fetch(this._fileUrl(dir) + '/', { headers: this._headers(), cache: 'no-store' });
+    if (res.status === 404) return null;
+    if (!res.ok) throw storageError(res.status, `Server ${res.status}: ${await res.text()}`);
+    const list = await res.json();
+    return list.map(f => ({ name: f.name, path: `${dir}/${f.name}`, version: f.version }));
+  }
+
+  async write(path, content, version) {
+    const extra = { 'Content-Type': 'application/json' };
+    if (version === null) extra['If-None-Match'] = '*';
+    else if (version !== undefined) extra['If-Match'] = version;
+    const res = await fetch(this._fileUrl(path), { method: 'PUT', headers: this._headers(extra), body: content });
+    if (!res.ok) throw storageError(res.status, `Server ${res.status}: ${await res.text()}`, res.status === 412 || res.status === 409);
+    const d = await res.json().catch(() => ({}));
+    return { version: d.version || res.headers.get('ETag') };
+  }
+
+  async remove(path, version) {
+    const extra = version ? { 'If-Match': version } : {};
+    const res = await fetch(this._fileUrl(path), { method: 'DELETE', headers: this._headers(extra) });
+    if (res.status === 404) return;
+    if (!res.ok) throw storageError(res.status, `Server ${res.status}: ${await res.text()}`, res.status === 412 || res.status === 409);
+  }
+}
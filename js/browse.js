@@ -0,0 +1,80 @@
+/**
+ * browse.js — Sorting and facet filters for the recipe grid
+ * The controls above the grid narrow what the search box found and put it in
+ * order. Facets combine — a recipe has to pass all of the ones that are set:
+ *
+ *   { tags: ['quick', 'vegetarian'], calories: { min: 300, max: 600 },
+ *     time: { min: null, max: 30 }, notes: true, unrated: false }
+ *
+ * Every selected tag must be on the recipe. Ranges leave out recipes with no
+ * number to check (no nutrition, no times). Sorting is stable, so ties keep the
+ * order they came in — best match first when searching, else as added.
+ */
+
+// Sort orders, by the value of the sort menu. '' keeps the order recipes came in.
+// `value` is what's compared; recipes without one go last whichever way it sorts.
+const RECIPE_SORTS = {
+  '':       { label: 'Best match / as added' },
+  rating:   { label: 'Rating (average)', value: r => recipeRating(r), desc: true },
+  ...Object.fromEntries(RATERS.map(p => [`rating.${p}`, {
+    label: `${p.charAt(0).toUpperCase()}${p.slice(1)}'s rating`, value: r => recipeRating(r, p), desc: true,
+  }])),
+  calories: { label: 'Calories (lowest first)', value: r => nutritionOf(r).calories?.value },
+  time:     { label: 'Total time (quickest first)', value: r => recipeMinutes(r) },
+  added:    { label: 'Date added (newest first)', value: r => r.dateAdded, desc: true },
+  modified: { label: 'Last modified (newest first)', value: r => r.lastModified || r.dateAdded, desc: true },
+};
+
+/** Facets with nothing set */
+function emptyFacets() {
+  return { tags: [], calories: { min: null, max: null }, time: { min: null, max: null }, notes: false, unrated: false };
+}
+
+/** How many facets are set — for the badge on the Filters button */
+function facetCount(facets) {
+  const range = r => r.min != null || r.max != null;
+  return facets.tags.length + range(facets.calories) + range(facets.time) + facets.notes + facets.unrated;
+}
+
+/** Whether `recipe` passes every facet that's set */
+function facetMatches(recipe, facets) {
+  if (facets.tags.length) {
+    const tags = new Set((recipe.tags || []).map(t => t.toLowerCase()));
+    if (!facets.tags.every(t => tags.has(t))) return false;
+  }
+  if (!inRange(nutritionOf(recipe).calories?.value, facets.calories)) return false;
+  if (!inRange(recipeMinutes(recipe), facets.time)) return false;
+  if (facets.notes && !SEARCH_HAS.notes(recipe)) return false;
+  if (facets.unrated && SEARCH_HAS.rating(recipe)) return false;
+  return true;
+}
+
+/** Whether `n` is within { min, max }; either end may be null. Unset ranges pass anything. */
+function inRange(n, { min, max }) {
+  if (min == null && max == null) return true;
+  if (n == null || isNaN(n)) return false;
+  return (min == null || n >= min) && (max == null || n <= max);
+}
+
+/** `recipes` in the order `sort` names — a copy; unknown sorts keep the order */
+function sortRecipes(recipes, sort) {
+  const def = RECIPE_SORTS[sort];
+  if (!def?.value) return recipes.slice();
+  const keyed = recipes.map((recipe, i) => ({ recipe, i, value: def.value(recipe) }));
+  const missing = v => v == null || v === '' || (typeof v === 'number' && isNaN(v));
+  keyed.sort((a, b) => {
+    if (missing(a.value) || missing(b.value)) return missing(a.value) - missing(b.value) || a.i - b.i;
+    const order = typeof a.value === 'number' ? a.value - b.value : String(a.value).localeCompare(String(b.value));
+    return (def.desc ? -order : order) || a.i - b.i;
+  });
+  return keyed.map(k => k.recipe);
+}
+
+/** The tags on `recipes`, most used first: [{ tag, count }] (lowercased) */
+function facetTags(recipes) {
+  const counts = new Map();
+  for (const r of recipes) {
+    for (const tag of new Set((r.tags || []).map(t => t.toLowerCase()))) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([tag, count]) => ({ tag, count }));
+}
@@ -0,0 +1,108 @@
+/**
+ * cache.js — IndexedDB cache for RecipeDB
+ *
+ * Keeps this device's copy of the recipes (and the backend snapshot used for
+ * merging) in IndexedDB, one record per recipe, so a save only rewrites the
+ * recipes that changed instead of the whole database — and isn't capped by
+ * localStorage's ~5MB quota.
+ *
+ * Two "sets" are stored side by side, each as { meta, recipes }:
+ *   'recipes' — the working copy (what the page shows, pending edits included)
+ *   'base'    — the backend copy as last loaded/synced (see db.js, section 1a)
+ * `meta` holds everything except the recipe array (version, display order, …).
+ *
+ * Writes are fire-and-forget from RecipeDB's point of view; failures (most
+ * importantly QuotaExceededError) reject so the caller can tell the user.
+ */
+
+const CACHE_DB_NAME = 'healthyrecipes_cache';
+const CACHE_SETS = ['recipes', 'base'];
+
+class RecipeCache {
+  constructor() {
+    this._db = null;
+  }
+
+  /** False in browsers/modes without IndexedDB — the cache is then skipped */
+  get available() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  _open() {
+    if (this._db) return this._db;
+    this._db = new Promise((resolve, reject) => {
+      const req = indexedDB.open(CACHE_DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        CACHE_SETS.forEach(name => req.result.createObjectStore(name, { keyPath: 'id' }));
+        req.result.createObjectStore('meta', { keyPath: 'set' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+    // Let a later call retry if opening failed (e.g. storage blocked)
+    this._db.catch(() => { this._db = null; });
+    return this._db;
+  }
+
+  async _tx(stores, mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, mode);
+      let result;
+      fn(tx, v => { result = v; });
+      tx.oncomplete = () => resolve(result);
+      tx.onerror    = () => reject(tx.error);
+      tx.onabort    = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  /** Load one set → { meta, recipes, extra } with recipes in display order, or null if nothing is cached */
+  async load(set) {
+    if (!this.available) return null;
+    const { meta, recipes } = await this._tx([set, 'meta'], 'readonly', (tx, done) => {
+      const out = {};
+      done(out);
+      const m = tx.objectStore('meta').get(set);
+      m.onsuccess = () => { out.meta = m.result; };
+      const r = tx.objectStore(set).getAll();
+      r.onsuccess = () => { out.recipes = r.result; };
+    });
+    if (!meta) return null;
+
+    const byId  = new Map(recipes.map(r => [r.id, r]));
+    const order = (meta.order || []).filter(id => byId.has(id));
+    const seen  = new Set(order);
+    const rest  = recipes.filter(r => !seen.has(r.id)).map(r => r.id);
+    return { meta: meta.data || {}, recipes: [...order, ...rest].map(id => byId.get(id)), extra: meta.extra || {} };
+  }
+
+  /**
+   * Write a { recipes, ...meta } object to a set.
+   * With `ids`, only those recipes are written (or deleted if no longer present)
+   * plus the metadata; without, the set is replaced wholesale.
+   * `extra` is stored alongside the metadata (e.g. file versions for 'base').
+   */
+  async save(set, data, ids, extra) {
+    if (!this.available) return;
+    const { recipes = [], ...meta } = data;
+    await this._tx([set, 'meta'], 'readwrite', tx => {
+      const store = tx.objectStore(set);
+      if (ids) {
+        const byId = new Map(recipes.map(r => [r.id, r]));
+        ids.forEach(id => byId.has(id) ? store.put(byId.get(id)) : store.delete(id));
+      } else {
+        store.clear();
+        recipes.forEach(r => store.put(r));
+      }
+      tx.objectStore('meta').put({ set, data: meta, order: recipes.map(r => r.id), extra: extra || {} });
+    });
+  }
+
+  /** Forget everything cached on this device */
+  async clear() {
+    if (!this.available) return;
+    await this._tx([...CACHE_SETS, 'meta'], 'readwrite', tx => {
+      [...CACHE_SETS, 'meta'].forEach(name => tx.objectStore(name).clear());
+    });
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * classify.js — Category suggestions for new recipes
+ * A naive Bayes classifier over the words of a recipe, trained on how our own
+ * recipes are filed. It ranks every category with a confidence:
+ *
+ *   "Chicken Tortilla Soup" + chicken broth, black beans, lime
+ *     →  [{ category: 'soups', confidence: 0.82 }, { category: 'meat', confidence: 0.06 }, …]
+ *
+ * Words from the name and tags (the site's own category and cuisine arrive as
+ * tags) describe the dish and count for more than ingredient words, which are
+ * kept apart — "broth" in the ingredients doesn't make a soup, "soup" in the
+ * name does. CATEGORY_HINTS and the category names start each category off, so
+ * it makes sensible guesses before there are recipes to learn from and for
+ * categories that are new.
+ */
+
+// How much a word counts towards the guess, by where it was found. The last word
+// of a name usually says what the dish is: chicken noodle *soup*, lemon *bars*.
+const CLASSIFY_WEIGHTS = { dish: 5, name: 3, tags: 2, ingredients: 1 };
+
+// A hint word counts as much as three recipes with it in their name
+const HINT_WEIGHT = 3 * CLASSIFY_WEIGHTS.name;
+
+// Words that say what a dish is, for the default categories
+const CATEGORY_HINTS = {
+  soups:      'soup stew chowder broth bisque chili gumbo',
+  pasta:      'pasta spaghetti penne fettuccine rigatoni linguine lasagna noodle macaroni tagliatelle gnocchi orzo',
+  mexican:    'taco fajita burrito enchilada quesadilla salsa guacamole mexican tex mex chimichanga',
+  asian:      'stir fry fried rice ramen pho pad thai sushi teriyaki korean chinese japanese vietnamese asian wok curry',
+  seafood:    'salmon shrimp fish tuna cod halibut tilapia lobster crab scallop seafood prawn clam mussel',
+  salads:     'salad slaw bowl',
+  breakfast:  'breakfast brunch egg omelette pancake waffle french toast shakshuka frittata quiche granola',
+  desserts:   'cake cookie brownie pie tart dessert sweet chocolate ice cream pudding muffin cupcake',
+  pizza:      'pizza flatbread focaccia calzone',
+  casseroles: 'casserole bake gratin lasagna pot pie',
+  meat:       'chicken beef pork lamb turkey steak roast meatball meatloaf wing rib cutlet tenderloin',
+  vegetables: 'vegetable veggie vegan side cauliflower broccoli asparagus green bean',
+};
+
+// Too common to say anything about a dish
+const CLASSIFY_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'with', 'in', 'on', 'for', 'or', 'to', 'my', 'our',
+  'recipe', 'easy', 'best', 'homemade', 'quick', 'simple',
+]);
+
+/**
+ * Word counts per category, kept up to date with the recipes the way
+ * SearchIndex is: sync() only reads recipes whose object changed.
+ */
+class CategoryClassifier {
+  constructor() {
+    this._docs   = new Map();   // recipe id → { recipe, categories, words: Map(word → weight) }
+    this._counts = new Map();   // category → Map(word → weight)
+    this._totals = new Map();   // category → total weight of its words
+    this._sizes  = new Map();   // category → number of recipes in it
+    this._words  = new Map();   // word → number of recipes that have it
+    this._hints  = null;        // { categories, counts, totals, vocabulary } for the categories defined
+  }
+
+  /** Bring the counts up to date with `recipes` */
+  sync(recipes) {
+    const ids = new Set();
+    for (const recipe of recipes) {
+      ids.add(recipe.id);
+      if (this._docs.get(recipe.id)?.recipe !== recipe) this.add(recipe);
+    }
+    if (this._docs.size > ids.size) {
+      for (const id of [...this._docs.keys()]) if (!ids.has(id)) this.remove(id);
+    }
+  }
+
+  /** Learn from a recipe, replacing what was learnt from its id */
+  add(recipe) {
+    this.remove(recipe.id);
+    const doc = { recipe, categories: recipeCategories(recipe), words: classifyWords(recipe) };
+    this._tally(doc, 1);
+    this._docs.set(recipe.id, doc);
+  }
+
+  remove(id) {
+    const doc = this._docs.get(id);
+    if (!doc) return;
+    this._tally(doc, -1);
+    this._docs.delete(id);
+  }
+
+  /**
+   * Every category in `categories`, most likely first: [{ category, confidence }].
+   * Confidences add up to 1. `recipe` needs a name, tags and/or ingredients.
+   */
+  suggest(recipe, recipes = recipeDB.getAll(), categories = recipeDB.categories) {
+    this.sync(recipes);
+    const hints = this._hintsFor(categories);
+    const keys  = Object.keys(categories);
+    // Words no recipe or hint has say nothing about any category
+    const words = [...classifyWords(recipe)].filter(([word]) => hints.vocabulary.has(word) || this._words.has(word));
+    const vocabulary = new Set([...hints.vocabulary, ...this._words.keys()]).size;
+    const recipesTotal = keys.reduce((n, key) => n + (this._sizes.get(key) || 0), 0);
+
+    const scores = keys.map(key => {
+      const counts = this._counts.get(key), hinted = hints.counts.get(key);
+      const total  = (this._totals.get(key) || 0) + (hints.totals.get(key) || 0);
+      let score = Math.log(((this._sizes.get(key) || 0) + 1) / (recipesTotal + keys.length));
+      for (const [word, weight] of words) {
+        const count = (counts?.get(word) || 0) + (hinted.get(word) || 0);
+        score += weight * Math.log((count + 1) / (total + vocabulary));
+      }
+      return score;
+    });
+
+    // Naive Bayes is sure of itself far beyond what it knows — the more words, the
+    // surer. Scaling by how much was read keeps the confidences worth showing.
+    const spread = Math.sqrt(words.reduce((n, [, weight]) => n + weight, 0)) || 1;
+    const top    = Math.max(...scores);
+    const shares = scores.map(s => Math.exp((s - top) / spread));
+    const sum    = shares.reduce((a, b) => a + b, 0);
+    return keys.map((category, i) => ({ category, confidence: shares[i] / sum }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /** Add (sign 1) or take away (-1) a recipe's words from each of its categories */
+  _tally({ categories, words }, sign) {
+    for (const word of words.keys()) {
+      const n = (this._words.get(word) || 0) + sign;
+      if (n > 0) this._words.set(word, n); else this._words.delete(word);
+    }
+    for (const key of categories) {
+      if (!this._counts.has(key)) this._counts.set(key, new Map());
+      const counts = this._counts.get(key);
+      let total = 0;
+      for (const [word, weight] of words) {
+        const n = (counts.get(word) || 0) + sign * weight;
+        if (n > 0) counts.set(word, n); else counts.delete(word);
+        total += weight;
+      }
+      this._totals.set(key, (this._totals.get(key) || 0) + sign * total);
+      this._sizes.set(key, (this._sizes.get(key) || 0) + sign);
+    }
+  }
+
+  /** Hint counts for `categories` — CATEGORY_HINTS plus each one's key and label */
+  _hintsFor(categories) {
+    if (this._hints?.categories === categories) return this._hints;
+    const counts = new Map(), totals = new Map(), vocabulary = new Set();
+    for (const [key, { label }] of Object.entries(categories)) {
+      const words = classifyTokens(`${CATEGORY_HINTS[key] || ''} ${key} ${label}`, 'name');
+      counts.set(key, new Map([...words].map(word => [word, HINT_WEIGHT])));
+      totals.set(key, words.size * HINT_WEIGHT);
+      words.forEach(word => vocabulary.add(word));
+    }
+    this._hints = { categories, counts, totals, vocabulary };
+    return this._hints;
+  }
+}
+
+/** A recipe's words and how much each counts: Map('name:chicken' → 3, 'name:soup' → 5, 'ingredients:lime' → 1, …) */
+function classifyWords(recipe) {
+  const words = new Map();
+  const add = (field, texts) => {
+    for (const word of classifyTokens(texts.join(' '), field)) {
+      words.set(word, Math.max(words.get(word) || 0, CLASSIFY_WEIGHTS[field]));
+    }
+  };
+  const name = searchTokens(foldText(recipe.name || '')).filter(word => !CLASSIFY_STOP_WORDS.has(word) && !/\d/.test(word));
+  add('name', name);
+  add('dish', name.slice(-1));
+  add('tags', recipe.tags || []);
+  add('ingredients', (recipe.ingredients || []).map(line => parseIngredient(line)?.item || ''));
+  return words;
+}
+
+/**
+ * Stemmed words of `text`, marked with what they describe — the dish (name and
+ * tags) or what goes in it — so the two don't mix: Set('name:soup', …)
+ */
+function classifyTokens(text, field) {
+  const kind = field === 'ingredients' ? 'ingredients' : 'name';
+  return new Set(searchTokens(foldText(text))
+    .filter(word => !CLASSIFY_STOP_WORDS.has(word) && !/\d/.test(word))
+    .map(word => `${kind}:${stemWord(word)}`));
+}
+
+const categoryClassifier = new CategoryClassifier();
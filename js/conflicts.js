@@ -0,0 +1,161 @@
+/**
+ * conflicts.js — Sync conflict resolution prompt
+ * Shown by RecipeDB (via recipeDB.onConflict) when a three-way merge with
+ * the storage backend finds edits it can't combine on its own. Shared by both pages,
+ * along with the field-by-field recipe diff below.
+ */
+
+const CONFLICT_FIELD_LABELS = {
+  name: 'Name', category: 'Category', calories: 'Calories', servings: 'Servings',
+  prepTime: 'Prep time', cookTime: 'Cook time', totalTime: 'Total time',
+  notes: 'Notes', ingredients: 'Ingredients', steps: 'Steps', tags: 'Tags',
+  thumbnail: 'Photo', emoji: 'Emoji', source: 'Source', deletedAt: 'In trash since',
+  nutritionMap: 'Nutrition matches',
+  katie: "Katie's rating", dan: "Dan's rating",
+};
+
+/**
+ * Ask the user to pick a side for each conflict.
+ * @param {Array} conflicts  from mergeRecipeData()
+ * @returns {Promise<Array<'mine'|'theirs'>>} one choice per conflict, same order
+ */
+function resolveSyncConflicts(conflicts) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+
+    const rows = conflicts.map((c, i) => `
+      <div class="conflict-row">
+        <div class="conflict-title">${c.recipeName ? `🍽️ ${escHtml(c.recipeName)} — ` : ''}${escHtml(describeConflict(c))}</div>
+        <label class="conflict-option">
+          <input type="radio" name="conflict-${i}" value="mine" checked />
+          <span><strong>This device:</strong> ${escHtml(formatConflictValue(c, 'mine'))}</span>
+        </label>
+        <label class="conflict-option">
+          <input type="radio" name="conflict-${i}" value="theirs" />
+          <span><strong>Other device:</strong> ${escHtml(formatConflictValue(c, 'theirs'))}</span>
+        </label>
+      </div>`).join('');
+
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h3>⚠️ Sync Conflict</h3>
+        </div>
+        <div class="modal-body">
+          <p class="form-hint" style="margin-bottom:16px">
+            These recipes were changed on another device while you were editing.
+            Everything else was merged automatically — pick which version to keep for each of these.
+          </p>
+          ${rows}
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-ghost" data-all="theirs">Keep all from other device</button>
+          <button class="btn btn-primary" data-action="apply">✅ Save Choices</button>
+        </div>
+      </div>`;
+
+    const finish = choices => {
+      overlay.classList.remove('active');
+      setTimeout(() => overlay.remove(), 400);
+      resolve(choices);
+    };
+
+    overlay.querySelector('[data-all]').addEventListener('click', () => {
+      finish(conflicts.map(() => 'theirs'));
+    });
+    overlay.querySelector('[data-action="apply"]').addEventListener('click', () => {
+      finish(conflicts.map((_, i) =>
+        overlay.querySelector(`input[name="conflict-${i}"]:checked`)?.value || 'theirs'
+      ));
+    });
+
+    document.body.appendChild(overlay);
+    requestAnimationFrame(() => overlay.classList.add('active'));
+  });
+}
+
+function describeConflict(c) {
+  if (c.kind === 'delete') return 'deleted on one device, edited on the other';
+  const key = c.path[c.path.length - 1];
+  return `${CONFLICT_FIELD_LABELS[key] || key} changed on both devices`;
+}
+
+function formatConflictValue(c, side) {
+  const v = c[side];
+  if (c.kind === 'delete') return v ? 'keep the recipe' : 'delete the recipe';
+  if (v == null || v === '') return '(empty)';
+  if (Array.isArray(v)) return v.length ? `${v.slice(0, 3).join(', ')}${v.length > 3 ? ` … (${v.length} total)` : ''}` : '(empty)';
+  if (typeof v === 'object') return JSON.stringify(v);
+  const s = String(v);
+  return s.length > 140 ? s.slice(0, 140) + '…' : s;
+}
+
+// ── Field Diff ────────────────────────────────────────────────
+// Used by the History card (history.js) and the import preview (import.js)
+
+const DIFF_SKIP_FIELDS = ['id', 'lastModified', ...DERIVED_FIELDS];
+
+/**
+ * Field-level differences between two versions of a recipe.
+ * Objects (ratings, nutrition) are compared per key; lists report the
+ * entries that were added and removed.
+ * → [{ field, label, before, after, added?, removed? }]
+ */
+function diffRecipes(before, after) {
+  const out = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach(k => {
+    if (DIFF_SKIP_FIELDS.includes(k) || k.startsWith('_')) return;
+    const a = (before || {})[k], b = (after || {})[k];
+    if (sameValue(a, b)) return;
+    const label = CONFLICT_FIELD_LABELS[k] || toTitleCase(k);
+
+    if (isPlainObject(a) || isPlainObject(b)) {
+      const sub = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+      sub.forEach(s => {
+        const va = (a || {})[s], vb = (b || {})[s];
+        if (sameValue(va, vb)) return;
+        out.push({ field: `${k}.${s}`, label: CONFLICT_FIELD_LABELS[s] || `${label}: ${toTitleCase(s)}`, before: va, after: vb });
+      });
+    } else if (Array.isArray(a) || Array.isArray(b)) {
+      const la = Array.isArray(a) ? a : [], lb = Array.isArray(b) ? b : [];
+      out.push({
+        field: k, label, before: a, after: b,
+        added:   lb.filter(x => !la.some(y => sameValue(x, y))),
+        removed: la.filter(x => !lb.some(y => sameValue(x, y))),
+      });
+    } else {
+      out.push({ field: k, label, before: a, after: b });
+    }
+  });
+  return out;
+}
+
+function recipeDiffHTML(changes) {
+  const fmt = v => {
+    if (v == null || v === '') return '(empty)';
+    if (typeof v === 'object') return JSON.stringify(v);
+    const s = String(v);
+    return s.length > 160 ? s.slice(0, 160) + '…' : s;
+  };
+  const rows = changes.map(c => {
+    if (c.added || c.removed) {
+      const lines = [
+        ...c.removed.map(x => `<div class="diff-del">− ${escHtml(fmt(x))}</div>`),
+        ...c.added.map(x => `<div class="diff-add">+ ${escHtml(fmt(x))}</div>`),
+      ];
+      // Same entries, different order
+      if (!lines.length) lines.push('<div class="form-hint">reordered</div>');
+      return `<div class="diff-row"><div class="diff-label">${escHtml(c.label)}</div><div>${lines.join('')}</div></div>`;
+    }
+    return `
+      <div class="diff-row">
+        <div class="diff-label">${escHtml(c.label)}</div>
+        <div><div class="diff-del">${escHtml(fmt(c.before))}</div><div class="diff-add">${escHtml(fmt(c.after))}</div></div>
+      </div>`;
+  }).join('');
+  return `<div class="diff-table">${rows}</div>`;
+}
@@ -3,17 +3,77 @@
  *
  * DATA FLOW (important for deployment — read before editing):
  * ─────────────────────────────────────────────────────────────────────────────
- * 1. SOURCE OF TRUTH: data/recipes.json on GitHub (remote).
- *    Written by THIS FILE via the GitHub Contents API on every add/update/remove.
- *    Each write creates a real git commit on GitHub (message: "recipe-tracker: auto-sync").
+ * 1. SOURCE OF TRUTH: data/recipes/ on GitHub (remote).
+ *    One file per recipe (data/recipes/<id>.json) plus data/recipes/index.json,
+ *    which holds the display order and top-level metadata (version, …).
+ *    Written by THIS FILE via the GitHub Contents API — a mutation only touches
+ *    the affected recipe's file. Each write creates a real git commit on GitHub
+ *    (message says what changed, e.g. 'recipe-tracker: Update "Chili" (notes)').
  *    These commits happen OUTSIDE local git — always `git pull --rebase` before pushing code.
  *    NEVER use `git push --force` — it will overwrite the live recipe database.
  *
- * 2. LOCAL CACHE: localStorage (key: 'healthyrecipes_db').
- *    Used as a write-through cache and fallback if GitHub is unreachable.
+ *    init() lists the directory and only downloads files whose blob SHA differs
+ *    from the cached copy (IndexedDB cache, 'base' set — see section 2).
+ *    The old single-file data/recipes.json is migrated automatically the first
+ *    time a device finds no data/recipes/ directory; it is then left untouched
+ *    as a backup.
+ *
+ * 1a. CONCURRENT EDITS: every recipe file write is conditional on the SHA we
+ *    last saw, so GitHub rejects it (409) if another device saved that recipe
+ *    in between. We then fetch the remote copy, three-way merge it against the
+ *    copy we loaded (js/merge.js) and retry. Only edits that can't be combined
+ *    reach the user, via recipeDB.onConflict (js/conflicts.js).
+ *
+ * 1b. BACKENDS: GitHub is the default, but all reads/writes go through the
+ *    storage backend picked in Settings (js/backends.js) — GitHub, IndexedDB
+ *    in this browser, or a REST server. Same layout and merge rules for all.
+ *
+ * 1c. TRASH: remove() doesn't delete anything — it stamps the recipe with
+ *    `deletedAt`, which syncs and merges like any other field. getAll()/getById()
+ *    skip trashed recipes; getTrash() lists them. Only purge() (or the
+ *    auto-purge in init(), after `trashRetentionDays` from index.json) deletes
+ *    the recipe's file.
+ *
+ * 1d. SHOPPING LIST: kept in index.json as `shoppingList` — { recipes: { id:
+ *    servings multiplier }, checked: { item key: true } }. Each change is a
+ *    'meta' op touching one key, so two devices ticking off different items
+ *    merge cleanly. js/shopping.js builds the aisle-grouped list from it.
+ *
+ * 1e. MEAL PLAN: kept in index.json as `mealPlan` — { 'YYYY-MM-DD': { slot:
+ *    { recipe: id, eaten? } | { placeholder: 'leftovers' | 'out' } } }. Like the
+ *    shopping list, each change touches only the slots it sets, so planning
+ *    Tuesday on one device and Friday on another both survive the merge.
+ *    js/planner.js has the week math. `eaten` — { katie: true } — marks who
+ *    has had the meal, so it's logged for them.
+ *
+ * 1f. NUTRITION TARGETS: kept in index.json as `nutritionTargets` — { person:
+ *    { nutrient: daily amount } }, one key per change like the plan. Unset
+ *    nutrients fall back to DEFAULT_TARGETS; js/intake.js adds up the plan.
+ *
+ * 1g. CATEGORIES: kept in index.json as `categories` — { key: { label, emoji,
+ *    color, order } } — once they've been edited; until then DEFAULT_CATEGORIES.
+ *    Each change touches only the categories it edits. A recipe lists its keys in
+ *    `categories`, main one first; `category` is the main one, as it always was.
+ *
+ * 2. LOCAL CACHE: IndexedDB (database: 'healthyrecipes_cache', js/cache.js).
+ *    One record per recipe, so a save only rewrites what changed. Used as a
+ *    write-through cache and fallback if GitHub is unreachable. Older versions
+ *    kept everything in localStorage ('healthyrecipes_db' / '_sync'); init()
+ *    moves that into IndexedDB once. Failed writes (storage full) are reported
+ *    through recipeDB.onStorageError.
+ *
+ * 2a. PENDING WRITES: localStorage (key: 'healthyrecipes_pending').
+ *    Every add/update/remove is also appended to a journal of operations that
+ *    haven't reached GitHub yet. It survives reloads and is replayed, in order,
+ *    on top of the fresh GitHub copy in init() — so unsynced edits are never
+ *    thrown away — and flushed when the browser comes back online.
+ *    Mutations don't sync one by one: the journal is flushed SYNC_DEBOUNCE_MS
+ *    after the last change (or at the end of a batch()), and everything pending
+ *    goes out as ONE commit whose message is built from the journal
+ *    (describeChanges). Call flush() to sync right away, e.g. before leaving the page.
  *
  * 3. SEED FALLBACK: data/seed.json (git-tracked empty array).
- *    Loaded only when both GitHub fetch and localStorage are empty/failed.
+ *    Loaded only when both GitHub fetch and the local cache are empty/failed.
  *    NOTE: _loadSeed() reads seed.json, NOT recipes.json — intentional so
  *    that `git reset --hard` never clobbers the live recipe data on GitHub.
  *
@@ -29,17 +89,33 @@
 
 const DB_KEY = 'healthyrecipes_db';
 const SETTINGS_KEY = 'healthyrecipes_settings';
+const PENDING_KEY = 'healthyrecipes_pending';
+const SYNC_KEY = 'healthyrecipes_sync';
+const SYNC_RETRY_MS = 60 * 1000;
+const SYNC_DEBOUNCE_MS = 1000;        // quiet time before pending changes are synced…
+const SYNC_MAX_DELAY_MS = 10 * 1000;  // …but never wait longer than this while changes keep coming
+const TRASH_RETENTION_DAYS = 30;   // default; 0 = keep until purged by hand
+
+// ── Storage Layout ────────────────────────────────────────────
+const RECIPES_DIR = 'data/recipes';
+const INDEX_PATH  = `${RECIPES_DIR}/index.json`;
+const LEGACY_PATH = 'data/recipes.json';   // pre-split single-file database
 
 // ── Default Settings ──────────────────────────────────────────
 const DEFAULT_SETTINGS = {
+  storageBackend: 'github',   // github | indexeddb | rest — see js/backends.js
   githubToken: '',
   githubOwner: '',
   githubRepo: '',
   githubBranch: 'main',
+  restUrl: '',
+  restToken: '',
+  units: 'original',          // original | metric | us — see js/units.js
 };
 
 // ── Category Definitions ──────────────────────────────────────
-const CATEGORIES = {
+// The categories we start with. Edited ones live in index.json — use recipeDB.categories.
+const DEFAULT_CATEGORIES = {
   soups:       { label: 'Soups & Stews',        emoji: '🍜', color: '#FF6B6B' },
   pasta:       { label: 'Pasta & Noodles',       emoji: '🍝', color: '#FFA94D' },
   salads:      { label: 'Salads',                emoji: '🥗', color: '#51CF66' },
@@ -54,49 +130,118 @@ const CATEGORIES = {
   desserts:    { label: 'Desserts & Sweets',     emoji: '🎂', color: '#AE3EC9' },
 };
 
+/** A category's { label, emoji, color } — with a stand-in for keys that are no longer defined */
+function categoryInfo(key) {
+  return recipeDB.categories[key] || { label: key || 'Uncategorized', emoji: '🍽️', color: '#888' };
+}
+
+/** <option>s for a category <select>, with `selected` picked — kept even if it's no longer defined */
+function categoryOptionsHTML(selected) {
+  const keys = Object.keys(recipeDB.categories);
+  if (selected && !keys.includes(selected)) keys.push(selected);
+  return keys.map(key => {
+    const cat = categoryInfo(key);
+    return `<option value="${escHtml(key)}"${key === selected ? ' selected' : ''}>${cat.emoji} ${escHtml(cat.label)}</option>`;
+  }).join('');
+}
+
+/** Checkboxes for the other categories a recipe is also in; `main` is left out */
+function categoryPicksHTML(checked, main) {
+  return Object.entries(recipeDB.categories).filter(([key]) => key !== main).map(([key, cat]) =>
+    `<label class="cat-pick"><input type="checkbox" value="${escHtml(key)}"${checked.includes(key) ? ' checked' : ''} /> ${cat.emoji} ${escHtml(cat.label)}</label>`
+  ).join('');
+}
+
+/** The main category first, then whatever is ticked in the `picks` container */
+function pickedCategories(main, picks) {
+  return [main, ...[...picks.querySelectorAll('input:checked')].map(el => el.value).filter(k => k !== main)];
+}
+
 // ── RecipeDB Class ────────────────────────────────────────────
 class RecipeDB {
   constructor() {
     this._data = null;
+    this._backend = null;    // see js/backends.js — created from settings in init()
+    this._base = null;       // { version, recipes } as last loaded from / synced to the backend
+    this._versions = {};     // path → file version in the backend (blob SHA on GitHub), matching _base
+    this._remoteLoaded = false;
+    this._syncChain = Promise.resolve();
+    this._retryTimer = null;
+    this._debounceTimer = null;
+    this._scheduled = null;  // { promise, resolve, reject, since } — the debounced sync callers are waiting on
+    this._batchLabel = null; // set while batch() runs; ops are journaled but not synced until it ends
+    this._pending = this._loadPending();  // journal of ops not yet in the backend
+    this._cache = new RecipeCache();      // see js/cache.js
+    this._searchIndex = new SearchIndex(); // see js/search.js — kept up to date by _record() and search()
+    this._categories = null; // { stored, stamp, list } — what the `categories` getter last built
+    this._storageErrorShown = false;
+    // async (conflicts) => ['mine'|'theirs', …] — set by the page to prompt the user
+    this.onConflict = null;
+    // (message, error) => void — set by the page to show "storage full" etc.
+    this.onStorageError = null;
+    // What the schema check had to fix — see _checkSchema() and js/schema.js
+    this.repairReport = newRepairReport();
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this._flushPending().catch(() => {}));
+      // Don't leave changes waiting out the debounce when the tab is closed or hidden
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.flush().catch(() => {});
+      });
+    }
   }
 
-  /** Load recipes — always from GitHub API first when credentials exist so all devices stay in sync */
+  /** Load recipes, then migrate/validate them against the current schema */
   async init() {
-    const s = getSettings();
-    const hasGH = !!(s.githubToken && s.githubOwner && s.githubRepo);
-    console.log(`[db] init — GitHub configured: ${hasGH}`, hasGH ? `${s.githubOwner}/${s.githubRepo}` : '(no credentials)');
+    await this._load();
+    this._checkSchema();
+    this._purgeExpiredTrash();
+    this._searchIndex.sync(this.getAll());
+  }
+
+  /** Load recipes — always from the storage backend first when it's configured so all devices stay in sync */
+  async _load() {
+    // Settings may have changed since the last init (e.g. a different backend was picked)
+    this._backend = createBackend(getSettings());
+    this._remoteLoaded = false;
+    const backend = this.backend;
+    const ready = backend.isConfigured();
+    console.log(`[db] init — ${backend.label} configured: ${ready}`, ready ? backend.describe() : '(not set up)');
+    await this._migrateLocalStorage();
 
-    // 1) If GitHub is configured, fetch the canonical copy directly via API.
-    //    This bypasses any CDN/localStorage cache so every device always gets
+    // 1) If the backend is configured, fetch the canonical copy directly.
+    //    This bypasses any CDN/local cache so every device always gets
     //    the same data regardless of what's stored locally.
-    if (hasGH) {
+    let empty = false;
+    if (ready) {
       try {
-        const content = await this._ghReadFile(s, 'data/recipes.json');
-        if (content) {
-          const parsed = JSON.parse(content);
-          const count = (parsed.recipes || []).length;
-          console.log(`[db] ✅ Loaded ${count} recipe(s) from GitHub`);
-          this._data = parsed;
-          this._persist(); // keep localStorage in sync as a write-through cache
+        if (await this._loadRemote()) {
+          console.log(`[db] ✅ Loaded ${this._base.recipes.length} recipe(s) from ${backend.label}`);
+          this._persist(); // keep the IndexedDB cache in sync as a write-through cache
+          if (this._pending.length) {
+            console.log(`[db] Replayed ${this._pending.length} unsynced change(s) — flushing`);
+            this._flushPending().catch(() => {});
+          }
           return;
         } else {
-          console.warn('[db] GitHub fetch returned empty content');
+          console.warn(`[db] No recipe data in ${backend.label} yet`);
+          empty = true;
         }
       } catch (e) {
-        console.warn('[db] ❌ GitHub fetch failed, falling back to localStorage:', e.message);
+        console.warn(`[db] ❌ ${backend.label} fetch failed, falling back to local cache:`, e.message);
       }
     }
 
-    // 2) Fall back to localStorage cache (works offline or before GitHub is set up)
-    const raw = localStorage.getItem(DB_KEY);
-    if (raw) {
-      try {
-        this._data = JSON.parse(raw);
-        console.log(`[db] ⚠️ Using localStorage fallback — ${(this._data.recipes||[]).length} recipe(s)`);
-        return;
-      } catch (e) {
-        console.warn('DB parse error, reloading seed data', e);
+    // 2) Fall back to the local cache (works offline or before a backend is set up)
+    if (await this._loadCache()) {
+      console.log(`[db] ⚠️ Using local cache fallback — ${(this._data.recipes||[]).length} recipe(s)`);
+      // A freshly picked backend with nothing in it yet — copy our recipes over
+      if (empty && this._data.recipes?.length) {
+        console.log(`[db] Copying ${this._data.recipes.length} recipe(s) into ${backend.label}`);
+        this._startEmptyRemote();
+        this._syncToRemote().catch(e => console.warn('[db] initial copy failed:', e.message));
       }
+      return;
     }
 
     // 3) Last resort: load the static seed file bundled with the app
@@ -116,49 +261,122 @@ class RecipeDB {
     }
   }
 
-  _persist() {
-    localStorage.setItem(DB_KEY, JSON.stringify(this._data));
+  // ── Local Cache (IndexedDB) ─────────────────────────────────
+
+  /** Load _data from the IndexedDB cache (or a not-yet-migrated localStorage copy) */
+  async _loadCache() {
+    try {
+      const cached = await this._cache.load('recipes');
+      if (cached) {
+        this._data = { ...cached.meta, recipes: cached.recipes };
+        return true;
+      }
+    } catch (e) {
+      console.warn('[db] IndexedDB cache unavailable:', e.message);
+    }
+    // Browsers without IndexedDB (or where it failed) keep the old localStorage copy
+    const raw = localStorage.getItem(DB_KEY);
+    if (!raw) return false;
+    try {
+      this._data = JSON.parse(raw);
+      return true;
+    } catch (e) {
+      console.warn('DB parse error, reloading seed data', e);
+      return false;
+    }
+  }
+
+  /** Write-through to the cache — just the recipes in `ids` (plus order/metadata) when given */
+  _persist(ids) {
+    this._cacheWrite(this._cache.save('recipes', this._data, ids));
+  }
+
+  _cacheWrite(promise) {
+    promise.then(() => { this._storageErrorShown = false; }, e => this._storageFailed(e));
+  }
+
+  /** Report a failed local write (usually: storage full) to the page, once until writes work again */
+  _storageFailed(e) {
+    console.warn('[db] ❌ local storage write failed:', e && e.name, e && e.message);
+    if (this._storageErrorShown || !this.onStorageError) return;
+    this._storageErrorShown = true;
+    const msg = e && e.name === 'QuotaExceededError'
+      ? `Browser storage is full — changes still sync to ${this.backendLabel}, but this device's offline copy may be out of date`
+      : `Couldn't update this device's offline copy: ${e && e.message}`;
+    this.onStorageError(msg, e);
   }
 
-  /** Get all recipes */
+  /**
+   * One-time move of the old localStorage cache — the whole database in one
+   * key, plus the sync snapshot — into IndexedDB, one record per recipe.
+   * The keys are only removed once IndexedDB has the data.
+   */
+  async _migrateLocalStorage() {
+    const raw  = localStorage.getItem(DB_KEY);
+    const sync = localStorage.getItem(SYNC_KEY);
+    if ((!raw && !sync) || !this._cache.available) return;
+
+    let data = null, st = null;
+    try { data = JSON.parse(raw || 'null'); } catch (_) {}
+    try { st = JSON.parse(sync || 'null'); } catch (_) {}
+    try {
+      if (data && Array.isArray(data.recipes)) await this._cache.save('recipes', data);
+      if (st && st.base && Array.isArray(st.base.recipes)) {
+        // Saved before backends existed: no `backend`, and `shas` instead of `versions` — that was GitHub
+        const backend = st.backend || `github:${new GitHubBackend(getSettings()).describe()}`;
+        await this._cache.save('base', st.base, undefined, { backend, versions: st.versions || st.shas || {} });
+      }
+      localStorage.removeItem(DB_KEY);
+      localStorage.removeItem(SYNC_KEY);
+      console.log(`[db] Moved local cache to IndexedDB (${data?.recipes?.length || 0} recipe(s))`);
+    } catch (e) {
+      this._storageFailed(e);
+    }
+  }
+
+  /** Get all recipes (not the ones in the trash) */
   getAll() {
-    return (this._data?.recipes || []).slice();
+    return (this._data?.recipes || []).filter(r => !r.deletedAt);
   }
 
-  /** Get by ID */
+  /** Get by ID — null for trashed recipes too */
   getById(id) {
+    const recipe = this._find(id);
+    return recipe && !recipe.deletedAt ? recipe : null;
+  }
+
+  /** Any recipe in _data, trashed or not */
+  _find(id) {
     return this._data?.recipes?.find(r => r.id === id) || null;
   }
 
   /** Get recipes for a category */
   getByCategory(cat) {
-    return this.getAll().filter(r => r.category === cat);
+    return this.getAll().filter(r => recipeCategories(r).includes(cat));
   }
 
-  /** Search across name, tags, ingredients */
+  /** Recipes matching a search query (js/search.js has the syntax), best match first */
   search(query) {
-    const q = query.toLowerCase().trim();
-    if (!q) return this.getAll();
-    return this.getAll().filter(r => {
-      return (
-        r.name.toLowerCase().includes(q) ||
-        (r.notes || '').toLowerCase().includes(q) ||
-        (r.tags || []).some(t => t.toLowerCase().includes(q)) ||
-        (r.ingredients || []).some(i => i.toLowerCase().includes(q)) ||
-        (CATEGORIES[r.category]?.label || '').toLowerCase().includes(q)
-      );
-    });
+    // Category labels are searched too, so a renamed one means indexing afresh
+    if (this._indexedCategories !== this.categories) {
+      this._searchIndex = new SearchIndex();
+      this._indexedCategories = this.categories;
+    }
+    // Picks up recipes replaced by a sync or merge since the last search
+    return this._searchIndex.search(query, this.getAll());
   }
 
   /** Add a new recipe */
   async add(recipe) {
     if (!recipe.id) recipe.id = this._genId();
     recipe.dateAdded = recipe.dateAdded || new Date().toISOString().slice(0, 10);
-    this._data.recipes.push(recipe);
-    this._persist();
+    const checked = validateRecipe(recipe);
+    this._noteRepairs(checked.recipe, checked.fixes);
+    recipe = checked.recipe;
+    this._record({ op: 'add', id: recipe.id, recipe });
     try {
-      await this._syncToGitHub();
-      return { ...recipe, _syncOk: true };
+      await this._requestSync();
+      return { ...(this.getById(recipe.id) || recipe), _syncOk: true };
     } catch (e) {
       console.warn('[db] add() sync failed:', e.message);
       return { ...recipe, _syncOk: false, _syncError: e.message };
@@ -167,68 +385,442 @@ class RecipeDB {
 
   /** Update an existing recipe */
   async update(id, updates) {
-    const idx = this._data.recipes.findIndex(r => r.id === id);
-    if (idx === -1) return null;
-    this._data.recipes[idx] = { ...this._data.recipes[idx], ...updates, lastModified: new Date().toISOString().slice(0, 10) };
-    this._persist();
+    const current = this.getById(id);
+    if (!current) return null;
+    // Validate the result, but only write back the fields the caller changed
+    const checked = validateRecipe({ ...current, ...updates });
+    const keys = Object.keys(updates).filter(k => !k.startsWith('_'));
+    this._noteRepairs(checked.recipe, checked.fixes.filter(f => keys.some(k => f.startsWith(`${k}:`))));
+    // The main category and the list of them are written together
+    if (keys.includes('category') !== keys.includes('categories')) keys.push(keys.includes('category') ? 'categories' : 'category');
+    // Derived fields (parsedIngredients) follow the fields they're computed from
+    DERIVED_FIELDS.forEach(k => { if (!keys.includes(k) && !sameValue(checked.recipe[k], current[k])) keys.push(k); });
+    const clean = Object.fromEntries(keys.map(k => [k, checked.recipe[k]]));
+    this._record({ op: 'update', id, updates: { ...clean, lastModified: new Date().toISOString().slice(0, 10) } });
     try {
-      await this._syncToGitHub();
-      return { ...this._data.recipes[idx], _syncOk: true };
+      await this._requestSync();
+      return { ...this.getById(id), _syncOk: true };
     } catch (e) {
       console.warn('[db] update() sync failed:', e.message);
-      return { ...this._data.recipes[idx], _syncOk: false, _syncError: e.message };
+      return { ...this.getById(id), _syncOk: false, _syncError: e.message };
     }
   }
 
-  /** Save notes for a recipe (quick path, no GitHub sync) */
+  /** Save notes for a recipe (quick path — journaled, synced in the background) */
   saveNote(id, notes) {
-    const idx = this._data.recipes.findIndex(r => r.id === id);
-    if (idx === -1) return;
-    this._data.recipes[idx].notes = notes;
-    this._data.recipes[idx].lastModified = new Date().toISOString().slice(0, 10);
-    this._persist();
-    // Async GitHub sync – fire and forget for notes
-    this._syncToGitHub().catch(() => {});
+    if (!this.getById(id)) return;
+    this._record({ op: 'update', id, updates: { notes, lastModified: new Date().toISOString().slice(0, 10) } });
+    // Fire and forget — if it fails the journal keeps the note until the next flush
+    this._requestSync().catch(() => {});
   }
 
-  /** Delete a recipe */
+  /** Delete a recipe — moves it to the trash; see purge() for deleting for good */
   async remove(id) {
-    this._data.recipes = this._data.recipes.filter(r => r.id !== id);
-    this._persist();
+    if (!this.getById(id)) return { _syncOk: true };
+    const today = new Date().toISOString().slice(0, 10);
+    this._record({ op: 'update', id, updates: { deletedAt: today, lastModified: today } });
+    return this._flushResult('remove');
+  }
+
+  // ── Trash ───────────────────────────────────────────────────
+
+  /** Trashed recipes, most recently deleted first */
+  getTrash() {
+    return (this._data?.recipes || []).filter(r => r.deletedAt)
+      .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+  }
+
+  /** Take a recipe back out of the trash */
+  async restore(id) {
+    const recipe = this._find(id);
+    if (!recipe || !recipe.deletedAt) return null;
+    this._record({ op: 'update', id, updates: { lastModified: new Date().toISOString().slice(0, 10) }, unset: ['deletedAt'] });
+    return this._flushResult('restore', this.getById(id));
+  }
+
+  /** Delete a trashed recipe for good (its file is removed from the backend) */
+  async purge(id) {
+    const recipe = this._find(id);
+    if (!recipe || !recipe.deletedAt) return { _syncOk: true };
+    this._record({ op: 'remove', id });
+    return this._flushResult('purge');
+  }
+
+  /** Purge everything in the trash */
+  async emptyTrash() {
+    const trash = this.getTrash();
+    trash.forEach(r => this._record({ op: 'remove', id: r.id }));
+    return this._flushResult('emptyTrash', { count: trash.length });
+  }
+
+  /** Days a recipe stays in the trash before it's purged automatically (0 = never). Shared by all devices via index.json. */
+  get trashRetentionDays() {
+    const days = this._data?.trashRetentionDays;
+    return Number.isInteger(days) && days >= 0 ? days : TRASH_RETENTION_DAYS;
+  }
+
+  async setTrashRetention(days) {
+    days = Math.max(0, Math.round(Number(days) || 0));
+    if (days === this.trashRetentionDays) return { _syncOk: true };
+    this._record({ op: 'meta', updates: { trashRetentionDays: days } });
+    const result = await this._flushResult('setTrashRetention');
+    this._purgeExpiredTrash();
+    return result;
+  }
+
+  // ── Shopping List ───────────────────────────────────────────
+
+  /** { recipes: { id: multiplier }, checked: { key: true } } — shared by all devices via index.json */
+  get shoppingList() {
+    const list = this._data?.shoppingList || {};
+    return { recipes: { ...list.recipes }, checked: { ...list.checked } };
+  }
+
+  /** Put a recipe on the shopping list at `multiplier` × its servings; 0 takes it off */
+  async setShoppingRecipe(id, multiplier) {
+    const value = multiplier > 0 ? Math.round(multiplier * 100) / 100 : null;
+    this._record({ op: 'meta', updates: { shoppingList: { recipes: { [id]: value } } } });
+    return this._flushResult('setShoppingRecipe');
+  }
+
+  /** Tick an item (by shoppingKey()) off the list, or back on */
+  async setShoppingChecked(key, checked) {
+    this._record({ op: 'meta', updates: { shoppingList: { checked: { [key]: checked ? true : null } } } });
+    return this._flushResult('setShoppingChecked');
+  }
+
+  /** Untick everything — or, with `recipes`, empty the list altogether */
+  async clearShoppingList({ recipes = false } = {}) {
+    const list = this.shoppingList;
+    const none = keys => Object.fromEntries(Object.keys(keys).map(k => [k, null]));
+    this._record({ op: 'meta', updates: { shoppingList: { checked: none(list.checked), ...(recipes ? { recipes: none(list.recipes) } : {}) } } });
+    return this._flushResult('clearShoppingList');
+  }
+
+  // ── Meal Plan ───────────────────────────────────────────────
+
+  /** { day: { slot: { recipe } | { placeholder } } } — shared by all devices via index.json */
+  get mealPlan() {
+    return clone(this._data?.mealPlan || {});
+  }
+
+  /** Fill one slot of the plan with { recipe: id } or { placeholder }, or empty it with null */
+  async setMealSlot(day, slot, entry) {
+    return this.planMeals({ [day]: { [slot]: entry } });
+  }
+
+  /** Set several slots in one change — { day: { slot: entry | null } } */
+  async planMeals(days) {
+    const updates = {};
+    for (const [day, slots] of Object.entries(days)) {
+      updates[day] = {};
+      for (const [slot, entry] of Object.entries(slots)) {
+        // Every key every time, so a recipe replacing "Leftovers" doesn't keep the placeholder
+        updates[day][slot] = entry
+          ? { recipe: entry.recipe || null, placeholder: entry.placeholder || null, eaten: eatenSlot(entry.eaten) }
+          : null;
+      }
+    }
+    this._record({ op: 'meta', updates: { mealPlan: updates } });
+    return this._flushResult('planMeals');
+  }
+
+  /** Tick a planned meal as eaten by `person`, or untick it — an empty slot stays empty */
+  async logMeal(day, slot, person, eaten) {
+    const current = this._data?.mealPlan?.[day]?.[slot];
+    if (!current) return { _syncOk: true };
+    // Only this person's tick, so two people logging the same meal both count
+    const updates = { ...(current.eaten === true ? eatenSlot(true) : {}), [person]: eaten ? true : null };
+    this._record({ op: 'meta', updates: { mealPlan: { [day]: { [slot]: { eaten: updates } } } } });
+    return this._flushResult('logMeal');
+  }
+
+  // ── Nutrition Targets ───────────────────────────────────────
+
+  /** { person: { nutrient: daily amount } } as set — personTargets() fills in the defaults */
+  get nutritionTargets() {
+    return clone(this._data?.nutritionTargets || {});
+  }
+
+  /** Set one person's daily target for a nutrient; 0 turns it off, null goes back to the default */
+  async setNutritionTarget(person, nutrient, value) {
+    const amount = value === null || value === '' || isNaN(value) ? null : Math.max(0, Math.round(Number(value)));
+    this._record({ op: 'meta', updates: { nutritionTargets: { [person]: { [nutrient]: amount } } } });
+    return this._flushResult('setNutritionTarget');
+  }
+
+  // ── Categories ──────────────────────────────────────────────
+
+  /** { key: { label, emoji, color } } in display order — the same object until they change */
+  get categories() {
+    const stored = this._data?.categories;
+    if (this._categories && this._categories.stored === stored) return this._categories.list;
+    const list = stored
+      ? Object.fromEntries(Object.entries(stored).sort((a, b) => (a[1].order ?? 0) - (b[1].order ?? 0))
+          .map(([key, { label, emoji, color }]) => [key, { label: label || key, emoji: emoji || '🍽️', color: color || '#888' }]))
+      : DEFAULT_CATEGORIES;
+    // A sync brings a new `categories` object even when nothing in it changed
+    const stamp = JSON.stringify(list);
+    this._categories = { stored, stamp, list: this._categories?.stamp === stamp ? this._categories.list : list };
+    return this._categories.list;
+  }
+
+  /** Add a category (key null) or change one's label, emoji or color. Resolves to the sync result and its `key`. */
+  async saveCategory(key, { label, emoji, color }) {
+    const cats = this.categories;
+    const fields = Object.fromEntries(Object.entries({ label, emoji, color })
+      .filter(([, v]) => v != null).map(([k, v]) => [k, String(v).trim()]).filter(([, v]) => v));
+    if (!key) {
+      const base = foldText(fields.label || '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'category';
+      key = base;
+      for (let n = 2; cats[key]; n++) key = `${base}-${n}`;
+      fields.order = Object.keys(cats).length;
+    } else if (!cats[key]) {
+      return { _syncOk: true, key };
+    }
+    this._recordCategories({ [key]: fields });
+    return { ...(await this._flushResult('saveCategory')), key };
+  }
+
+  /** Move a category `delta` places along the bar */
+  async moveCategory(key, delta) {
+    const keys = Object.keys(this.categories);
+    const from = keys.indexOf(key), to = from + delta;
+    if (from === -1 || to < 0 || to >= keys.length) return { _syncOk: true };
+    keys.splice(to, 0, ...keys.splice(from, 1));
+    this._recordCategories(Object.fromEntries(keys.map((k, order) => [k, { order }])));
+    return this._flushResult('moveCategory');
+  }
+
+  /**
+   * Delete a category. Its recipes — trashed ones too — drop it, and any that
+   * were only in it move to `moveTo`. One commit for all of it.
+   */
+  async removeCategory(key, moveTo) {
+    const cats = this.categories;
+    if (!cats[key] || Object.keys(cats).length < 2) return { _syncOk: true };
+    if (!cats[moveTo] || moveTo === key) moveTo = Object.keys(cats).find(k => k !== key);
+    const today = new Date().toISOString().slice(0, 10);
+    return this.batch(async () => {
+      // Straight to the journal — update() doesn't see trashed recipes
+      for (const recipe of [...this.getAll(), ...this.getTrash()]) {
+        const list = recipeCategories(recipe);
+        if (!list.includes(key)) continue;
+        const rest = list.filter(k => k !== key);
+        const categories = rest.length ? rest : [moveTo];
+        this._record({ op: 'update', id: recipe.id, updates: { category: categories[0], categories, lastModified: today } });
+      }
+      this._recordCategories({ [key]: null });
+    }, `Delete category "${cats[key].label}"`);
+  }
+
+  /** Journal a change to `categories` — the first one writes out the defaults it starts from */
+  _recordCategories(updates) {
+    let categories = updates;
+    if (!this._data.categories) {
+      categories = Object.fromEntries(Object.entries(DEFAULT_CATEGORIES).map(([k, c], order) => [k, { ...c, order }]));
+      mergeMeta(categories, clone(updates));
+    }
+    this._record({ op: 'meta', updates: { categories } });
+    this._categories = null;
+  }
+
+  /** Date a trashed recipe will be purged automatically, or null if it won't be */
+  purgeDate(recipe) {
+    const days = this.trashRetentionDays;
+    if (!days || !recipe.deletedAt) return null;
+    const deleted = Date.parse(recipe.deletedAt);
+    return isNaN(deleted) ? null : new Date(deleted + days * 86400000);
+  }
+
+  /** Purge trashed recipes older than the retention period (run on load) */
+  _purgeExpiredTrash() {
+    const now = Date.now();
+    const expired = this.getTrash().filter(r => {
+      const at = this.purgeDate(r);
+      return at && at.getTime() <= now;
+    });
+    if (!expired.length) return 0;
+    console.log(`[db] 🗑️ Purging ${expired.length} recipe(s) in the trash for over ${this.trashRetentionDays} day(s)`);
+    expired.forEach(r => this._record({ op: 'remove', id: r.id }));
+    this._flushPending().catch(() => {});
+    return expired.length;
+  }
+
+  /** Sync the journal and report the outcome the way the mutation methods do */
+  async _flushResult(action, result) {
     try {
-      await this._syncToGitHub();
-      return { _syncOk: true };
+      await this._requestSync();
+      return { ...result, _syncOk: true };
     } catch (e) {
-      console.warn('[db] remove() sync failed:', e.message);
-      return { _syncOk: false, _syncError: e.message };
+      console.warn(`[db] ${action}() sync failed:`, e.message);
+      return { ...result, _syncOk: false, _syncError: e.message };
     }
   }
 
-  /** Export all data as JSON string */
-  exportJSON() {
-    return JSON.stringify(this._data, null, 2);
+  // ── Batched Sync ────────────────────────────────────────────
+
+  /**
+   * Run several mutations as one change. add/update/remove inside `fn` are
+   * applied and journaled as usual but resolve straight away; everything is
+   * synced together when `fn` finishes — on GitHub as a single commit titled
+   * `label` (e.g. "Add missing thumbnails"). Any change made while `fn` runs
+   * joins the batch, so don't wait on the network inside it — fetch first.
+   * → { result: fn's return value, _syncOk, _syncError? }
+   */
+  async batch(fn, label) {
+    if (this._batchLabel !== null) return { result: await fn(), _syncOk: true };  // nested: the outer batch syncs
+    this._batchLabel = label || '';
+    let result;
+    try {
+      result = await fn();
+    } finally {
+      this._batchLabel = null;
+    }
+    try {
+      await this.flush();
+      return { result, _syncOk: true };
+    } catch (e) {
+      console.warn('[db] batch sync failed:', e.message);
+      return { result, _syncOk: false, _syncError: e.message };
+    }
   }
 
-  /** Import from JSON string (merges by ID, adds new) */
-  importJSON(jsonStr) {
+  /** Sync everything pending now instead of waiting for the debounce. Await it before navigating away. */
+  async flush() {
+    clearTimeout(this._debounceTimer);
+    const waiting = this._scheduled;
+    this._scheduled = null;
+    try {
+      await this._flushPending();
+      if (waiting) waiting.resolve();
+    } catch (e) {
+      if (waiting) waiting.reject(e);
+      throw e;
+    }
+  }
+
+  /**
+   * Ask for a sync soon rather than now, so changes made close together
+   * share one write. Resolves/rejects with that sync; inside batch() it
+   * resolves at once (the batch syncs when it ends).
+   */
+  _requestSync() {
+    if (this._batchLabel !== null) return Promise.resolve();
+    if (!this._scheduled) {
+      let resolve, reject;
+      const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+      this._scheduled = { promise, resolve, reject, since: Date.now() };
+    }
+    clearTimeout(this._debounceTimer);
+    const wait = Math.min(SYNC_DEBOUNCE_MS, Math.max(0, this._scheduled.since + SYNC_MAX_DELAY_MS - Date.now()));
+    this._debounceTimer = setTimeout(() => this.flush().catch(() => {}), wait);
+    return this._scheduled.promise;
+  }
+
+  /** Number of local changes still waiting to reach the backend */
+  pendingCount() {
+    return this._pending.length;
+  }
+
+  /** Drop the local cache and any unsynced changes (used by "Reset to Seed Data") */
+  async clearLocal() {
+    this._pending = [];
+    localStorage.removeItem(PENDING_KEY);
+    localStorage.removeItem(SYNC_KEY);
+    localStorage.removeItem(DB_KEY);
+    try {
+      await this._cache.clear();
+    } catch (e) {
+      console.warn('[db] Failed to clear IndexedDB cache:', e.message);
+    }
+  }
+
+  /** The whole database (trash included), or just `recipes` in the same { version, recipes } shape */
+  exportJSON(recipes) {
+    const data = recipes ? { version: this._data.version, recipes } : this._data;
+    return JSON.stringify(data, null, 2);
+  }
+
+  // ── Import ──────────────────────────────────────────────────
+
+  /**
+   * Dry run of an import: parses, migrates and validates the file and compares
+   * every recipe with ours by id. Changes nothing.
+   * → { success, error?, items, skipped, errors }
+   *   items: [{ status: 'new' | 'changed' | 'same', recipe, existing, fixes, suggested }]
+   *   `suggested` is 'theirs' when the incoming copy was modified more recently, else 'mine'.
+   */
+  previewImport(jsonStr) {
     try {
       const imported = JSON.parse(jsonStr);
       const incoming = Array.isArray(imported) ? imported : (imported.recipes || []);
-      const existing = new Map(this._data.recipes.map(r => [r.id, r]));
-      incoming.forEach(r => existing.set(r.id, r));
-      this._data.recipes = Array.from(existing.values());
-      this._persist();
-      return { success: true, count: incoming.length };
+      if (!Array.isArray(incoming)) throw new Error('no recipes found in the file');
+      return this.previewRecipes(incoming, Array.isArray(imported) ? undefined : imported.version);
     } catch (e) {
       return { success: false, error: e.message };
     }
   }
 
+  /** previewImport() for recipes already parsed from some other format */
+  previewRecipes(incoming, version) {
+    // No version (a bare array, another app's export) — treat it like the oldest format
+    const migrated = migrateData({ version: version || '1.0', recipes: clone(incoming.filter(r => r && typeof r === 'object')) });
+    const byId = new Map(), errors = [];
+    migrated.data.recipes.forEach(r => {
+      if (!r.id) r.id = this._genId();
+      const { recipe, fixes, errors: problems } = validateRecipe(r);
+      if (problems.length) { errors.push({ id: r.id || '', name: r.name || '(unnamed)', fixes: [], errors: problems }); return; }
+      byId.set(recipe.id, { recipe, fixes: [...(migrated.fixes.get(r.id) || []), ...fixes] });
+    });
+
+    const stamp = r => r && String(r.lastModified || r.dateAdded || '');
+    const items = [...byId.values()].map(({ recipe, fixes }) => {
+      const existing = this._find(recipe.id);
+      const status = !existing ? 'new' : sameRecipe(existing, recipe) ? 'same' : 'changed';
+      const suggested = status === 'changed' && stamp(recipe) > stamp(existing) ? 'theirs' : 'mine';
+      return { status, recipe, existing, fixes, suggested };
+    });
+    return { success: true, items, skipped: incoming.length - items.length, errors };
+  }
+
+  /**
+   * Apply a previewImport() result. `choices` maps recipe id → what to do:
+   *   'theirs' — take the imported copy ('new' recipes default to this)
+   *   'mine'   — keep ours / skip it
+   *   'both'   — keep ours and add the imported one as a copy with a new id
+   * Everything is synced together as one write (one commit on GitHub).
+   * → { added, replaced, copied, _syncOk, _syncError? }
+   */
+  async applyImport(preview, choices = {}) {
+    const counts = { added: 0, replaced: 0, copied: 0 };
+    const sync = await this.batch(() => {
+      preview.errors.forEach(e => this._noteRepairs(e, [], e.errors));
+      preview.items.forEach(item => {
+        if (item.status === 'same') return;
+        const choice = choices[item.recipe.id] || (item.status === 'new' ? 'theirs' : item.suggested);
+        if (choice === 'mine') return;
+        let recipe = clone(item.recipe);
+        if (choice === 'both' && item.status === 'changed') {
+          recipe = { ...recipe, id: this._genId(), name: `${recipe.name} (imported)`, dateAdded: new Date().toISOString().slice(0, 10) };
+          counts.copied++;
+        } else if (item.status === 'changed') {
+          counts.replaced++;
+        } else {
+          counts.added++;
+        }
+        this._noteRepairs(recipe, item.fixes);
+        this._record({ op: 'add', id: recipe.id, recipe, ...(recipe.id === item.recipe.id && item.existing ? { replace: true } : {}) });
+      });
+    }, 'Import');
+    return { ...counts, _syncOk: sync._syncOk, ...(sync._syncError ? { _syncError: sync._syncError } : {}) };
+  }
+
   /** Statistics */
   stats() {
     const recipes = this.getAll();
     const catCounts = {};
-    recipes.forEach(r => { catCounts[r.category] = (catCounts[r.category] || 0) + 1; });
+    recipes.forEach(r => recipeCategories(r).forEach(c => { catCounts[c] = (catCounts[c] || 0) + 1; }));
     return {
       total: recipes.length,
       categories: Object.keys(catCounts).length,
@@ -241,70 +833,497 @@ class RecipeDB {
     return 'r' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
   }
 
-  // ── GitHub Sync ─────────────────────────────────────────────
+  // ── Schema Check ────────────────────────────────────────────
+
+  /**
+   * Bring freshly loaded data up to SCHEMA_VERSION and repair anything the
+   * validator flags. Repairs are journaled like ordinary edits, so they reach
+   * the backend (and other devices) on the next sync. So are derived fields the
+   * validator had to work out — recipes saved by an older version, or estimates
+   * gone stale after a NUTRITION_DATA_VERSION bump — though they aren't repairs.
+   */
+  _checkSchema() {
+    const report = newRepairReport();
+    const draft  = { version: this._data.version, recipes: this._data.recipes.map(clone) };
+    const migrated = migrateData(draft);
+    report.from = migrated.from;
+    report.to   = migrated.to;
+    this.repairReport = report;
+
+    let changed = 0, derived = 0;
+    draft.recipes.forEach((r, i) => {
+      const { recipe, fixes, errors } = validateRecipe(r);
+      if (errors.length) { this._noteRepairs(r, [], errors); return; }
+      const original = this._data.recipes[i];
+      const all = [...(migrated.fixes.get(r.id) || []), ...fixes];
+      if (!all.length) {
+        const updates = {};
+        DERIVED_FIELDS.forEach(k => { if (!sameValue(recipe[k], original[k])) updates[k] = recipe[k]; });
+        if (!Object.keys(updates).length) return;
+        this._record({ op: 'update', id: r.id, updates, label: 'Update computed fields' });
+        derived++;
+        return;
+      }
+      this._noteRepairs(recipe, all);
 
-  /** Fetch a file's decoded text content from the GitHub API */
-  async _ghReadFile(s, path) {
-    const url = `https://api.github.com/repos/${s.githubOwner}/${s.githubRepo}/contents/${path}?ref=${s.githubBranch || 'main'}`;
-    const res = await fetch(url, {
-      headers: {
-        'Authorization': `Bearer ${s.githubToken}`,
-        'Accept': 'application/vnd.github+json',
-      },
+      const updates = {};
+      Object.keys(recipe).forEach(k => { if (!sameValue(recipe[k], original[k])) updates[k] = recipe[k]; });
+      const unset = Object.keys(original).filter(k => !(k in recipe));
+      this._record({ op: 'update', id: r.id, updates, ...(unset.length ? { unset } : {}) });
+      changed++;
     });
-    if (!res.ok) return null;
-    const d = await res.json();
-    return decodeURIComponent(escape(atob(d.content.replace(/\n/g, ''))));
+
+    if (migrated.to !== this._data.version) {
+      this._record({ op: 'meta', updates: { version: migrated.to } });
+      changed++;
+    }
+    if (!changed && !derived) return;
+    if (changed) console.log(`[db] 🩺 Schema check (${report.from} → ${report.to}) repaired ${report.recipes.length} recipe(s)`);
+    if (derived) console.log(`[db] 🩺 Worked out estimates / times for ${derived} recipe(s)`);
+    this._flushPending().catch(() => {});
   }
 
-  async _syncToGitHub() {
-    const s = getSettings();
-    console.log('[db] sync — token:', s.githubToken ? s.githubToken.slice(0,12)+'...' : 'MISSING',
-               'owner:', s.githubOwner || 'MISSING', 'repo:', s.githubRepo || 'MISSING');
-    if (!s.githubToken || !s.githubOwner || !s.githubRepo) {
-      throw new Error('GitHub credentials not found — check config.js loaded correctly');
+  /** Add a recipe's fixes (or unfixable errors) to the repair report */
+  _noteRepairs(recipe, fixes, errors = []) {
+    if (!fixes.length && !errors.length) return;
+    const entry = { id: recipe.id || '', name: recipe.name || '(unnamed)', fixes, errors };
+    const list = errors.length ? this.repairReport.errors : this.repairReport.recipes;
+    const idx = list.findIndex(e => e.id && e.id === entry.id);
+    if (idx === -1) list.push(entry);
+    else list[idx] = { ...entry, fixes: [...new Set([...list[idx].fixes, ...fixes])] };
+    console.log(`[db] 🩺 ${entry.name}:`, [...fixes, ...errors].join('; '));
+  }
+
+  // ── Pending Write Journal ───────────────────────────────────
+
+  _loadPending() {
+    try {
+      const list = JSON.parse(localStorage.getItem(PENDING_KEY) || '[]');
+      return Array.isArray(list) ? list : [];
+    } catch (_) { return []; }
+  }
+
+  _savePending() {
+    try {
+      if (this._pending.length) localStorage.setItem(PENDING_KEY, JSON.stringify(this._pending));
+      else localStorage.removeItem(PENDING_KEY);
+    } catch (e) {
+      // Still in memory and still syncing — it just won't survive a reload
+      this._storageFailed(e);
     }
-    await this._ghUpdateFile(s, 'data/recipes.json', JSON.stringify(this._data, null, 2));
-    console.log('[db] ✅ Synced to GitHub successfully');
   }
 
-  async _ghUpdateFile(s, path, content) {
-    const url = `https://api.github.com/repos/${s.githubOwner}/${s.githubRepo}/contents/${path}`;
-    const headers = {
-      'Authorization': `Bearer ${s.githubToken}`,
-      'Accept': 'application/vnd.github+json',
-      'Content-Type': 'application/json',
-    };
+  /** Journal an operation and apply it to the in-memory data + cache */
+  _record(op) {
+    const last = this._pending[this._pending.length - 1];
+    op.seq = (last ? last.seq : 0) + 1;
+    op.at  = new Date().toISOString();
+    if (this._batchLabel) op.label = this._batchLabel;
+    this._pending.push(op);
+    this._savePending();
+    applyPendingOp(this._data, op);
+    this._persist(op.id ? [op.id] : []);
+    if (op.id) {
+      const recipe = this.getById(op.id);
+      if (recipe) this._searchIndex.add(recipe);
+      else this._searchIndex.remove(op.id);
+    }
+  }
 
-    // Get current SHA
-    let sha;
+  /** Push pending ops to the backend. Resolves when the journal is empty. */
+  async _flushPending() {
+    clearTimeout(this._retryTimer);
+    if (!this._pending.length) return;
     try {
-      const res = await fetch(url, { headers });
-      if (res.ok) { const d = await res.json(); sha = d.sha; }
+      await this._syncToRemote();
+    } catch (e) {
+      // Keep the journal and try again later (or as soon as we're back online)
+      this._retryTimer = setTimeout(() => this._flushPending().catch(() => {}), SYNC_RETRY_MS);
+      throw e;
+    }
+  }
+
+  /** Forget journal entries up to and including `seq` (optionally for one recipe) — they're in the backend now */
+  _ackPending(seq, id) {
+    const before = this._pending.length;
+    this._pending = this._pending.filter(op => op.seq > seq || (id !== undefined && op.id !== id));
+    if (this._pending.length !== before) this._savePending();
+  }
+
+  /** Adopt a backend snapshot as the new base and replay unsynced ops on top of it */
+  _rebaseOnRemote(base, versions) {
+    this._base = base;
+    this._versions = versions;
+    this._remoteLoaded = true;
+    const data = clone(base);
+    this._pending.forEach(op => applyPendingOp(data, op));
+    this._data = data;
+    this._saveSyncState();
+  }
+
+  /** The backend has no recipes yet — everything we have is an addition (index included) */
+  _startEmptyRemote() {
+    this._base = { recipes: [] };
+    this._versions = {};
+    this._remoteLoaded = true;
+  }
+
+  // ── Sync State (what the backend had at last load/sync) ─────
+
+  async _loadSyncState() {
+    try {
+      const st = await this._cache.load('base');
+      if (st && st.extra.backend === this._backendKey()) {
+        return { base: { ...st.meta, recipes: st.recipes }, versions: st.extra.versions || {} };
+      }
     } catch (_) {}
+    return { base: { recipes: [] }, versions: {} };
+  }
+
+  /** Cache the backend snapshot — just the recipes in `ids` (plus versions/metadata) when given */
+  _saveSyncState(ids) {
+    this._cacheWrite(this._cache.save('base', this._base, ids, { backend: this._backendKey(), versions: this._versions }));
+  }
+
+  _setBaseRecipe(id, recipe, version) {
+    const path = recipePath(id);
+    const idx  = this._base.recipes.findIndex(r => r.id === id);
+    if (recipe) {
+      if (idx === -1) this._base.recipes.push(recipe);
+      else this._base.recipes[idx] = recipe;
+      this._versions[path] = version;
+    } else {
+      if (idx !== -1) this._base.recipes.splice(idx, 1);
+      delete this._versions[path];
+    }
+  }
 
-    const body = {
-      message: `recipe-tracker: auto-sync ${new Date().toISOString().slice(0,10)}`,
-      content: btoa(unescape(encodeURIComponent(content))),
-      branch: s.githubBranch || 'main',
+  // ── Remote Sync ─────────────────────────────────────────────
+
+  /** Storage backend picked in Settings (see js/backends.js) */
+  get backend() {
+    if (!this._backend) this._backend = createBackend(getSettings());
+    return this._backend;
+  }
+
+  /** Where recipes are stored, for messages like "synced to GitHub" */
+  get backendLabel() {
+    return this.backend.label;
+  }
+
+  /** Identifies the store that _base/_versions came from, so switching backends starts fresh */
+  _backendKey() {
+    return `${this.backend.kind}:${this.backend.describe()}`;
+  }
+
+  /**
+   * Load data/recipes/ from the backend. Only recipe files whose version
+   * differs from our cached copy are downloaded, so a normal page load is one
+   * directory listing plus whatever changed since last time.
+   * Returns false if the backend has no recipe data at all.
+   */
+  async _loadRemote() {
+    const listing = await this.backend.list(RECIPES_DIR);
+    if (!listing) {
+      // One-time migration from the old single-file layout
+      const legacy = await this.backend.read(LEGACY_PATH);
+      if (!legacy) return false;
+      await this._migrateLegacy(JSON.parse(legacy.content));
+      return true;
+    }
+
+    const cached   = await this._loadSyncState();
+    const cachedBy = new Map(cached.base.recipes.map(r => [r.id, r]));
+    const files    = listing.filter(f => f.name.endsWith('.json'));
+    const versions = {};
+
+    let index = null;
+    const indexFile = files.find(f => f.path === INDEX_PATH);
+    if (indexFile) {
+      if (cached.versions[INDEX_PATH] === indexFile.version) {
+        const { recipes, ...rest } = cached.base;
+        index = { ...rest, recipes: recipes.map(r => r.id) };
+      } else {
+        index = JSON.parse((await this.backend.read(INDEX_PATH)).content);
+      }
+      versions[INDEX_PATH] = indexFile.version;
+    }
+
+    const recipeFiles = files.filter(f => f.path !== INDEX_PATH);
+    const byId = new Map();
+    await Promise.all(recipeFiles.map(async f => {
+      const id = f.name.slice(0, -'.json'.length);
+      let recipe = cached.versions[f.path] === f.version ? cachedBy.get(id) : null;
+      if (!recipe) {
+        const file = await this.backend.read(f.path);
+        if (!file) return; // deleted between listing and fetch
+        recipe = JSON.parse(file.content);
+      }
+      byId.set(id, recipe);
+      versions[f.path] = f.version;
+    }));
+    console.log(`[db] ${recipeFiles.length - recipeFiles.filter(f => cached.versions[f.path] === f.version).length} recipe file(s) changed since last load`);
+
+    // Order by the index; recipes added since the index was written go last, oldest first
+    const { recipes: order = [], ...meta } = index || { version: '1.0' };
+    const ids = order.filter(id => byId.has(id));
+    const seen = new Set(ids);
+    const extra = [...byId.keys()].filter(id => !seen.has(id)).sort((a, b) =>
+      String(byId.get(a).dateAdded || '').localeCompare(String(byId.get(b).dateAdded || '')) || a.localeCompare(b)
+    );
+
+    this._rebaseOnRemote({ ...meta, recipes: [...ids, ...extra].map(id => byId.get(id)) }, versions);
+    return true;
+  }
+
+  /** Split the old monolithic data/recipes.json into one file per recipe + index */
+  async _migrateLegacy(legacy) {
+    const { recipes = [], ...meta } = legacy;
+    console.log(`[db] Migrating ${recipes.length} recipe(s) from ${LEGACY_PATH} to ${RECIPES_DIR}/`);
+    const versions = {};
+    for (const r of recipes) {
+      if (!r.id) r.id = this._genId();
+      // Unconditional write — a half-finished earlier migration may have left the file
+      const res = await this.backend.write(recipePath(r.id), JSON.stringify(r, null, 2));
+      versions[recipePath(r.id)] = res.version;
+    }
+    const res = await this.backend.write(INDEX_PATH, JSON.stringify({ ...meta, recipes: recipes.map(r => r.id) }, null, 2));
+    versions[INDEX_PATH] = res.version;
+    // data/recipes.json is left in place, untouched, as a backup of the pre-migration data
+    this._rebaseOnRemote({ ...meta, recipes }, versions);
+  }
+
+  /** Push _data to the backend. Calls are queued so two saves never race each other. */
+  _syncToRemote() {
+    const run = this._syncChain.then(() => this._doSync());
+    this._syncChain = run.catch(() => {});
+    return run;
+  }
+
+  async _doSync() {
+    const backend = this.backend;
+    console.log(`[db] sync — ${backend.label}:`, backend.isConfigured() ? backend.describe() : 'NOT CONFIGURED');
+    if (!backend.isConfigured()) throw new Error(backend.configError());
+
+    // Loaded from the local cache (backend was unreachable at init) — there's no
+    // trustworthy base to merge against, so rebuild from the remote copy + journal
+    if (!this._remoteLoaded) {
+      if (!(await this._loadRemote())) this._startEmptyRemote();
+      this._persist();
+    }
+
+    const last = this._pending[this._pending.length - 1];
+    const seq  = last ? last.seq : 0;
+
+    // Only the recipes that actually differ from the backend get written
+    const ids = new Set([...this._base.recipes.map(r => r.id), ...this._data.recipes.map(r => r.id)]);
+    const changed = [...ids].filter(id => !sameValue(this._find(id), this._base.recipes.find(r => r.id === id) || null));
+    const indexChanged = () => {
+      const { recipes: _b, ...baseMeta } = this._base;
+      const { recipes: _d, ...dataMeta } = this._data;
+      return !sameValue(baseMeta, dataMeta);
     };
-    if (sha) body.sha = sha;
 
-    const res = await fetch(url, { method: 'PUT', headers, body: JSON.stringify(body) });
-    if (!res.ok) throw new Error(`GitHub API ${res.status}: ${await res.text()}`);
-    return res.json();
+    // Several files → one commit where the backend can do that
+    if (backend.writeBatch && changed.length + (indexChanged() ? 1 : 0) > 1) {
+      try {
+        await this._syncBatch(changed, indexChanged(), seq, this._describe(this._pending));
+      } catch (e) {
+        if (!e.conflict) throw e;
+        console.warn(`[db] Batch write hit a conflict (${e.status}) — syncing file by file`);
+      }
+    }
+
+    // Whatever the batch didn't cover (or all of it, after a conflict) — merging where needed
+    for (const id of ids) await this._syncRecipe(id, seq);
+    if (indexChanged()) await this._syncIndex();
+
+    this._ackPending(seq);
+    this._saveSyncState([]);
+    console.log(`[db] ✅ Synced to ${backend.label} successfully`);
+  }
+
+  /** Commit message for some journaled ops (see describeChanges) */
+  _describe(ops) {
+    return describeChanges(ops, id => (this._find(id) || this._base.recipes.find(r => r.id === id))?.name);
   }
 
-  /** Save a scraped recipe as its own HTML page in GitHub */
+  /** Write the changed recipe files (and the index) in one backend call — one commit on GitHub */
+  async _syncBatch(ids, withIndex, seq, message) {
+    const recipes = ids.map(id => clone(this._find(id)));
+    const changes = ids.map((id, i) => {
+      const path = recipePath(id);
+      return recipes[i]
+        ? { path, content: JSON.stringify(recipes[i], null, 2), version: this._versions[path] || null }
+        : { path, content: null, version: this._versions[path] };
+    });
+    const { recipes: order, ...meta } = this._data;
+    const index = withIndex ? { ...clone(meta), recipes: order.map(r => r.id) } : null;
+    if (index) changes.push({ path: INDEX_PATH, content: JSON.stringify(index, null, 2), version: this._versions[INDEX_PATH] || null });
+
+    console.log(`[db] Writing ${changes.length} file(s) to ${this.backend.label} in one batch`);
+    const versions = await this.backend.writeBatch(changes, message);
+
+    ids.forEach((id, i) => {
+      this._setBaseRecipe(id, recipes[i], versions[recipePath(id)]);
+      this._ackPending(seq, id);
+    });
+    if (index) {
+      const { recipes: _r, ...written } = index;
+      this._base = { ...written, recipes: this._base.recipes };
+      this._versions[INDEX_PATH] = versions[INDEX_PATH];
+    }
+    this._saveSyncState(ids);
+  }
+
+  /** Write (or delete) one recipe file, merging with the remote copy if it moved on */
+  async _syncRecipe(id, seq) {
+    const path = recipePath(id);
+    const message = this._describe(this._pending.filter(op => op.id === id));
+    // A few rounds in case another device keeps saving while we merge
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const mine = this._find(id);
+      const base = this._base.recipes.find(r => r.id === id) || null;
+      if (sameValue(mine, base)) { this._ackPending(seq, id); return; }
+
+      try {
+        if (mine) {
+          const res = await this.backend.write(path, JSON.stringify(mine, null, 2), this._versions[path] || null, message);
+          this._setBaseRecipe(id, clone(mine), res.version);
+        } else {
+          await this.backend.remove(path, this._versions[path], message);
+          this._setBaseRecipe(id, null);
+        }
+        this._ackPending(seq, id);
+        this._saveSyncState([id]);
+        return;
+      } catch (e) {
+        if (!e.conflict) throw e;
+        console.warn(`[db] ${path} changed in ${this.backend.label} since load (${e.status}) — merging`);
+        await this._mergeRecipe(id);
+      }
+    }
+    throw new Error(`The copy in ${this.backend.label} keeps changing — please reload and try again`);
+  }
+
+  /** Three-way merge the remote copy of one recipe into _data, prompting for real conflicts */
+  async _mergeRecipe(id) {
+    const path   = recipePath(id);
+    const file   = await this.backend.read(path);
+    const theirs = file ? JSON.parse(file.content) : null;
+    const base   = this._base.recipes.find(r => r.id === id);
+    const mine   = this._find(id);
+    const last = this._pending[this._pending.length - 1];
+    const seq  = last ? last.seq : 0;
+
+    const wrap = r => ({ recipes: r ? [r] : [] });
+    const { data, conflicts } = mergeRecipeData(wrap(base), wrap(mine), wrap(theirs));
+    if (conflicts.length) {
+      console.warn(`[db] ${conflicts.length} conflict(s) need a decision`);
+      const choices = this.onConflict
+        ? await this.onConflict(conflicts)
+        : conflicts.map(() => 'theirs');
+      conflicts.forEach((c, i) => applyConflictChoice(data, c, choices[i]));
+    }
+
+    // Edits made while the user was deciding weren't part of the merge
+    this._pending.filter(op => op.seq > seq && op.id === id).forEach(op => applyPendingOp(data, op));
+
+    const merged = data.recipes[0] || null;
+    const idx = this._data.recipes.findIndex(r => r.id === id);
+    if (merged && idx !== -1) this._data.recipes[idx] = merged;
+    else if (merged) this._data.recipes.push(merged);
+    else if (idx !== -1) this._data.recipes.splice(idx, 1);
+
+    this._setBaseRecipe(id, theirs, file && file.version);
+    this._persist([id]);
+  }
+
+  /** Rewrite the index (ordering + top-level metadata) when the metadata changed */
+  async _syncIndex() {
+    const message = this._describe(this._pending.filter(op => op.op === 'meta'));
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const { recipes, ...meta } = this._data;
+      const index = { ...meta, recipes: recipes.map(r => r.id) };
+      try {
+        const res = await this.backend.write(INDEX_PATH, JSON.stringify(index, null, 2), this._versions[INDEX_PATH] || null, message);
+        this._base = { ...clone(meta), recipes: this._base.recipes };
+        this._versions[INDEX_PATH] = res.version;
+        return;
+      } catch (e) {
+        if (!e.conflict) throw e;
+        const file = await this.backend.read(INDEX_PATH);
+        const { recipes: _t, ...theirs } = file ? JSON.parse(file.content) : {};
+        const { recipes: _b, ...base }   = this._base;
+        const { data, conflicts } = mergeRecipeData({ ...base, recipes: [] }, { ...meta, recipes: [] }, { ...theirs, recipes: [] });
+        if (conflicts.length) {
+          const choices = this.onConflict ? await this.onConflict(conflicts) : conflicts.map(() => 'theirs');
+          conflicts.forEach((c, i) => applyConflictChoice(data, c, choices[i]));
+        }
+        const { recipes: _m, ...merged } = data;
+        Object.keys(meta).forEach(k => { if (!(k in merged)) delete this._data[k]; });
+        Object.assign(this._data, merged);
+        this._base = { ...theirs, recipes: this._base.recipes };
+        this._versions[INDEX_PATH] = file && file.version;
+        this._persist([]);
+      }
+    }
+    throw new Error(`The copy in ${this.backend.label} keeps changing — please reload and try again`);
+  }
+
+  // ── Revision History ────────────────────────────────────────
+
+  /** True when the backend keeps past versions of files (GitHub commits) */
+  get hasHistory() {
+    return typeof this.backend.history === 'function';
+  }
+
+  /** Past versions of a recipe's own file, newest first → [{ ref, date, message, author, path }] */
+  async history(id, limit) {
+    const path = recipePath(id);
+    return (await this.backend.history(path, limit)).map(c => ({ ...c, path }));
+  }
+
+  /**
+   * Versions of a recipe from before the per-file layout, i.e. commits of
+   * data/recipes.json. Every sync rewrote that file, so each commit is fetched
+   * and only the ones where this recipe actually changed are kept.
+   */
+  async legacyHistory(id, limit = 30) {
+    const commits = await this.backend.history(LEGACY_PATH, limit);
+    const out = [];
+    let prev;
+    for (const c of commits.slice().reverse()) {   // oldest first
+      const entry = { ...c, path: LEGACY_PATH };
+      const recipe = await this.revision(id, entry);
+      if (recipe && !sameValue(recipe, prev)) out.push(entry);
+      prev = recipe;
+    }
+    return out.reverse();
+  }
+
+  /** The recipe as it was at a history entry (null if it didn't exist then). Cached on the entry. */
+  async revision(id, entry) {
+    if (entry.recipe !== undefined) return entry.recipe;
+    const content = await this.backend.readAt(entry.path, entry.ref);
+    let recipe = null;
+    if (content != null) {
+      const parsed = JSON.parse(content);
+      recipe = entry.path === LEGACY_PATH ? (parsed.recipes || []).find(r => r.id === id) || null : parsed;
+    }
+    entry.recipe = recipe;
+    return recipe;
+  }
+
+  /** Save a scraped recipe as its own HTML page in the backend */
   async saveRecipePage(recipe) {
-    const s = getSettings();
-    if (!s.githubToken || !s.githubOwner || !s.githubRepo) return false;
+    if (!this.backend.isConfigured()) return false;
     try {
       const html = generateRecipePageHTML(recipe);
-      await this._ghUpdateFile(s, `recipes/${recipe.id}.html`, html);
+      await this.backend.write(`recipes/${recipe.id}.html`, html);
       return true;
     } catch (e) {
-      console.warn('Failed to save recipe page to GitHub:', e.message);
+      console.warn(`Failed to save recipe page to ${this.backend.label}:`, e.message);
       return false;
     }
   }
@@ -331,17 +1350,23 @@ function saveSettings(settings) {
 
 // ── Generate standalone recipe HTML page ─────────────────────
 function generateRecipePageHTML(recipe) {
-  const cat = CATEGORIES[recipe.category] || { label: recipe.category, emoji: '🍽️' };
+  const cat = categoryInfo(recipe.category);
   const ingredientItems = (recipe.ingredients || []).map(i =>
     i.trim() === '' ? `<li class="ingredient-separator-plain"></li>` : `<li>• ${escHtml(i)}</li>`
   ).join('\n');
   const stepItems = (recipe.steps || []).map((s, i) =>
     `<li><span class="step-n">${i + 1}</span>${escHtml(s)}</li>`
   ).join('\n');
-  const nut = recipe.nutrition || {};
-  const nutritionRows = Object.entries(nut).filter(([k]) => k !== 'calories').map(([k, v]) =>
-    `<tr><td>${escHtml(toTitleCase(k))}</td><td>${escHtml(String(v))}</td></tr>`
-  ).join('\n');
+  // Own facts first, estimates from the ingredients (nutrition.js) marked with ~
+  const facts = nutritionOf(recipe);
+  const estimated = Object.values(facts).some(f => f.estimated);
+  const cal = facts.calories ? `${facts.calories.estimated ? '~' : ''}${facts.calories.value}` : '';
+  const nutritionRows = [
+    ...Object.entries(NUTRIENTS).filter(([k]) => k !== 'calories' && facts[k]).map(([k, n]) =>
+      `<tr><td>${n.label}</td><td>${facts[k].estimated ? '~' : ''}${escHtml(facts[k].text)}</td></tr>`),
+    ...Object.entries(recipe.nutrition || {}).filter(([k]) => !(k in NUTRIENTS)).map(([k, v]) =>
+      `<tr><td>${escHtml(toTitleCase(k))}</td><td>${escHtml(String(v))}</td></tr>`),
+  ].join('\n');
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -376,13 +1401,14 @@ function generateRecipePageHTML(recipe) {
 </head>
 <body>
 <a class="back" href="../index.html">← Back to Team KD's Recipes</a>
-<p style="font-size:0.8rem;color:#999;text-transform:uppercase;letter-spacing:0.08em;font-weight:700;margin-bottom:8px">${cat.emoji} ${escHtml(cat.label)}</p>
+<p style="font-size:0.8rem;color:#999;text-transform:uppercase;letter-spacing:0.08em;font-weight:700;margin-bottom:8px">${cat.emoji} ${recipeCategories(recipe).map(c => escHtml(categoryInfo(c).label)).join(' · ')}</p>
 <h1>${recipe.emoji || '🍽️'} ${escHtml(recipe.name)}</h1>
 <div class="meta">
-  <span class="cal">🔥 ${recipe.calories} cal / serving</span>
+  ${cal ? `<span class="cal">🔥 ${cal} cal / serving</span>` : ''}
   ${recipe.servings ? `<span>👥 ${recipe.servings} servings</span>` : ''}
   ${recipe.prepTime ? `<span>⏱ Prep: ${escHtml(recipe.prepTime)}</span>` : ''}
   ${recipe.cookTime ? `<span>🍳 Cook: ${escHtml(recipe.cookTime)}</span>` : ''}
+  ${recipeTotalTime(recipe) ? `<span>⏰ Ready in ${escHtml(recipeTotalTime(recipe))}</span>` : ''}
   ${(recipe.tags || []).map(t => `<span>${escHtml(t)}</span>`).join('')}
 </div>
 ${recipe.source ? `<p class="source">Original source: <a href="${escHtml(recipe.source)}" target="_blank" rel="noopener">${escHtml(recipe.source)}</a></p>` : ''}
@@ -397,12 +1423,13 @@ ${ingredientItems}
 ${stepItems}
 </ol>
 
-${Object.keys(nut).length > 0 ? `
+${cal || nutritionRows ? `
 <h2>📊 Nutrition Facts <small style="font-size:0.7em;font-weight:400;color:#888">(per serving)</small></h2>
 <table class="nut">
-<tr><td><strong>Calories</strong></td><td><strong>${nut.calories || recipe.calories}</strong></td></tr>
+${cal ? `<tr><td><strong>Calories</strong></td><td><strong>${cal}</strong></td></tr>` : ''}
 ${nutritionRows}
-</table>` : ''}
+</table>
+${estimated ? `<p class="source">~ estimated from the ingredients</p>` : ''}` : ''}
 
 ${recipe.notes ? `
 <h2>📝 Notes</h2>
@@ -422,6 +1449,117 @@ function escHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
+function recipePath(id) {
+  return `${RECIPES_DIR}/${id}.json`;
+}
+
+/** Apply one journaled operation to a { recipes: [...] } object (in place) */
+function applyPendingOp(data, op) {
+  const idx = data.recipes.findIndex(r => r.id === op.id);
+  if (op.op === 'add') {
+    if (idx === -1) data.recipes.push(clone(op.recipe));
+    else data.recipes[idx] = clone(op.recipe);
+  } else if (op.op === 'update') {
+    if (idx !== -1) {
+      const next = { ...data.recipes[idx], ...clone(op.updates) };
+      (op.unset || []).forEach(k => delete next[k]);
+      data.recipes[idx] = next;
+    }
+  } else if (op.op === 'meta') {
+    // Top-level metadata such as the schema `version` or `trashRetentionDays`.
+    // Objects (the shopping list) merge key by key; null removes a key.
+    const { recipes: _r, ...updates } = clone(op.updates);
+    mergeMeta(data, updates);
+  } else if (op.op === 'remove') {
+    if (idx !== -1) data.recipes.splice(idx, 1);
+  }
+}
+
+/**
+ * A slot's `eaten` with every person in it — { katie: true, dan: null } — or null
+ * when nobody has eaten it. `true` (from before ticks were per person) is everyone.
+ */
+function eatenSlot(eaten) {
+  const by = RATERS.filter(p => eaten === true || eaten?.[p]);
+  return by.length ? Object.fromEntries(RATERS.map(p => [p, by.includes(p) || null])) : null;
+}
+
+function mergeMeta(target, updates) {
+  for (const [k, v] of Object.entries(updates)) {
+    if (v === null) delete target[k];
+    else if (isPlainObject(v)) mergeMeta(isPlainObject(target[k]) ? target[k] : (target[k] = {}), v);
+    else target[k] = v;
+  }
+}
+
+/**
+ * Commit message for the journaled ops being synced, e.g.
+ *   recipe-tracker: Update "Chili" (notes)
+ *   recipe-tracker: Add missing thumbnails (12 recipes)
+ *   recipe-tracker: 3 changes — 1 added, 2 updated
+ * with one line per recipe in the body when there's more than one.
+ * `nameOf(id)` looks up a recipe's name.
+ */
+function describeChanges(ops, nameOf) {
+  const byId = new Map(), meta = new Set();
+  ops.forEach(op => {
+    if (op.op === 'meta') { Object.keys(op.updates || {}).forEach(k => meta.add(k)); return; }
+    const e = byId.get(op.id) || { verb: 'update', fields: new Set() };
+    byId.set(op.id, e);
+    if (op.op === 'add') e.verb = op.replace ? 'replace' : 'add';
+    else if (op.op === 'remove') e.verb = 'delete';
+    else if (op.op === 'update' && e.verb !== 'add') {
+      if (op.updates && op.updates.deletedAt) e.verb = 'trash';
+      else if ((op.unset || []).includes('deletedAt')) e.verb = 'restore';
+      Object.keys(op.updates || {}).forEach(k => { if (!['lastModified', 'deletedAt', ...DERIVED_FIELDS].includes(k)) e.fields.add(k); });
+      (op.unset || []).forEach(k => { if (k !== 'deletedAt') e.fields.add(k); });
+    }
+  });
+
+  const entries = [...byId].map(([id, e]) => ({ ...e, name: nameOf(id) || id }));
+  const VERBS = { add: 'Add', replace: 'Replace', update: 'Update', trash: 'Trash', restore: 'Restore', delete: 'Delete' };
+  const PAST  = { add: 'added', replace: 'replaced', update: 'updated', trash: 'trashed', restore: 'restored', delete: 'deleted' };
+  const fields = set => set.size ? ` (${[...set].join(', ')})` : '';
+  const line = e => `${VERBS[e.verb]} "${e.name}"${e.verb === 'update' ? fields(e.fields) : ''}`;
+  const plural = n => `${n} recipe${n !== 1 ? 's' : ''}`;
+  if (meta.size) entries.push({ verb: 'meta', text: `Update ${[...meta].join(', ')}` });
+  // Nothing journaled (e.g. copying recipes into a new backend)
+  if (!entries.length) return `recipe-tracker: auto-sync ${new Date().toISOString().slice(0, 10)}`;
+
+  const labels = [...new Set(ops.map(op => op.label).filter(Boolean))];
+  let subject;
+  if (labels.length === 1) {
+    subject = `${labels[0]} (${plural(byId.size)})`;
+  } else if (entries.length === 1) {
+    subject = entries[0].text || line(entries[0]);
+  } else {
+    const verbs = [...new Set(entries.map(e => e.verb))];
+    if (verbs.length === 1 && verbs[0] !== 'meta') {
+      const all = new Set(entries.flatMap(e => [...e.fields]));
+      subject = `${VERBS[verbs[0]]} ${plural(entries.length)}${verbs[0] === 'update' && all.size <= 3 ? fields(all) : ''}`;
+    } else {
+      const counts = Object.keys(PAST).map(v => [v, entries.filter(e => e.verb === v).length]).filter(([, n]) => n);
+      subject = `${entries.length} changes — ${counts.map(([v, n]) => `${n} ${PAST[v]}`).join(', ')}`;
+    }
+  }
+  const body = entries.length > 1 ? '\n\n' + entries.map(e => `- ${e.text || line(e)}`).join('\n') : '';
+  return `recipe-tracker: ${subject}${body}`;
+}
+
+/** Same recipe content, ignoring bookkeeping (lastModified) */
+function sameRecipe(a, b) {
+  const strip = ({ lastModified: _m, ...rest }) => rest;
+  return sameValue(strip(a), strip(b));
+}
+
+function newRepairReport() {
+  return { at: new Date().toISOString(), from: null, to: null, recipes: [], errors: [] };
+}
+
+function clone(obj) {
+  return obj == null ? obj : JSON.parse(JSON.stringify(obj));
+}
+
 function toTitleCase(str) {
   return str.replace(/([A-Z])/g, ' $1').replace(/^./, s => s.toUpperCase());
 }
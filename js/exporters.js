@@ -0,0 +1,320 @@
+/**
+ * exporters.js — Export recipes to other formats
+ * Builds the file for each target in EXPORT_FORMATS from a list of recipes
+ * (the export dialog in app.js picks and filters them):
+ *   backup    our own JSON — importable again
+ *   jsonld    schema.org Recipe JSON-LD, one array for all recipes
+ *   markdown  one .md file per recipe, zipped
+ *   csv       one row per recipe, in the columns importers.js reads back
+ *   cookbook  a single self-contained HTML page with a table of contents by
+ *             category, laid out for printing (one recipe per page)
+ * recipeExporter.export(format, recipes, opts) → { filename, blob }
+ */
+
+const EXPORT_FORMATS = {
+  backup:   { label: 'JSON backup',               hint: 'Our own format — can be imported again.' },
+  jsonld:   { label: 'schema.org JSON-LD',        hint: 'Standard Recipe markup that other recipe apps and sites understand.' },
+  markdown: { label: 'Markdown (zip)',            hint: 'One readable .md file per recipe.' },
+  csv:      { label: 'CSV summary',               hint: 'One row per recipe for spreadsheets — can be imported again.' },
+  cookbook: { label: 'Printable cookbook (HTML)', hint: 'One page with a table of contents by category. Open it and print.' },
+};
+
+// Our nutrition keys → schema.org NutritionInformation
+const JSONLD_NUTRITION = {
+  fat: 'fatContent', saturatedFat: 'saturatedFatContent', carbs: 'carbohydrateContent', fiber: 'fiberContent',
+  sugar: 'sugarContent', protein: 'proteinContent', sodium: 'sodiumContent',
+};
+
+class RecipeExporter {
+
+  /**
+   * @param {string}  format   key of EXPORT_FORMATS
+   * @param {Array}   recipes
+   * @param {Object}  opts     { filtered } — the backup of an unfiltered export is the full database (trash included)
+   * @returns {Promise<{filename: string, blob: Blob}>}
+   */
+  async export(format, recipes, opts = {}) {
+    const day = new Date().toISOString().slice(0, 10);
+    switch (format) {
+      case 'backup':
+        return this._file(`recipes-backup-${day}.json`, recipeDB.exportJSON(opts.filtered ? recipes : undefined), 'application/json');
+      case 'jsonld':
+        return this._file(`recipes-jsonld-${day}.json`, JSON.stringify(recipes.map(r => this.toJsonLD(r)), null, 2), 'application/ld+json');
+      case 'markdown': {
+        const used = new Set();
+        const files = recipes.map(r => {
+          let name = this._slug(r.name) || r.id;
+          for (let n = 2; used.has(name); n++) name = `${this._slug(r.name)}-${n}`;
+          used.add(name);
+          return { name: `${name}.md`, data: this.toMarkdown(r) };
+        });
+        return { filename: `recipes-markdown-${day}.zip`, blob: this._zip(files) };
+      }
+      case 'csv':
+        return this._file(`recipes-${day}.csv`, this.toCSV(recipes), 'text/csv');
+      case 'cookbook':
+        return this._file(`cookbook-${day}.html`, this.toCookbook(recipes), 'text/html');
+      default:
+        throw new Error(`unknown export format "${format}"`);
+    }
+  }
+
+  // ── Formats ───────────────────────────────────────────────
+  /** One recipe as a schema.org Recipe object */
+  toJsonLD(r) {
+    const nutrition = { '@type': 'NutritionInformation' };
+    const calories  = r.calories || (r.nutrition || {}).calories;
+    if (calories) nutrition.calories = `${calories} calories`;
+    Object.entries(JSONLD_NUTRITION).forEach(([ours, theirs]) => {
+      if ((r.nutrition || {})[ours]) nutrition[theirs] = String(r.nutrition[ours]);
+    });
+
+    const out = {
+      '@context':   'https://schema.org',
+      '@type':      'Recipe',
+      name:         r.name,
+      description:  r.description || undefined,
+      image:        r.thumbnail || undefined,
+      url:          r.source || undefined,
+      datePublished: r.dateAdded || undefined,
+      recipeCategory: this._categoryLabels(r),
+      keywords:     (r.tags || []).join(', ') || undefined,
+      recipeYield:  r.servings ? `${r.servings} servings` : undefined,
+      prepTime:     this._isoDuration(r.prepTime),
+      cookTime:     this._isoDuration(r.cookTime),
+      totalTime:    this._isoDuration(recipeTotalTime(r)),
+      recipeIngredient:   (r.ingredients || []).filter(Boolean),
+      recipeInstructions: (r.steps || []).map(text => ({ '@type': 'HowToStep', text })),
+      nutrition:    Object.keys(nutrition).length > 1 ? nutrition : undefined,
+    };
+    // Drop empty fields so validators don't flag them
+    Object.keys(out).forEach(k => { if (out[k] === undefined) delete out[k]; });
+    return out;
+  }
+
+  toMarkdown(r) {
+    const meta = [
+      ['Category', this._categoryLabels(r)],
+      ['Servings', r.servings],
+      ['Prep',     r.prepTime],
+      ['Cook',     r.cookTime],
+      ['Total',    recipeTotalTime(r)],
+      ['Calories', r.calories ? `${r.calories} per serving` : ''],
+      ['Tags',     (r.tags || []).join(', ')],
+      ['Ratings',  this._ratingsText(r.ratings)],
+      ['Source',   r.source ? `<${r.source}>` : ''],
+    ].filter(([, v]) => v);
+    const nutrition = Object.entries(r.nutrition || {}).filter(([k, v]) => v && k !== 'calories');
+
+    const parts = [`# ${r.emoji ? r.emoji + ' ' : ''}${r.name}`];
+    if (r.thumbnail)   parts.push(`![${r.name}](${r.thumbnail})`);
+    if (r.description) parts.push(r.description);
+    if (meta.length)   parts.push(meta.map(([k, v]) => `- **${k}:** ${v}`).join('\n'));
+    // '' in ingredients separates groups — keep it as a blank line between lists
+    if ((r.ingredients || []).length) parts.push('## Ingredients\n\n' + r.ingredients.map(i => i ? `- ${i}` : '').join('\n').replace(/\n{2,}/g, '\n\n'));
+    if ((r.steps || []).length)       parts.push('## Steps\n\n' + r.steps.map((s, i) => `${i + 1}. ${s}`).join('\n'));
+    if (nutrition.length)             parts.push('## Nutrition (per serving)\n\n' + nutrition.map(([k, v]) => `- ${k}: ${v}`).join('\n'));
+    if (r.notes)                      parts.push('## Notes\n\n' + r.notes);
+    return parts.join('\n\n') + '\n';
+  }
+
+  /** Columns use the header names importers.js maps back (CSV_COLUMNS) */
+  toCSV(recipes) {
+    const columns = [
+      ['id',          r => r.id],
+      ['name',        r => r.name],
+      ['category',    r => recipeCategories(r).join(', ')],
+      ['servings',    r => r.servings],
+      ['prep time',   r => r.prepTime],
+      ['cook time',   r => r.cookTime],
+      ['total time',  r => recipeTotalTime(r)],
+      ['calories',    r => r.calories || ''],
+      ['tags',        r => (r.tags || []).join(', ')],
+      ...RATERS.map(p => [p, r => (r.ratings || {})[p] ?? '']),
+      ['source',      r => r.source],
+      ['date added',  r => r.dateAdded],
+      ['description', r => r.description],
+      ['ingredients', r => (r.ingredients || []).filter(Boolean).join('\n')],
+      ['steps',       r => (r.steps || []).join('\n')],
+      ['notes',       r => r.notes],
+    ];
+    const cell = v => {
+      const s = v === undefined || v === null ? '' : String(v);
+      return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const rows = [columns.map(([h]) => h), ...recipes.map(r => columns.map(([, get]) => get(r)))];
+    return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  toCookbook(recipes) {
+    const groups = this._byCategory(recipes);
+    const toc = groups.map(({ info, list }) => `
+      <li><strong>${info.emoji} ${escHtml(info.label)}</strong>
+        <ol>${list.map(r => `<li><a href="#r-${escHtml(r.id)}">${escHtml(r.name)}</a></li>`).join('')}</ol>
+      </li>`).join('');
+    const pages = groups.map(({ info, list }) => list.map(r => this._cookbookRecipe(r, info)).join('')).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Our Cookbook</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; color: #222; max-width: 800px; margin: 0 auto; padding: 32px 24px; line-height: 1.5; }
+  h1 { text-align: center; font-size: 2.4rem; margin-bottom: 4px; }
+  .subtitle { text-align: center; color: #777; margin-top: 0; }
+  .toc ol { columns: 2; }
+  .toc > ol { list-style: none; padding: 0; columns: 1; }
+  .toc > ol > li { margin-bottom: 12px; }
+  .toc a { color: inherit; }
+  .recipe { border-top: 2px solid #ddd; margin-top: 40px; padding-top: 24px; }
+  .recipe h2 { margin: 0 0 4px; }
+  .recipe img { max-width: 100%; max-height: 260px; object-fit: cover; border-radius: 6px; }
+  .meta { color: #666; font-size: 0.9rem; }
+  .cols { display: grid; grid-template-columns: 1fr 1.6fr; gap: 28px; }
+  .notes { background: #f7f5ef; padding: 10px 14px; border-radius: 6px; white-space: pre-wrap; }
+  .source { font-size: 0.8rem; color: #888; word-break: break-all; }
+  @media print {
+    body { padding: 0; }
+    .toc { page-break-after: always; }
+    .recipe { page-break-before: always; border: none; margin: 0; }
+    .recipe h2, .cols > div { page-break-inside: avoid; }
+    a { text-decoration: none; }
+  }
+</style>
+</head>
+<body>
+  <h1>🥗 Our Cookbook</h1>
+  <p class="subtitle">${recipes.length} recipe${recipes.length !== 1 ? 's' : ''} · ${escHtml(new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }))}</p>
+  <nav class="toc"><h2>Contents</h2><ol>${toc}</ol></nav>
+  ${pages}
+</body>
+</html>
+`;
+  }
+
+  _cookbookRecipe(r, info) {
+    const meta = [
+      `${info.emoji} ${info.label}`,
+      r.servings ? `Serves ${r.servings}` : '',
+      r.prepTime ? `Prep ${r.prepTime}` : '',
+      r.cookTime ? `Cook ${r.cookTime}` : '',
+      recipeTotalTime(r) ? `Total ${recipeTotalTime(r)}` : '',
+      r.calories ? `${r.calories} cal/serving` : '',
+      this._ratingsText(r.ratings),
+    ].filter(Boolean).map(escHtml).join(' · ');
+    return `
+  <section class="recipe" id="r-${escHtml(r.id)}">
+    <h2>${escHtml(r.name)}</h2>
+    <p class="meta">${meta}</p>
+    ${r.thumbnail ? `<img src="${escHtml(r.thumbnail)}" alt="" />` : ''}
+    ${r.description ? `<p>${escHtml(r.description)}</p>` : ''}
+    <div class="cols">
+      <div>
+        <h3>Ingredients</h3>
+        <ul>${(r.ingredients || []).filter(Boolean).map(i => `<li>${escHtml(i)}</li>`).join('')}</ul>
+      </div>
+      <div>
+        <h3>Steps</h3>
+        <ol>${(r.steps || []).map(s => `<li>${escHtml(s)}</li>`).join('')}</ol>
+      </div>
+    </div>
+    ${r.notes ? `<h3>Notes</h3><div class="notes">${escHtml(r.notes)}</div>` : ''}
+    ${r.source ? `<p class="source">Source: ${escHtml(r.source)}</p>` : ''}
+  </section>`;
+  }
+
+  // ── Helpers ───────────────────────────────────────────────
+  /** Recipes grouped by main category in bar order (unknown categories last), sorted by name */
+  _byCategory(recipes) {
+    const cats = recipeDB.categories;
+    const keys = [...Object.keys(cats), ...new Set(recipes.map(r => r.category).filter(c => !cats[c]))];
+    return keys.map(key => ({
+      info: categoryInfo(key),
+      list: recipes.filter(r => r.category === key).sort((a, b) => a.name.localeCompare(b.name)),
+    })).filter(g => g.list.length);
+  }
+
+  /** "Soups & Stews, Mexican & Tex-Mex" */
+  _categoryLabels(r) {
+    return recipeCategories(r).map(c => categoryInfo(c).label).join(', ');
+  }
+
+  _ratingsText(ratings) {
+    return RATERS.filter(p => ratings && ratings[p] != null)
+      .map(p => `${p[0].toUpperCase()}${p.slice(1)} ${ratings[p]}/10`).join(', ');
+  }
+
+  /** "1h 30 min" / "45 mins" / "1 hour" → "PT1H30M"; undefined when it can't tell */
+  _isoDuration(text) {
+    const minutes = parseDuration(text);
+    if (!minutes) return undefined;
+    const hours = Math.floor(minutes / 60), rest = Math.round(minutes % 60);
+    return `PT${hours ? `${hours}H` : ''}${rest ? `${rest}M` : ''}`;
+  }
+
+  _slug(s) {
+    return String(s || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  }
+
+  _file(filename, text, type) {
+    return { filename, blob: new Blob([text], { type: `${type};charset=utf-8` }) };
+  }
+
+  /** Uncompressed ("stored") zip — text compresses well, but every unzip tool reads this */
+  _zip(files) {
+    const enc = new TextEncoder(), parts = [], central = [];
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    let offset = 0;
+
+    files.forEach(f => {
+      const name = enc.encode(f.name), data = enc.encode(f.data), crc = this._crc32(data);
+      const header = (sig, size) => {
+        const h = new DataView(new ArrayBuffer(size));
+        h.setUint32(0, sig, true);
+        return h;
+      };
+      const local = header(0x04034b50, 30);
+      local.setUint16(4, 20, true);   local.setUint16(6, 0x0800, true);   // version, UTF-8 names
+      local.setUint16(10, time, true); local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);  local.setUint32(18, data.length, true); local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local, name, data);
+
+      const dir = header(0x02014b50, 46);
+      dir.setUint16(4, 20, true);     dir.setUint16(6, 20, true);  dir.setUint16(8, 0x0800, true);
+      dir.setUint16(12, time, true);  dir.setUint16(14, date, true);
+      dir.setUint32(16, crc, true);   dir.setUint32(20, data.length, true); dir.setUint32(24, data.length, true);
+      dir.setUint16(28, name.length, true);
+      dir.setUint32(42, offset, true);
+      central.push(dir, name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const size = central.reduce((n, p) => n + p.byteLength, 0);
+    const end  = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true); end.setUint16(10, files.length, true);
+    end.setUint32(12, size, true);        end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
+  _crc32(bytes) {
+    if (!this._crcTable) {
+      this._crcTable = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+      });
+    }
+    let crc = 0xffffffff;
+    for (const b of bytes) crc = this._crcTable[(crc ^ b) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+// Singleton
+const recipeExporter = new RecipeExporter();
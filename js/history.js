@@ -0,0 +1,134 @@
+/**
+ * history.js — Recipe revision history panel (recipe.html)
+ * Lists past versions of the current recipe from the backend's commit log,
+ * shows what changed field-by-field, and restores any of them through
+ * recipeDB.update(). Needs a backend with history (GitHub).
+ */
+
+/**
+ * Load and render the history list for a recipe.
+ * @param {string}   id          recipe id
+ * @param {Function} onRestored  called with the updated recipe after a restore
+ */
+async function loadRecipeHistory(id, onRestored) {
+  const list = document.getElementById('history-list');
+  const btn  = document.getElementById('btn-load-history');
+  if (!recipeDB.hasHistory) {
+    list.innerHTML = `<p class="form-hint">History needs GitHub storage — ${escHtml(recipeDB.backendLabel)} doesn't keep old versions.</p>`;
+    return;
+  }
+
+  btn.disabled = true;
+  btn.textContent = 'Loading…';
+  list.innerHTML = '<p class="form-hint">Loading versions…</p>';
+  try {
+    const entries = await recipeDB.history(id);
+    renderHistoryList(id, entries, onRestored);
+    btn.textContent = '↻ Refresh';
+  } catch (e) {
+    list.innerHTML = `<p class="form-hint">Couldn't load history: ${escHtml(e.message)}</p>`;
+    btn.textContent = 'Show history';
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderHistoryList(id, entries, onRestored) {
+  const list = document.getElementById('history-list');
+  const rows = entries.map((e, i) => historyRowHTML(e, i, i === 0 ? 'Latest synced' : '')).join('');
+  list.innerHTML = `
+    ${rows || '<p class="form-hint">No saved versions of this recipe yet.</p>'}
+    <button class="btn btn-ghost btn-sm history-legacy-btn" data-action="legacy">🔎 Search older history (before per-recipe files)</button>`;
+
+  bindHistoryRows(list, id, entries, 0, onRestored);
+
+  list.querySelector('[data-action="legacy"]').addEventListener('click', async ev => {
+    const b = ev.currentTarget;
+    b.disabled = true;
+    b.textContent = 'Searching old commits…';
+    try {
+      const older = await recipeDB.legacyHistory(id);
+      if (!older.length) { b.textContent = 'No older versions found'; return; }
+      const start = entries.length;
+      entries.push(...older);
+      b.insertAdjacentHTML('beforebegin', older.map((e, i) => historyRowHTML(e, start + i, 'data/recipes.json')).join(''));
+      bindHistoryRows(list, id, entries, start, onRestored);
+      b.remove();
+    } catch (e) {
+      b.disabled = false;
+      b.textContent = `Failed — ${e.message}`;
+    }
+  });
+}
+
+/** Load a version's diff the first time its row is opened (rows from index `from` on) */
+function bindHistoryRows(list, id, entries, from, onRestored) {
+  list.querySelectorAll('.history-item').forEach(el => {
+    const i = +el.dataset.index;
+    if (i < from) return;
+    el.addEventListener('toggle', () => {
+      if (el.open) showRevisionDiff(el, id, entries[i], entries[i + 1], onRestored);
+    });
+  });
+}
+
+function historyRowHTML(entry, index, badge) {
+  const when = entry.date ? new Date(entry.date).toLocaleString() : 'Unknown date';
+  const msg  = (entry.message || '').split('\n')[0];
+  return `
+    <details class="history-item" data-index="${index}">
+      <summary>
+        <span class="history-when">${escHtml(when)}</span>
+        ${badge ? `<span class="history-badge">${escHtml(badge)}</span>` : ''}
+        <span class="history-msg">${escHtml(msg)}${entry.author ? ` · ${escHtml(entry.author)}` : ''}</span>
+      </summary>
+      <div class="history-body"><p class="form-hint">Loading…</p></div>
+    </details>`;
+}
+
+/** Show what changed in `entry` compared with the version before it, plus a restore button */
+async function showRevisionDiff(el, id, entry, olderEntry, onRestored) {
+  const body = el.querySelector('.history-body');
+  if (body.dataset.loaded) return;
+  try {
+    const recipe = await recipeDB.revision(id, entry);
+    const older  = olderEntry ? await recipeDB.revision(id, olderEntry) : null;
+    body.dataset.loaded = '1';
+
+    if (!recipe) {
+      body.innerHTML = '<p class="form-hint">The recipe was deleted in this version.</p>';
+      return;
+    }
+    const changes = older ? diffRecipes(older, recipe) : [];
+    const sinceNow = diffRecipes(recipe, recipeDB.getById(id) || {});
+    body.innerHTML = `
+      ${older
+        ? (changes.length ? recipeDiffHTML(changes) : '<p class="form-hint">No changes to this recipe in this version.</p>')
+        : '<p class="form-hint">Earliest saved version.</p>'}
+      <div class="history-actions">
+        ${sinceNow.length
+          ? `<button class="btn btn-outline btn-sm" data-action="restore">↩️ Restore this version</button>
+             <span class="form-hint">${sinceNow.length} field${sinceNow.length !== 1 ? 's' : ''} differ from the current recipe</span>`
+          : '<span class="form-hint">Same as the current recipe.</span>'}
+      </div>`;
+
+    const restoreBtn = body.querySelector('[data-action="restore"]');
+    if (restoreBtn) restoreBtn.addEventListener('click', () => restoreRevision(id, recipe, sinceNow, restoreBtn, onRestored));
+  } catch (e) {
+    body.innerHTML = `<p class="form-hint">Couldn't load this version: ${escHtml(e.message)}</p>`;
+  }
+}
+
+async function restoreRevision(id, recipe, changes, btn, onRestored) {
+  const labels = [...new Set(changes.map(c => c.label))].join(', ');
+  if (!confirm(`Restore this version? This changes: ${labels}.\nThe current version stays in the history.`)) return;
+
+  btn.disabled = true;
+  btn.textContent = 'Restoring…';
+  // Everything except identity/bookkeeping fields (and trash state) comes back
+  const { id: _id, dateAdded: _d, lastModified: _m, deletedAt: _t, ...fields } = validateRecipe({ ...recipe, id }).recipe;
+  const result = await recipeDB.update(id, fields);
+  btn.disabled = false;
+  btn.textContent = '↩️ Restore this version';
+  if (onRestored) onRestored(result);
+}
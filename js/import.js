@@ -0,0 +1,145 @@
+/**
+ * import.js — Import preview dialog (index.html)
+ * Shows what an import would do before anything is saved: new, changed and
+ * identical recipes, with a field diff for each change. The user picks keep
+ * mine / take theirs / keep both per recipe; recipeDB.applyImport() then
+ * writes the whole import in one sync.
+ */
+
+const IMPORT_CHOICES = [
+  { value: 'mine',   label: 'Keep mine' },
+  { value: 'theirs', label: 'Take theirs' },
+  { value: 'both',   label: 'Keep both' },
+];
+
+/**
+ * Show the preview from recipeDB.previewImport().
+ * @returns {Promise<Object|null>} recipe id → 'mine' | 'theirs' | 'both', or null if cancelled
+ */
+function showImportPreview(preview, sourceName) {
+  return new Promise(resolve => {
+    const groups = { new: [], changed: [], same: [] };
+    preview.items.forEach(item => groups[item.status].push(item));
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+
+    const summary = [
+      `${groups.new.length} new`,
+      `${groups.changed.length} changed`,
+      `${groups.same.length} identical`,
+      preview.skipped ? `${preview.skipped} skipped (not valid recipes)` : '',
+    ].filter(Boolean).join(' · ');
+
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h3>📤 Import Preview</h3>
+          <button class="modal-close" data-action="cancel" aria-label="Close">✕</button>
+        </div>
+        <div class="modal-body">
+          <p class="import-summary">${sourceName ? `<strong>${escHtml(sourceName)}</strong> — ` : ''}${escHtml(summary)}</p>
+          ${groups.changed.length ? `
+            <div class="import-group">
+              <div class="import-group-header">
+                <div class="settings-section-title">✏️ Changed (${groups.changed.length})</div>
+                <div class="import-bulk">
+                  All: ${IMPORT_CHOICES.map(c => `<button class="btn btn-ghost btn-sm" data-all="${c.value}">${c.label}</button>`).join('')}
+                </div>
+              </div>
+              ${groups.changed.map(changedItemHTML).join('')}
+            </div>` : ''}
+          ${groups.new.length ? `
+            <div class="import-group">
+              <div class="settings-section-title">✨ New (${groups.new.length})</div>
+              ${groups.new.map(newItemHTML).join('')}
+            </div>` : ''}
+          ${groups.same.length ? `
+            <details class="import-group import-same">
+              <summary class="settings-section-title">✅ Identical — nothing to do (${groups.same.length})</summary>
+              <p class="form-hint">${groups.same.map(i => escHtml(i.recipe.name)).join(', ')}</p>
+            </details>` : ''}
+          ${!groups.changed.length && !groups.new.length ? '<p class="form-hint">Everything in this file is already in your recipes.</p>' : ''}
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-ghost" data-action="cancel">Cancel</button>
+          <button class="btn btn-primary" data-action="apply">📥 Import</button>
+        </div>
+      </div>`;
+
+    const choices = () => {
+      const out = {};
+      groups.changed.forEach(item => {
+        out[item.recipe.id] = overlay.querySelector(`input[name="import-${cssId(item.recipe.id)}"]:checked`)?.value || 'mine';
+      });
+      groups.new.forEach(item => {
+        out[item.recipe.id] = overlay.querySelector(`input[data-new="${cssId(item.recipe.id)}"]`).checked ? 'theirs' : 'mine';
+      });
+      return out;
+    };
+    const updateCount = () => {
+      const n = Object.values(choices()).filter(c => c !== 'mine').length;
+      const btn = overlay.querySelector('[data-action="apply"]');
+      btn.textContent = n ? `📥 Import ${n} recipe${n !== 1 ? 's' : ''}` : '📥 Import';
+      btn.disabled = !n;
+    };
+    const finish = result => {
+      overlay.classList.remove('active');
+      setTimeout(() => overlay.remove(), 400);
+      resolve(result);
+    };
+
+    overlay.querySelectorAll('[data-action="cancel"]').forEach(b => b.addEventListener('click', () => finish(null)));
+    overlay.querySelector('[data-action="apply"]').addEventListener('click', () => finish(choices()));
+    overlay.querySelectorAll('[data-all]').forEach(b => b.addEventListener('click', () => {
+      overlay.querySelectorAll(`.import-choices input[value="${b.dataset.all}"]`).forEach(r => { r.checked = true; });
+      updateCount();
+    }));
+    overlay.addEventListener('change', updateCount);
+    updateCount();
+
+    document.body.appendChild(overlay);
+    requestAnimationFrame(() => overlay.classList.add('active'));
+  });
+}
+
+function changedItemHTML(item) {
+  const id = cssId(item.recipe.id);
+  const changes = diffRecipes(item.existing, item.recipe);
+  const newer = item.suggested === 'theirs' ? 'imported copy is newer' : 'your copy is newer or the same age';
+  return `
+    <div class="import-item">
+      <details>
+        <summary>
+          <span class="import-name">${escHtml(item.existing.name)}</span>
+          <span class="form-hint">${changes.length} field${changes.length !== 1 ? 's' : ''} differ · ${newer}</span>
+        </summary>
+        <div class="import-diff">
+          <p class="form-hint">Red is yours, green is the file's.</p>
+          ${recipeDiffHTML(changes)}
+        </div>
+      </details>
+      <div class="import-choices">
+        ${IMPORT_CHOICES.map(c => `
+          <label><input type="radio" name="import-${id}" value="${c.value}"${c.value === item.suggested ? ' checked' : ''} /> ${c.label}</label>`).join('')}
+      </div>
+    </div>`;
+}
+
+function newItemHTML(item) {
+  const r   = item.recipe;
+  const cat = categoryInfo(r.category);
+  return `
+    <label class="import-item import-new">
+      <input type="checkbox" data-new="${cssId(r.id)}" checked />
+      <span class="import-name">${r.emoji || cat.emoji} ${escHtml(r.name)}</span>
+      <span class="form-hint">${escHtml(recipeCategories(r).map(c => categoryInfo(c).label).join(', '))}${item.fixes.length ? ` · ${item.fixes.length} repair${item.fixes.length !== 1 ? 's' : ''}` : ''}</span>
+    </label>`;
+}
+
+/** Recipe ids are user data — keep them safe inside attribute selectors */
+function cssId(id) {
+  return String(id).replace(/[^\w-]/g, c => `_${c.charCodeAt(0).toString(16)}`);
+}
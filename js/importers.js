@@ -0,0 +1,408 @@
+/**
+ * importers.js — Read recipe files from other apps
+ * Turns an uploaded file into recipes in our shape, ready for
+ * recipeDB.previewRecipes() and the import preview. Understands:
+ *   - our own JSON backup ({ version, recipes } or a bare array)
+ *   - Paprika  .paprikarecipes archives (a zip of gzipped JSON) and single .paprikarecipe files
+ *   - Mealie   recipe JSON, or its export zip
+ *   - Tandoor  recipe.json, or its export zip (a zip of zips)
+ *   - schema.org Recipe JSON-LD (.json / .jsonld, or an HTML page that embeds it)
+ *   - CSV with a header row (see CSV_COLUMNS)
+ * Field cleanup reuses the scraper's normalizers (_parseDuration,
+ * _parseNutrition, _guessCategory, …) so imported recipes look like scraped ones.
+ * Zips and gzip are unpacked with the browser's DecompressionStream.
+ */
+
+// CSV header → recipe field. Headers are matched case-insensitively, ignoring
+// spaces and punctuation; rater names (RATERS) are read as rating columns.
+const CSV_COLUMNS = {
+  id:          ['id'],
+  name:        ['name', 'title', 'recipe', 'recipename'],
+  description: ['description', 'summary'],
+  category:    ['category', 'categories', 'course'],
+  cuisine:     ['cuisine'],
+  ingredients: ['ingredients', 'ingredient'],
+  steps:       ['steps', 'directions', 'instructions', 'method'],
+  servings:    ['servings', 'yield', 'serves', 'recipeyield'],
+  prepTime:    ['preptime', 'prep'],
+  cookTime:    ['cooktime', 'cook'],
+  totalTime:   ['totaltime', 'total', 'time'],
+  calories:    ['calories', 'kcal'],
+  tags:        ['tags', 'keywords'],
+  source:      ['source', 'url', 'sourceurl', 'link'],
+  thumbnail:   ['thumbnail', 'image', 'imageurl', 'photo'],
+  notes:       ['notes', 'note', 'comments'],
+  dateAdded:   ['dateadded', 'added', 'created'],
+};
+
+class RecipeImporter {
+
+  // Tried in order on every object found in a file; the first test() that
+  // matches converts it. `ours` has to come last — the others are more specific.
+  _FORMATS = [
+    { id: 'jsonld',  label: 'schema.org JSON-LD', test: o => scraper._isRecipe(o),                            convert: o => this._fromJsonLD(o) },
+    { id: 'paprika', label: 'Paprika',            test: o => 'directions' in o || 'nutritional_info' in o,    convert: o => this._fromPaprika(o) },
+    { id: 'mealie',  label: 'Mealie',             test: o => 'recipeIngredient' in o || 'recipe_ingredient' in o || 'slug' in o, convert: o => this._fromMealie(o) },
+    { id: 'tandoor', label: 'Tandoor',            test: o => Array.isArray(o.steps) && o.steps.some(s => s && typeof s === 'object'), convert: o => this._fromTandoor(o) },
+    { id: 'ours',    label: 'Recipe backup',      test: o => 'name' in o && ('ingredients' in o || 'steps' in o), convert: o => o },
+  ];
+
+  /**
+   * Read an uploaded File.
+   * @returns {Object} { success, recipes, version, formats: [labels], error? }
+   *   `version` is the file's schema version for our own backups; recipes
+   *   converted from other apps are already in the current shape.
+   */
+  async read(file) {
+    try {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const found = await this._parse(bytes, file.name);
+      if (!found.recipes.length) throw new Error('no recipes found in this file');
+      return {
+        success: true,
+        recipes: found.recipes,
+        version: found.version || SCHEMA_VERSION,
+        formats: [...found.formats],
+      };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+
+  // ── Containers ────────────────────────────────────────────
+  /** → { recipes, formats: Set, version } for one file (recursing into archives) */
+  async _parse(bytes, name) {
+    const out = { recipes: [], formats: new Set(), version: null };
+    const add = part => {
+      out.recipes.push(...part.recipes);
+      part.formats.forEach(f => out.formats.add(f));
+      out.version = out.version || part.version;
+    };
+
+    if (this._isZip(bytes)) {
+      for (const entry of await this._unzip(bytes)) {
+        if (!/\.(json|jsonld|paprikarecipe|zip|csv)$/i.test(entry.name)) continue;   // photos etc.
+        try {
+          add(await this._parse(await entry.read(), entry.name));
+        } catch (e) {
+          console.warn(`[import] Skipped ${entry.name}: ${e.message}`);
+        }
+      }
+      return out;
+    }
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) return this._parse(await this._inflate(bytes, 'gzip'), name.replace(/\.gz$/i, ''));
+
+    const text = new TextDecoder().decode(bytes);
+    const head = text.trimStart();
+    if (head.startsWith('<')) {
+      // A saved web page — take every JSON-LD block that describes a recipe
+      const re = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+      let m;
+      while ((m = re.exec(text)) !== null) {
+        try { add(this._fromJSON(JSON.parse(m[1].trim()))); } catch (_) {}
+      }
+      return out;
+    }
+    if (/\.csv$/i.test(name) || !/^[[{]/.test(head)) {
+      add({ recipes: this._fromCSV(text), formats: ['CSV'], version: null });
+      return out;
+    }
+    add(this._fromJSON(JSON.parse(text)));
+    return out;
+  }
+
+  /** Classify every recipe-like object in a parsed JSON document */
+  _fromJSON(data) {
+    const recipes = [], formats = new Set();
+    // Our backup carries the schema version its recipes were written in (none = the oldest)
+    const version = (data && data.version) || '1.0';
+    const visit = node => {
+      if (Array.isArray(node)) { node.forEach(visit); return; }
+      if (!node || typeof node !== 'object') return;
+      const format = this._FORMATS.find(f => f.test(node));
+      if (format) {
+        recipes.push(format.convert(node));
+        formats.add(format.label);
+        return;
+      }
+      // Wrappers: JSON-LD @graph, our { recipes }, Mealie's paged { items }
+      ['@graph', 'recipes', 'items'].forEach(k => { if (node[k]) visit(node[k]); });
+    };
+    visit(data);
+    return { recipes, formats, version: formats.has('Recipe backup') ? version : null };
+  }
+
+  // ── Formats ───────────────────────────────────────────────
+  _fromJsonLD(o) {
+    const source = scraper._str(o.url) || scraper._str(o.mainEntityOfPage && (o.mainEntityOfPage['@id'] || o.mainEntityOfPage));
+    return { ...scraper._normalizeJsonLD(o, source), ratings: emptyRatings(), ...this._dateAdded(o.datePublished) };
+  }
+
+  // Paprika: one object per recipe; ingredients and directions are plain text
+  _fromPaprika(p) {
+    const name        = scraper._str(p.name);
+    const ingredients = this._lines(p.ingredients);
+    const categories  = this._names(p.categories);
+    const nutrition   = scraper._parseNutrition(this._nutritionFromText(p.nutritional_info));
+    const category    = scraper._guessCategory(categories.join(' '), '', name, ingredients);
+    return this._recipe({
+      id:          p.uid ? `paprika-${this._slug(p.uid)}` : undefined,
+      name,
+      description: scraper._str(p.description),
+      category,
+      servings:    scraper._parseServings(p.servings),
+      prepTime:    scraper._parseDuration(p.prep_time),
+      cookTime:    scraper._parseDuration(p.cook_time),
+      totalTime:   scraper._parseDuration(p.total_time),
+      source:      scraper._str(p.source_url) || scraper._str(p.source),
+      thumbnail:   /^https?:/.test(p.image_url || '') ? p.image_url : '',
+      ingredients,
+      steps:       this._lines(p.directions).map(s => s.replace(/^\d+[.)]\s*/, '')),
+      nutrition,
+      tags:        scraper._parseTags(categories),
+      notes:       p.notes || '',
+      ...this._dateAdded(p.created),
+    });
+  }
+
+  // Mealie: schema.org-style field names, but ingredients are objects and
+  // categories/tags are { name } lists
+  _fromMealie(m) {
+    const name = scraper._str(m.name);
+    const ingredients = (m.recipeIngredient || m.recipe_ingredient || []).map(i => {
+      if (typeof i === 'string') return scraper._str(i);
+      if (i.display || i.originalText) return scraper._str(i.display || i.originalText);
+      return [i.quantity || '', i.unit && i.unit.name, i.food && i.food.name, i.note].filter(Boolean).join(' ');
+    }).filter(Boolean);
+    const categories = this._names(m.recipeCategory || m.recipe_category);
+    const nutrition  = scraper._parseNutrition(m.nutrition);
+    return this._recipe({
+      id:          m.slug || m.id ? `mealie-${this._slug(m.slug || m.id)}` : undefined,
+      name,
+      description: scraper._str(m.description),
+      category:    scraper._guessCategory(categories.join(' '), '', name, ingredients),
+      servings:    scraper._parseServings(m.recipeServings || m.recipeYield || m.recipe_yield),
+      prepTime:    scraper._parseDuration(m.prepTime || m.prep_time),
+      cookTime:    scraper._parseDuration(m.performTime || m.cookTime || m.perform_time || m.cook_time),
+      totalTime:   scraper._parseDuration(m.totalTime || m.total_time),
+      source:      scraper._str(m.orgURL || m.org_url),
+      thumbnail:   /^https?:/.test(m.image || '') ? m.image : '',
+      ingredients,
+      steps:       scraper._parseInstructions(m.recipeInstructions || m.recipe_instructions),
+      nutrition,
+      tags:        scraper._parseTags([...this._names(m.tags), ...categories]),
+      notes:       (m.notes || []).map(n => [n.title, n.text].filter(Boolean).join(': ')).join('\n\n'),
+      ...this._dateAdded(m.dateAdded || m.date_added),
+    });
+  }
+
+  // Tandoor: ingredients live inside the steps; times are plain minutes
+  _fromTandoor(t) {
+    const name  = scraper._str(t.name);
+    const steps = t.steps.filter(s => s && typeof s === 'object');
+    const ingredients = steps.flatMap(s => s.ingredients || []).filter(i => i && !i.is_header).map(i =>
+      scraper._str(i.original_text) ||
+      [i.no_amount || !i.amount ? '' : i.amount, i.unit && i.unit.name, i.food && i.food.name, i.note].filter(Boolean).join(' ')
+    ).filter(Boolean);
+    const tn = t.nutrition || {};
+    const nutrition = scraper._parseNutrition({
+      calories:            tn.calories,
+      fatContent:          tn.fats && `${tn.fats} g`,
+      carbohydrateContent: tn.carbohydrates && `${tn.carbohydrates} g`,
+      proteinContent:      tn.proteins && `${tn.proteins} g`,
+    });
+    const work = +t.working_time || 0, wait = +t.waiting_time || 0;
+    const keywords = this._names(t.keywords);
+    return this._recipe({
+      name,
+      description: scraper._str(t.description),
+      category:    scraper._guessCategory(keywords.join(' '), '', name, ingredients),
+      servings:    scraper._parseServings(t.servings),
+      prepTime:    formatDuration(work),
+      cookTime:    formatDuration(wait),
+      totalTime:   formatDuration(work + wait),
+      source:      scraper._str(t.source_url),
+      ingredients,
+      steps:       steps.map(s => scraper._str(s.instruction)).filter(Boolean),
+      nutrition,
+      tags:        scraper._parseTags(keywords),
+    });
+  }
+
+  _fromCSV(text) {
+    const [header, ...rows] = this._parseCSV(text);
+    if (!header) return [];
+    const key = h => h.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const fields = header.map(h => {
+      const k = key(h);
+      if (RATERS.includes(k)) return `rating:${k}`;
+      return Object.keys(CSV_COLUMNS).find(f => CSV_COLUMNS[f].includes(k)) || null;
+    });
+    if (!fields.includes('name')) throw new Error('CSV needs a "name" or "title" column');
+
+    return rows.filter(row => row.some(c => c.trim())).map(row => {
+      const c = {}, ratings = emptyRatings();
+      fields.forEach((f, i) => {
+        if (!f || row[i] === undefined) return;
+        if (f.startsWith('rating:')) ratings[f.slice(7)] = isNaN(parseFloat(row[i])) ? null : parseFloat(row[i]);
+        else c[f] = row[i].trim();
+      });
+      const name        = scraper._str(c.name);
+      const ingredients = this._cells(c.ingredients);
+      const nutrition   = c.calories ? { calories: scraper._parseCalNum(c.calories) } : {};
+      // Our own category keys are used as-is; anything else is guessed from and kept as a tag
+      const cells  = (c.category || '').split(/[,;|]/).map(s => s.trim().toLowerCase()).filter(Boolean);
+      const ownCat = cells.filter(k => recipeDB.categories[k]);
+      const tags   = [...(c.tags || '').split(/[,;|\n]/), ...cells.filter(k => !ownCat.includes(k))];
+      return this._recipe({
+        id:          c.id || undefined,
+        name,
+        description: c.description || '',
+        category:    ownCat[0] || scraper._guessCategory(c.category || '', c.cuisine || '', name, ingredients),
+        categories:  ownCat,
+        servings:    scraper._parseServings(c.servings),
+        prepTime:    scraper._parseDuration(c.prepTime),
+        cookTime:    scraper._parseDuration(c.cookTime),
+        totalTime:   scraper._parseDuration(c.totalTime),
+        source:      c.source || '',
+        thumbnail:   c.thumbnail || '',
+        ingredients,
+        steps:       this._cells(c.steps).map(s => s.replace(/^\d+[.)]\s*/, '')),
+        nutrition,
+        tags:        [...new Set(tags.map(t => t.trim().toLowerCase()).filter(Boolean))],
+        ratings,
+        notes:       c.notes || '',
+        ...this._dateAdded(c.dateAdded),
+      });
+    });
+  }
+
+  // ── Helpers ───────────────────────────────────────────────
+  /** Fill in what every converted recipe needs (emoji from category, calories from nutrition, empty ratings) */
+  _recipe(r) {
+    const nutrition = r.nutrition || {};
+    const recipe = { ratings: emptyRatings(), ...r, nutrition, calories: nutrition.calories || 0, emoji: scraper._categoryEmoji(r.category) };
+    if (!recipe.id) delete recipe.id;
+    return recipe;
+  }
+
+  _dateAdded(value) {
+    const m = String(value || '').match(/^\d{4}-\d{2}-\d{2}/);
+    return m ? { dateAdded: m[0] } : {};
+  }
+
+  /** Paprika's free-text nutrition ("Calories: 320\nProtein: 12 g") → schema.org names */
+  _nutritionFromText(text) {
+    const names = [
+      ['saturatedFatContent', /saturated/],
+      ['fatContent',          /fat/],
+      ['carbohydrateContent', /carb/],
+      ['fiberContent',        /fib(er|re)/],
+      ['sugarContent',        /sugar/],
+      ['proteinContent',      /protein/],
+      ['sodiumContent',       /sodium|salt/],
+      ['calories',            /calorie|kcal|energy/],
+    ];
+    const out = {};
+    String(text || '').split(/\r?\n|;/).forEach(line => {
+      const m = line.match(/^\s*([^:\d]+?)\s*:?\s*(\d[\d.,]*\s*[a-zµ]*)/i);
+      if (!m) return;
+      const hit = names.find(([, re]) => re.test(m[1].toLowerCase()));
+      if (hit && !out[hit[0]]) out[hit[0]] = m[2].trim();
+    });
+    return out;
+  }
+
+  _lines(text) {
+    return String(text || '').split(/\r?\n/).map(s => scraper._str(s)).filter(Boolean);
+  }
+
+  /** A multi-value CSV cell: one item per line, or separated by "|" / ";" on a single line */
+  _cells(text) {
+    if (!text) return [];
+    const lines = String(text).split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+    return lines.length > 1 ? lines : String(text).split(/\s*[|;]\s*/).map(s => s.trim()).filter(Boolean);
+  }
+
+  /** ['a', { name: 'b' }] → ['a', 'b'] */
+  _names(list) {
+    return scraper._toArray(list).map(x => scraper._str(x && typeof x === 'object' ? x.name : x)).filter(Boolean);
+  }
+
+  _slug(s) {
+    return String(s).toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  /** RFC 4180: quoted fields may contain commas, newlines and "" for a quote */
+  _parseCSV(text) {
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ',') { row.push(cell); cell = ''; }
+      else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell); rows.push(row);
+        row = []; cell = '';
+      } else cell += ch;
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows;
+  }
+
+  _isZip(bytes) {
+    return bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+  }
+
+  /**
+   * List a zip's files from its central directory → [{ name, read() }].
+   * Only stored and deflated entries (what every exporter writes); no zip64.
+   */
+  async _unzip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('damaged zip file');
+
+    const entries = [];
+    let p = view.getUint32(eocd + 16, true);
+    for (let n = view.getUint16(eocd + 10, true); n > 0; n--) {
+      if (view.getUint32(p, true) !== 0x02014b50) throw new Error('damaged zip file');
+      const method  = view.getUint16(p + 10, true);
+      const size    = view.getUint32(p + 20, true);
+      const nameLen = view.getUint16(p + 28, true);
+      const skip    = nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+      const local   = view.getUint32(p + 42, true);
+      const name    = new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLen));
+      p += 46 + skip;
+      if (name.endsWith('/')) continue;
+
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const data  = bytes.subarray(start, start + size);
+      entries.push({
+        name,
+        read: () => {
+          if (method === 0) return Promise.resolve(data);
+          if (method === 8) return this._inflate(data, 'deflate-raw');
+          return Promise.reject(new Error(`unsupported compression in ${name}`));
+        },
+      });
+    }
+    return entries;
+  }
+
+  async _inflate(bytes, format) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+}
+
+// Singleton
+const recipeImporter = new RecipeImporter();
@@ -0,0 +1,336 @@
+/**
+ * ingredients.js — Ingredient line parser
+ * Splits a free-text ingredient line into amount, unit, item and preparation:
+ *
+ *   parseIngredient('1 – 1 ¼ lb. boneless skinless chicken breasts, pounded to ¾-inch thickness')
+ *   → { qty: 1, qtyMax: 1.25, unit: 'lb', item: 'boneless skinless chicken breasts',
+ *       prep: 'pounded to ¾-inch thickness', raw: '1 – 1 ¼ lb. boneless …' }
+ *
+ * Understands unicode and ASCII fractions, mixed numbers, decimals, ranges
+ * ("2-3", "1 to 2"), number words, parentheticals ("1 (14 oz) can …") and
+ * HTML entities. `qty`, `qtyMax`, `unit` and `prep` are null when the line
+ * has none; units are normalised to the keys of INGREDIENT_UNITS.
+ *
+ * Recipes keep the result next to the text in `parsedIngredients` — one entry
+ * per `ingredients` line, null for section separators (see schema.js).
+ *
+ * scaleIngredient() rewrites a line for more or fewer servings, rounding to
+ * kitchen fractions and moving between units (16 tbsp → 1 cup).
+ */
+
+const UNICODE_FRACTIONS = {
+  '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4, '⅕': 1 / 5, '⅖': 2 / 5, '⅗': 3 / 5, '⅘': 4 / 5,
+  '⅙': 1 / 6, '⅚': 5 / 6, '⅐': 1 / 7, '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8, '⅑': 1 / 9, '⅒': 1 / 10,
+};
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, dozen: 12, half: 0.5,
+};
+
+// Canonical unit → the spellings recipes use. Single letters are case-sensitive
+// (T = tablespoon, t = teaspoon); everything else matches in any case.
+const INGREDIENT_UNITS = {
+  tsp:     ['teaspoons', 'teaspoon', 'tsps', 'tsp', 't'],
+  tbsp:    ['tablespoons', 'tablespoon', 'tbsps', 'tbsp', 'tbls', 'tbl', 'tbs', 'T'],
+  cup:     ['cups', 'cup', 'c'],
+  'fl oz': ['fluid ounces', 'fluid ounce', 'fl. oz', 'fl oz', 'floz'],
+  oz:      ['ounces', 'ounce', 'oz'],
+  lb:      ['pounds', 'pound', 'lbs', 'lb'],
+  g:       ['grams', 'gram', 'gr', 'g'],
+  kg:      ['kilograms', 'kilogram', 'kilos', 'kilo', 'kg'],
+  mg:      ['milligrams', 'milligram', 'mg'],
+  ml:      ['milliliters', 'milliliter', 'millilitres', 'millilitre', 'ml'],
+  l:       ['liters', 'liter', 'litres', 'litre', 'l', 'L'],
+  pint:    ['pints', 'pint', 'pt'],
+  quart:   ['quarts', 'quart', 'qt'],
+  gallon:  ['gallons', 'gallon', 'gal'],
+  pinch:   ['pinches', 'pinch'],
+  dash:    ['dashes', 'dash'],
+  handful: ['handfuls', 'handful'],
+  clove:   ['cloves', 'clove'],
+  can:     ['cans', 'can', 'tins', 'tin'],
+  package: ['packages', 'package', 'packets', 'packet', 'pkgs', 'pkg'],
+  stick:   ['sticks', 'stick'],
+  slice:   ['slices', 'slice'],
+  piece:   ['pieces', 'piece', 'pcs', 'pc'],
+  bunch:   ['bunches', 'bunch'],
+  sprig:   ['sprigs', 'sprig'],
+  stalk:   ['stalks', 'stalk'],
+  head:    ['heads', 'head'],
+  jar:     ['jars', 'jar'],
+};
+
+// Units that make sense without an amount ("pinch of salt")
+const UNITS_WITHOUT_QTY = ['pinch', 'dash', 'handful'];
+
+// Trailing phrases that are preparation notes even without a comma
+const PREP_SUFFIX = /\s+(to taste|as needed|or to taste|for (?:garnish|serving|frying|greasing|dusting)|optional)$/i;
+
+const UNIT_ALIASES = Object.entries(INGREDIENT_UNITS)
+  .flatMap(([unit, aliases]) => aliases.map(alias => ({ unit, alias })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+const UNIT_RE = new RegExp(`^(${UNIT_ALIASES.map(u => u.alias.replace(/\./g, '\\.')).join('|')})\\.?(?![a-z])`, 'i');
+
+/**
+ * Parse one ingredient line.
+ * @param {string} text
+ * @returns {Object|null} { qty, qtyMax, unit, item, prep, raw } — null for a blank line
+ */
+function parseIngredient(text) {
+  const raw = String(text ?? '');
+  let s = cleanLine(raw);
+  if (!s) return null;
+
+  // Parentheticals ("(14.5 oz)", "(optional)") are notes, wherever they are
+  const notes = [];
+  s = s.replace(/\s*\(([^()]*)\)/g, (m, inner) => {
+    if (inner.trim()) notes.push(inner.trim());
+    return ' ';
+  }).replace(/\s+/g, ' ').trim();
+
+  const { qty, qtyMax, length } = readAmount(s) || { qty: null, qtyMax: null, length: 0 };
+  s = s.slice(length).trim();
+
+  let unit = null;
+  const u = readUnit(s);
+  if (u && (qty !== null || UNITS_WITHOUT_QTY.includes(u.unit))) {
+    unit = u.unit;
+    s = s.slice(u.length).trim().replace(/^of\s+/i, '');
+  }
+
+  // "chicken breasts, pounded thin" → item + prep
+  let item = s, prep = [];
+  const comma = item.indexOf(',');
+  if (comma !== -1) {
+    prep.push(item.slice(comma + 1).trim());
+    item = item.slice(0, comma).trim();
+  }
+  const suffix = item.match(PREP_SUFFIX);
+  if (suffix) {
+    prep.unshift(suffix[1]);
+    item = item.slice(0, suffix.index).trim();
+  }
+  prep = [...prep, ...notes].filter(Boolean).join(', ');
+
+  return { qty: round3(qty), qtyMax: round3(qtyMax), unit, item, prep: prep || null, raw };
+}
+
+/** Entities, odd spaces, fraction slashes and list bullets out of the way */
+function cleanLine(raw) {
+  return (typeof decodeEntities === 'function' ? decodeEntities(raw) : raw)
+    .replace(/[\u00a0\u2009\u202f]/g, ' ')
+    .replace(/⁄/g, '/')                  // fraction slash: 1⁄2
+    .replace(/^\s*[-•*▢□]\s+/, '')       // list bullets
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** parseIngredient() for a recipe's `ingredients` list */
+function parseIngredients(lines) {
+  return (lines || []).map(parseIngredient);
+}
+
+const FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join('');
+const QUANTITY_PATTERNS = [
+  [new RegExp(`^(\\d+)\\s*([${FRACTION_CHARS}])`), m => +m[1] + UNICODE_FRACTIONS[m[2]]],   // 1½, 1 ½
+  [/^(\d+)\s+(\d+)\s*\/\s*(\d+)/,                   m => +m[1] + m[2] / m[3]],               // 1 1/2
+  [/^(\d+)\s*\/\s*(\d+)/,                           m => m[1] / m[2]],                         // 1/2
+  [/^(\d*\.\d+|\d+,\d{1,2}(?!\d)|\d+)/,              m => parseFloat(m[1].replace(',', '.'))],  // 1.5, 1,5, 12
+  [new RegExp(`^([${FRACTION_CHARS}])`),             m => UNICODE_FRACTIONS[m[1]]],             // ½
+  [new RegExp(`^(${Object.keys(NUMBER_WORDS).join('|')})\\b`, 'i'), m => NUMBER_WORDS[m[1].toLowerCase()]],
+];
+
+/** Amount at the start of `s`, possibly a range → { qty, qtyMax, length } or null */
+function readAmount(s) {
+  // Not a size such as "1-inch piece ginger"
+  const num = /^[^\s-]+-[a-z]/i.test(s) ? null : readQuantity(s);
+  if (num) {
+    const rest  = s.slice(num.length).replace(/^\s+/, '');
+    const range = rest.match(/^(?:-|–|—|to|or)\s*/i);
+    const upper = range && readQuantity(rest.slice(range[0].length));
+    return upper
+      ? { qty: num.value, qtyMax: upper.value, length: s.length - rest.length + range[0].length + upper.length }
+      : { qty: num.value, qtyMax: null, length: num.length };
+  }
+  // "a pinch of", "an 8-oz can" — only count "a"/"an" when a unit follows
+  const article = s.match(/^an?\s+/i);
+  if (article && readUnit(s.slice(article[0].length))) return { qty: 1, qtyMax: null, length: article[0].length };
+  return null;
+}
+
+/** Number at the start of `s` → { value, length } or null */
+function readQuantity(s) {
+  for (const [re, value] of QUANTITY_PATTERNS) {
+    const m = s.match(re);
+    if (m && isFinite(value(m))) return { value: value(m), length: m[0].length };
+  }
+  return null;
+}
+
+/** Unit at the start of `s` → { unit, length } or null */
+function readUnit(s) {
+  const m = s.match(UNIT_RE);
+  if (!m) return null;
+  const word = m[1];
+  // Single letters must match exactly (T vs t; c, g, l/L)
+  const hit = UNIT_ALIASES.find(u => u.alias.length === 1 ? u.alias === word : u.alias.toLowerCase() === word.toLowerCase());
+  return hit ? { unit: hit.unit, length: m[0].length } : null;
+}
+
+function round3(n) {
+  return n === null ? null : Math.round(n * 1000) / 1000;
+}
+
+// ── Scaling ───────────────────────────────────────────────────
+// What a set of measuring cups and spoons can actually hit
+const KITCHEN_FRACTIONS = [[0, ''], [1 / 8, '⅛'], [1 / 4, '¼'], [1 / 3, '⅓'], [1 / 2, '½'], [2 / 3, '⅔'], [3 / 4, '¾'], [1, '']];
+
+// Units that convert into each other, in multiples of the smallest
+const UNIT_LADDERS = [
+  { tsp: 1, tbsp: 3, cup: 48 },
+  { oz: 1, lb: 16 },
+  { g: 1, kg: 1000 },
+  { ml: 1, l: 1000 },
+];
+// Smallest amount worth writing in a unit — ¼ cup, but 2 tbsp rather than ⅛ cup
+const UNIT_MIN = { tbsp: 1, cup: 1 / 4, lb: 1, kg: 1, l: 1 };
+
+// Written as decimals rather than fractions
+const DECIMAL_UNITS = ['g', 'kg', 'mg', 'ml', 'l'];
+
+// Singular → plural where adding or dropping "s" / "es" / "ies" gets it wrong
+const IRREGULAR_PLURALS = {
+  leaf: 'leaves', loaf: 'loaves', half: 'halves', knife: 'knives',
+  tomato: 'tomatoes', potato: 'potatoes', mango: 'mangoes',
+  cookie: 'cookies', brownie: 'brownies', veggie: 'veggies',
+};
+
+/**
+ * Rewrite an ingredient line for `factor` times the amount, keeping the rest of the
+ * line as written:
+ *
+ *   scaleIngredient('8 tbsp butter, melted', 2)  → '1 cup butter, melted'
+ *   scaleIngredient('1 (14 oz) can tomatoes', 3) → '3 (14 oz) cans tomatoes'
+ *   scaleIngredient('1 large onion, diced', 3)   → '3 large onions, diced'
+ *
+ * Lines without an amount ("salt to taste") come back unchanged.
+ */
+function scaleIngredient(text, factor) {
+  const parsed = parseIngredient(text);
+  if (!parsed || parsed.qty === null || factor === 1) return text;
+
+  const fit = fitUnit(parsed.qty * factor, parsed.unit);
+  const qtyMax = parsed.qtyMax !== null ? parsed.qtyMax * factor * fit.ratio : null;
+  return rewriteAmount(text, parsed, { ...fit, qtyMax });
+}
+
+/**
+ * `text` with its amount and unit swapped for `to` ({ qty, qtyMax, unit }) and the rest
+ * of the line as written — "1 (14 oz) can tomatoes" keeps its note. `parsed` is
+ * parseIngredient(text).
+ */
+function rewriteAmount(text, parsed, to) {
+  const max    = to.qtyMax ?? null;
+  const plural = roundQuantity(max ?? to.qty, to.unit) > 1;
+  const amount = formatQuantity(to.qty, to.unit) + (max !== null ? `–${formatQuantity(max, to.unit)}` : '');
+
+  // Without a unit the item is what's counted: 1 egg → 2 eggs
+  const noun = !parsed.unit && parsed.item.match(/([a-z]+)$/i)?.[1];
+  const was  = roundQuantity(parsed.qtyMax ?? parsed.qty, null) > 1;
+  const inflect = line => noun && was !== plural
+    ? line.replace(new RegExp(`\\b${noun}\\b`), countNoun(noun, plural))
+    : line;
+
+  const s = cleanLine(String(text));
+  const lead = readAmount(s);
+  if (lead) {
+    const rest  = s.slice(lead.length);
+    const paren = rest.match(/^\s*(\([^()]*\))?\s*/);
+    const after = rest.slice(paren[0].length);
+    const u = parsed.unit && readUnit(after);
+    if (!parsed.unit || u) {
+      const tail  = inflect(u ? after.slice(u.length) : after);
+      const parts = [amount, paren[1], u && unitLabel(to.unit, plural, spelledOut(parsed.unit, after.slice(0, u.length)))].filter(Boolean);
+      return parts.join(' ') + (!tail || /^[\s,]/.test(tail) ? tail : ` ${tail}`);
+    }
+  }
+  // The amount wasn't where the parser found it — rebuild from the parts
+  return [amount, to.unit && unitLabel(to.unit, plural), inflect(parsed.item)].filter(Boolean).join(' ') + (parsed.prep ? `, ${parsed.prep}` : '');
+}
+
+/**
+ * The clearest unit for an amount: 16 tbsp → 1 cup, ⅛ cup → 2 tbsp, 24 oz → 1½ lb.
+ * Moves up the unit's ladder only while the amount still lands on a kitchen fraction,
+ * give or take `tolerance` (a share of the amount).
+ * @returns {Object} { qty, unit, ratio } — ratio converts other amounts into the new unit
+ */
+function fitUnit(qty, unit, tolerance = 0.05) {
+  const ladder = UNIT_LADDERS.find(l => unit in l);
+  if (!ladder) return { qty, unit, ratio: 1 };
+  const units = Object.keys(ladder).sort((a, b) => ladder[b] - ladder[a]);
+  const smallest = units[units.length - 1];
+  for (const u of units) {
+    const n = qty * ladder[unit] / ladder[u];
+    const clean = Math.abs(roundQuantity(n, u) - n) <= n * tolerance;
+    if (u === smallest || (n >= (UNIT_MIN[u] || 0) && clean)) return { qty: n, unit: u, ratio: ladder[unit] / ladder[u] };
+  }
+}
+
+/** `n` rounded to what you'd measure: kitchen fractions, or sensible decimals for metric */
+function roundQuantity(n, unit) {
+  if (DECIMAL_UNITS.includes(unit)) {
+    const step = n >= 100 ? 5 : n >= 10 ? 1 : n >= 1 ? 0.05 : 0.01;
+    return Math.round(Math.round(n / step) * step * 100) / 100;
+  }
+  if (n >= 20) return Math.round(n);
+  const whole = Math.floor(n);
+  const [frac] = closestFraction(n - whole);
+  // Never round an amount away to nothing
+  return whole + frac || KITCHEN_FRACTIONS[1][0];
+}
+
+/**
+ * Amount as it would be written in a recipe.
+ *   formatQuantity(1.5, 'cup') → '1½'   formatQuantity(0.3, 'tsp') → '⅓'   formatQuantity(1234, 'g') → '1235'
+ */
+function formatQuantity(n, unit) {
+  const rounded = roundQuantity(n, unit);
+  if (DECIMAL_UNITS.includes(unit) || rounded >= 20) return String(rounded);
+  const whole = Math.floor(rounded);
+  const [frac, glyph] = closestFraction(rounded - whole);
+  return frac === 1 ? String(whole + 1) : `${whole || ''}${glyph}`;
+}
+
+function closestFraction(x) {
+  return KITCHEN_FRACTIONS.reduce((best, f) => Math.abs(f[0] - x) < Math.abs(best[0] - x) ? f : best);
+}
+
+/** Unit as written next to an amount — "tablespoons" when spelled out, otherwise "tbsp" */
+function unitLabel(unit, plural, spelled = false) {
+  const [many, one] = INGREDIENT_UNITS[unit];
+  return spelled || unit === one ? (plural ? many : one) : unit;
+}
+
+/** `word` for one or for several — "egg" ↔ "eggs", "berry" ↔ "berries", "peach" ↔ "peaches" */
+function countNoun(word, plural) {
+  const lower = word.toLowerCase();
+  const irregular = Object.entries(IRREGULAR_PLURALS).find(([one, many]) => lower === (plural ? one : many));
+  if (irregular) return word[0] + irregular[plural ? 1 : 0].slice(1);
+  if (plural) {
+    if (/s$/i.test(word)) return word;   // already plural, or "asparagus"
+    if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+    return word + (/(x|z|ch|sh)$/i.test(word) ? 'es' : 's');
+  }
+  if (/\w[^aeiou]ies$/i.test(word)) return `${word.slice(0, -3)}y`;
+  if (/(ss|x|z|ch|sh)es$/i.test(word)) return word.slice(0, -2);
+  return /[^s]s$/i.test(word) ? word.slice(0, -1) : word;
+}
+
+/** Whether the recipe wrote `unit` out in full ("tablespoon") rather than abbreviated */
+function spelledOut(unit, word) {
+  const [many, one] = INGREDIENT_UNITS[unit];
+  word = word.replace(/\.$/, '').toLowerCase();
+  // "cup" and "clove" read the same either way
+  return unit !== one && (word === many || word === one);
+}
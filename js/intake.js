@@ -0,0 +1,106 @@
+/**
+ * intake.js — Nutrition targets and daily / weekly intake
+ * Totals the nutrition of what's on the meal plan (recipeDB.mealPlan) for a day
+ * or a week and compares it with each person's daily targets, kept in index.json
+ * as `nutritionTargets`:
+ *
+ *   { katie: { calories: 1800, protein: 90 }, dan: { sodium: 2000, sugar: 0 } }
+ *
+ * A nutrient a person hasn't set uses DEFAULT_TARGETS; 0 means no target. Every
+ * planned recipe counts as one serving for each person, using nutritionOf() —
+ * the recipe's own facts, or the estimate from its ingredients. Meals a person
+ * has ticked as eaten are "logged" for them; the rest of the plan is "planned".
+ */
+
+// Daily targets for anyone who hasn't set their own (FDA Daily Values, 2,000 cal diet)
+const DEFAULT_TARGETS = {
+  calories:     2000,
+  protein:      50,
+  fiber:        28,
+  sodium:       2300,
+  sugar:        50,
+  saturatedFat: 20,
+};
+
+// Targets on these are ceilings — going under is fine. The rest are worth reaching.
+const TARGET_LIMITS = new Set(['fat', 'saturatedFat', 'sugar', 'sodium']);
+
+/** One person's daily targets — { nutrient: amount }, in NUTRIENTS order, without the unset ones */
+function personTargets(targets, person) {
+  const own = (targets || {})[person] || {};
+  const out = {};
+  for (const key of Object.keys(NUTRIENTS)) {
+    const value = key in own ? own[key] : DEFAULT_TARGETS[key];
+    if (value > 0) out[key] = value;
+  }
+  return out;
+}
+
+/** "Katie" for 'katie' */
+function personLabel(person) {
+  return person.charAt(0).toUpperCase() + person.slice(1);
+}
+
+/**
+ * What the plan adds up to over `days` (day keys) for `person` — one serving of
+ * each recipe, logged once they've ticked it as eaten:
+ * { logged: { calories: 1240, … }, planned: { … }, total: { … },
+ *   meals: [{ day, slot, entry, recipe, eaten, nutrition }], unknown, estimated }
+ * `unknown` counts filled slots with nothing to add up — placeholders, deleted
+ * recipes, recipes without nutrition. `estimated` is set when any number came
+ * from an ingredient estimate.
+ */
+function planIntake(plan, days, getRecipe, person) {
+  const intake = { logged: {}, planned: {}, total: {}, meals: [], unknown: 0, estimated: false };
+  for (const day of days) {
+    for (const slot of Object.keys(MEAL_SLOTS)) {
+      const entry = plan[day]?.[slot];
+      if (!isPlanned(entry)) continue;
+      const recipe = entry.recipe ? getRecipe(entry.recipe) : null;
+      const nutrition = recipe ? nutritionOf(recipe) : {};
+      const eaten = eatenBy(entry, person);
+      intake.meals.push({ day, slot, entry, recipe, eaten, nutrition });
+      if (!Object.keys(nutrition).length) { intake.unknown++; continue; }
+      for (const [key, n] of Object.entries(nutrition)) {
+        const bucket = eaten ? intake.logged : intake.planned;
+        bucket[key] = (bucket[key] || 0) + n.value;
+        intake.total[key] = (intake.total[key] || 0) + n.value;
+        if (n.estimated) intake.estimated = true;
+      }
+    }
+  }
+  return intake;
+}
+
+/**
+ * Recipes whose one serving best closes the gap between `total` and `targets`,
+ * best first: [{ recipe, score, nutrition }]. Each nutrient scores what the
+ * serving covers of what's left of its target and loses what it overshoots by,
+ * relative to the target — so 30 g of protein when 25 g is missing beats 60 g.
+ * Limits (sodium, sugar, …) only lose for overshooting. Recipes without calories
+ * can't be judged and are left out.
+ */
+function gapFillers(recipes, total, targets, limit = 5) {
+  const ranked = [];
+  for (const recipe of recipes) {
+    const nutrition = nutritionOf(recipe);
+    if (!nutrition.calories) continue;
+    let score = 0;
+    for (const [key, target] of Object.entries(targets)) {
+      if (!nutrition[key]) continue;
+      const value = nutrition[key].value;
+      const left  = Math.max(0, target - (total[key] || 0));
+      const over  = Math.max(0, value - left);
+      score += ((TARGET_LIMITS.has(key) ? 0 : Math.min(value, left)) - over) / target;
+    }
+    if (score > 0) ranked.push({ recipe, score, nutrition });
+  }
+  return ranked.sort((a, b) => b.score - a.score || a.recipe.name.localeCompare(b.recipe.name)).slice(0, limit);
+}
+
+/** 1840 → "1,840", 2300 mg → "2,300 mg", 12.5 g → "12.5 g" */
+function formatNutrient(key, value) {
+  const unit = NUTRIENTS[key]?.unit;
+  const n = Math.round(value * 10) / 10;
+  return `${n.toLocaleString('en-US')}${unit ? ` ${unit}` : ''}`;
+}
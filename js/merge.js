@@ -0,0 +1,180 @@
+/**
+ * merge.js — Three-way merge for the recipe database
+ *
+ * Used by RecipeDB._syncToRemote() when the copy in the backend has moved on since
+ * we loaded it (another device saved in between). Given:
+ *   base   — the data as it was when this device last loaded/synced
+ *   mine   — this device's current data
+ *   theirs — the data currently in the backend (GitHub, …)
+ * it merges recipe-by-recipe (matched on id) and field-by-field, recursing into
+ * plain objects such as `ratings` and `nutrition` so Katie rating on one device
+ * and Dan rating on another never collide.
+ *
+ * Anything that changed differently on both sides is returned as a conflict.
+ * The merged result holds THEIR value for each conflict until the caller
+ * applies a choice with applyConflictChoice().
+ */
+
+/**
+ * @param {Object} base   { recipes: [...] } last synced copy (may be null)
+ * @param {Object} mine   { recipes: [...] } local copy
+ * @param {Object} theirs { recipes: [...] } remote copy
+ * @returns {{ data: Object, conflicts: Array }}
+ */
+function mergeRecipeData(base, mine, theirs) {
+  base = base || { recipes: [] };
+  const conflicts = [];
+
+  const baseById   = indexById(base.recipes);
+  const mineById   = indexById(mine.recipes);
+  const theirsById = indexById(theirs.recipes);
+
+  // Keep the remote ordering, then append recipes only this device has added
+  const order = (theirs.recipes || []).map(r => r.id);
+  for (const r of mine.recipes || []) {
+    if (!theirsById.has(r.id)) order.push(r.id);
+  }
+
+  const recipes = [];
+  for (const id of order) {
+    const b = baseById.get(id);
+    const m = mineById.get(id);
+    const t = theirsById.get(id);
+
+    if (m && t) {
+      // Derived fields are recomputed from the merged result, never merged themselves
+      const merged = mergeObjects(withoutDerived(b || {}), withoutDerived(m), withoutDerived(t), [], id, m.name || t.name, conflicts);
+      recipes.push(DERIVED_FIELDS.some(k => k in m || k in t) ? deriveFields(merged) : merged);
+      continue;
+    }
+
+    // Present on one side only: either newly added there, or deleted on the other
+    const kept = m || t;
+    if (!b) { recipes.push(kept); continue; }       // added on one side
+    if (sameValue(b, kept)) continue;               // deleted on the other, untouched here
+
+    // Deleted on one side, edited on the other
+    conflicts.push({
+      recipeId:   id,
+      recipeName: kept.name,
+      kind:       'delete',
+      path:       [],
+      mine:       m || undefined,
+      theirs:     t || undefined,
+    });
+    // Default (theirs) — keep the recipe only if it still exists remotely
+    if (t) recipes.push(t);
+  }
+
+  // Non-recipe top-level keys (version, …) merge like recipe fields
+  const { recipes: _b, ...baseRest }   = base;
+  const { recipes: _m, ...mineRest }   = mine;
+  const { recipes: _t, ...theirsRest } = theirs;
+  const rest = mergeObjects(baseRest, mineRest, theirsRest, [], null, '', conflicts);
+
+  return { data: { ...rest, recipes }, conflicts };
+}
+
+/**
+ * Apply the user's choice for one conflict to merged data (in place).
+ * @param {Object} data      merged data returned by mergeRecipeData()
+ * @param {Object} conflict  one entry from mergeRecipeData().conflicts
+ * @param {'mine'|'theirs'} choice
+ */
+function applyConflictChoice(data, conflict, choice) {
+  if (choice !== 'mine') return; // theirs is already in place
+
+  if (conflict.kind === 'delete') {
+    const idx = data.recipes.findIndex(r => r.id === conflict.recipeId);
+    if (!conflict.mine) {
+      if (idx !== -1) data.recipes.splice(idx, 1);
+    } else if (idx === -1) {
+      data.recipes.push(conflict.mine);
+    } else {
+      data.recipes[idx] = conflict.mine;
+    }
+    return;
+  }
+
+  let target = conflict.recipeId == null
+    ? data
+    : data.recipes.find(r => r.id === conflict.recipeId);
+  if (!target) return;
+  const path = conflict.path;
+  for (let i = 0; i < path.length - 1; i++) {
+    if (target[path[i]] == null || typeof target[path[i]] !== 'object') target[path[i]] = {};
+    target = target[path[i]];
+  }
+  const last = path[path.length - 1];
+  if (conflict.mine === undefined) delete target[last];
+  else target[last] = conflict.mine;
+
+  const recipe = conflict.recipeId != null && data.recipes.find(r => r.id === conflict.recipeId);
+  if (recipe && DERIVED_FIELDS.some(k => k in recipe)) deriveFields(recipe);
+}
+
+// ── Internals ─────────────────────────────────────────────────
+function withoutDerived(recipe) {
+  const out = { ...recipe };
+  DERIVED_FIELDS.forEach(k => delete out[k]);
+  return out;
+}
+
+function mergeObjects(b, m, t, path, recipeId, recipeName, conflicts) {
+  const out  = {};
+  const keys = new Set([...Object.keys(b), ...Object.keys(m), ...Object.keys(t)]);
+
+  for (const key of keys) {
+    const bv = b[key], mv = m[key], tv = t[key];
+    let val;
+
+    if (sameValue(mv, tv)) {
+      val = mv;
+    } else if (sameValue(mv, bv)) {
+      val = tv;   // only they changed it
+    } else if (sameValue(tv, bv)) {
+      val = mv;   // only we changed it
+    } else if (key === 'lastModified' && recipeId != null && !path.length) {
+      val = String(mv || '') > String(tv || '') ? mv : tv; // newest edit wins, never a conflict
+    } else if (isPlainObject(mv) && isPlainObject(tv)) {
+      val = mergeObjects(isPlainObject(bv) ? bv : {}, mv, tv, [...path, key], recipeId, recipeName, conflicts);
+    } else {
+      conflicts.push({
+        recipeId,
+        recipeName,
+        kind:   'field',
+        path:   [...path, key],
+        base:   bv,
+        mine:   mv,
+        theirs: tv,
+      });
+      val = tv;
+    }
+
+    if (val !== undefined) out[key] = val;
+  }
+  return out;
+}
+
+function indexById(list) {
+  return new Map((list || []).map(r => [r.id, r]));
+}
+
+function isPlainObject(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null) return a == b; // treat null and undefined alike
+  if (typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((v, i) => sameValue(v, b[i]));
+  }
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const k of keys) {
+    if (!sameValue(a[k], b[k])) return false;
+  }
+  return true;
+}
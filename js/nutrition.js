@@ -0,0 +1,326 @@
+/**
+ * nutrition.js — Nutrition estimates from ingredients
+ * Many recipes arrive without nutrition facts (manual entries, sites that don't
+ * publish them). This matches each parsed ingredient line to a food in a bundled
+ * per-100 g table (values after USDA FoodData Central), weighs the amount, and
+ * adds the nutrients up per serving:
+ *
+ *   '1 lb boneless skinless chicken breasts' → Chicken breast, 454 g → 545 cal, 102 g protein, …
+ *
+ * The result is the derived `nutritionEstimate` field (schema.js), recomputed when
+ * the ingredients, servings or corrections change — and on load for recipes that
+ * arrive without a current one (RecipeDB._checkSchema()). nutritionOf() lays the
+ * recipe's own nutrition facts over it, so estimates only fill the gaps and are
+ * flagged `estimated`.
+ *
+ * Matches are correctable per recipe through `nutritionMap`, keyed by
+ * nutritionKey(item): { food: id | 'none', grams: n }. 'none' leaves the line
+ * out; `grams` replaces the weight worked out from the amount.
+ */
+
+// Bump when NUTRITION_FOODS or the weighing rules change: every estimate goes stale
+// and is recomputed, and saved, the next time the data loads
+const NUTRITION_DATA_VERSION = 1;
+
+// Display order on the recipe page
+const NUTRIENTS = {
+  calories:     { label: 'Calories',  unit: '' },
+  fat:          { label: 'Total Fat', unit: 'g' },
+  carbs:        { label: 'Carbs',     unit: 'g' },
+  protein:      { label: 'Protein',   unit: 'g' },
+  fiber:        { label: 'Fiber',     unit: 'g' },
+  sugar:        { label: 'Sugar',     unit: 'g' },
+  sodium:       { label: 'Sodium',    unit: 'mg' },
+  saturatedFat: { label: 'Sat. Fat',  unit: 'g' },
+};
+
+// The order of the numbers in each food's `per100g`
+const PER_100G = ['calories', 'fat', 'saturatedFat', 'carbs', 'fiber', 'sugar', 'protein', 'sodium'];
+
+// Per 100 g: kcal, fat, sat. fat, carbs, fiber, sugar, protein (g), sodium (mg).
+// Other keys are grams per measure — `each` for a bare count ("2 eggs"), or an
+// INGREDIENT_UNITS unit. Volumes use `cup`, then densityOf() (units.js), then water.
+// `drained` is the share of a can's label weight left once the liquid is poured off.
+// Checked in order — the first match wins, so compound names come before their parts.
+const NUTRITION_FOODS = [
+  // Sauces, broths and pantry items whose names contain other foods
+  { id: 'broth',          name: 'Broth or stock',           match: /broth|stock|bouillon/,                 per100g: [6, 0.2, 0.1, 0.4, 0, 0.3, 0.6, 343], cup: 240, can: 411 },
+  { id: 'soy-sauce',      name: 'Soy sauce',                match: /soy sauce|tamari/,                     per100g: [53, 0.6, 0.1, 4.9, 0.8, 0.4, 8.1, 5493], cup: 255 },
+  { id: 'fish-sauce',     name: 'Fish sauce',               match: /fish sauce/,                           per100g: [35, 0, 0, 3.6, 0, 3.6, 5.1, 7851], cup: 288 },
+  { id: 'worcestershire', name: 'Worcestershire sauce',     match: /worcestershire/,                       per100g: [78, 0, 0, 19.5, 0, 10, 0, 980], cup: 275 },
+  { id: 'hot-sauce',      name: 'Hot sauce',                match: /hot sauce|sriracha|tabasco/,           per100g: [11, 0.4, 0.1, 1.8, 0.3, 1.3, 0.5, 2643], cup: 240 },
+  { id: 'tomato-paste',   name: 'Tomato paste',             match: /tomato paste/,                         per100g: [82, 0.5, 0.1, 18.9, 4.1, 12.2, 4.3, 59], cup: 262, can: 170 },
+  { id: 'tomato-sauce',   name: 'Tomato sauce',             match: /tomato sauce|passata|tomato puree/,    per100g: [24, 0.3, 0, 5.3, 1.5, 3.6, 1.2, 474], cup: 245, can: 425 },
+  { id: 'pasta-sauce',    name: 'Marinara / pasta sauce',   match: /marinara|pasta sauce|spaghetti sauce/, per100g: [50, 1.5, 0.2, 8, 1.8, 5.7, 1.4, 437], cup: 250, jar: 680 },
+  { id: 'canned-tomatoes', name: 'Canned tomatoes',         match: /(?:diced|crushed|whole|peeled|canned|stewed|fire[- ]roasted) tomatoes/, per100g: [32, 0.3, 0, 7.3, 1.9, 4.4, 1.6, 132], cup: 240, can: 411 },
+  { id: 'salsa',          name: 'Salsa',                    match: /salsa/,                                per100g: [36, 0.2, 0, 6.6, 1.9, 4, 1.5, 711], cup: 260, jar: 454 },
+  { id: 'ketchup',        name: 'Ketchup',                  match: /ketchup/,                              per100g: [101, 0.1, 0, 27.4, 0.3, 21.3, 1, 907], cup: 240 },
+  { id: 'mayonnaise',     name: 'Mayonnaise',               match: /mayo/,                                 per100g: [680, 75, 11.7, 0.6, 0, 0.6, 1, 635], cup: 220 },
+  { id: 'mustard',        name: 'Mustard',                  match: /mustard(?! seeds?| greens)/,           per100g: [60, 3.3, 0.2, 5.8, 4, 0.9, 3.7, 1120], cup: 250 },
+  { id: 'vinegar',        name: 'Vinegar',                  match: /vinegar/,                              per100g: [21, 0, 0, 0.9, 0, 0.4, 0, 5], cup: 239 },
+  { id: 'coconut-milk',   name: 'Coconut milk, canned',     match: /coconut (?:milk|cream)/,               per100g: [230, 23.8, 21.1, 5.5, 2.2, 3.3, 2.3, 15], cup: 226, can: 400 },
+  { id: 'condensed-milk', name: 'Sweetened condensed milk', match: /condensed milk/,                        per100g: [321, 8.7, 5.5, 54.4, 0, 54.4, 7.9, 127], cup: 306, can: 396 },
+  { id: 'peanut-butter',  name: 'Peanut butter',            match: /peanut butter|almond butter/,          per100g: [588, 50, 10.3, 20, 6, 9.2, 25, 459] },
+  { id: 'cream-cheese',   name: 'Cream cheese',             match: /cream cheese/,                         per100g: [342, 34, 19, 4.1, 0, 3.2, 5.9, 321], package: 226 },
+  { id: 'sour-cream',     name: 'Sour cream',               match: /sour cream/,                           per100g: [198, 19.4, 10, 4.6, 0, 3.4, 2.4, 31] },
+  { id: 'egg-noodles',    name: 'Egg noodles, dry',         match: /egg noodles/,                          per100g: [384, 4.4, 1.2, 71, 3.3, 1.9, 14.2, 21], cup: 38, package: 340 },
+  { id: 'egg-white',      name: 'Egg white',                match: /egg whites?/,                          per100g: [52, 0.2, 0, 0.7, 0, 0.7, 10.9, 166], each: 33, cup: 243 },
+  { id: 'garlic-powder',  name: 'Garlic or onion powder',   match: /(?:garlic|onion) (?:powder|salt)/,     per100g: [331, 0.7, 0.2, 72.7, 9, 2.4, 16.6, 60], cup: 155 },
+  { id: 'chili-powder',   name: 'Chili powder',             match: /chil[ei] powder|taco seasoning/,       per100g: [282, 14.3, 2.5, 49.7, 34.8, 7.2, 13.5, 2867], cup: 130, package: 28 },
+  { id: 'lemon-juice',    name: 'Lemon or lime juice',      match: /(?:lemon|lime) juice/,                 per100g: [22, 0.2, 0, 6.9, 0.3, 2.5, 0.4, 1], cup: 244 },
+  { id: 'sweet-potato',   name: 'Sweet potato',             match: /sweet potato|\byams?\b/,               per100g: [86, 0.1, 0, 20.1, 3, 4.2, 1.6, 55], each: 130, cup: 133 },
+  { id: 'bell-pepper',    name: 'Bell pepper',              match: /bell peppers?|(?<!crushed )(?:red|green|yellow|orange) peppers?(?! flakes)/, per100g: [31, 0.3, 0, 6, 2.1, 4.2, 1, 4], each: 119, cup: 149 },
+  { id: 'chili-pepper',   name: 'Chili pepper',             match: /jalape[nñ]o|serrano|poblano|chil[ei] peppers?|green chil[ei]s|chipotle/, per100g: [29, 0.4, 0.1, 6.5, 2.8, 4.1, 0.9, 3], each: 14 },
+  { id: 'green-beans',    name: 'Green beans',              match: /green beans|string beans|haricots/,    per100g: [31, 0.2, 0, 7, 2.7, 3.3, 1.8, 6], cup: 110 },
+  { id: 'tortilla-chips', name: 'Tortilla chips',           match: /tortilla chips|corn chips/,           per100g: [489, 23, 2.8, 65, 5.3, 1.1, 6.8, 338], cup: 28 },
+  { id: 'corn-tortilla',  name: 'Corn tortillas',           match: /corn tortillas?|tostadas?|taco shells?/, per100g: [218, 2.9, 0.4, 44.6, 6.3, 0.9, 5.7, 45], each: 26, package: 340 },
+  { id: 'flour-tortilla', name: 'Flour tortillas',          match: /tortillas?|wraps?/,                    per100g: [306, 8, 3.1, 50, 3.5, 3.7, 8.2, 541], each: 45, package: 450 },
+
+  // Meat and seafood
+  { id: 'chicken-breast', name: 'Chicken breast, raw',      match: /chicken breasts?|chicken tenders?|chicken cutlets?/, per100g: [120, 2.6, 0.6, 0, 0, 0, 22.5, 45], each: 200 },
+  { id: 'chicken-thigh',  name: 'Chicken thighs, raw',      match: /chicken thighs?|chicken legs?|drumsticks?/, per100g: [121, 4.1, 1, 0, 0, 0, 19.7, 95], each: 110 },
+  { id: 'chicken-cooked', name: 'Chicken, cooked',          match: /(?:cooked|shredded|rotisserie|leftover) chicken/, per100g: [190, 7.4, 2, 0, 0, 0, 28.9, 86], cup: 140 },
+  { id: 'chicken',        name: 'Chicken, raw',             match: /chicken/,                              per100g: [143, 8.1, 2.3, 0, 0, 0, 17.4, 77], each: 1200 },
+  { id: 'ground-turkey',  name: 'Ground turkey',            match: /ground turkey|turkey mince/,           per100g: [150, 8.3, 2.2, 0, 0, 0, 18.7, 69] },
+  { id: 'turkey',         name: 'Turkey breast',            match: /turkey/,                               per100g: [114, 1.5, 0.4, 0.1, 0, 0, 23.7, 118], slice: 28 },
+  { id: 'ground-beef',    name: 'Ground beef (85% lean)',   match: /ground beef|beef mince|hamburger|ground chuck/, per100g: [215, 15, 5.9, 0, 0, 0, 18.6, 66] },
+  { id: 'beef',           name: 'Beef, raw',                match: /beef|steak|sirloin|brisket|chuck|flank|skirt|short ribs|roast/, per100g: [180, 10.5, 4.1, 0, 0, 0, 19.5, 70], each: 250 },
+  { id: 'ground-pork',    name: 'Ground pork',              match: /ground pork|pork mince/,               per100g: [263, 21.2, 7.9, 0, 0, 0, 16.9, 56] },
+  { id: 'bacon',          name: 'Bacon, raw',               match: /bacon|pancetta/,                       per100g: [417, 40, 13, 1.3, 0, 0, 13, 833], slice: 28, each: 28 },
+  { id: 'sausage',        name: 'Sausage',                  match: /sausage|chorizo|kielbasa|bratwurst/,   per100g: [301, 27, 9, 0.8, 0, 0, 13, 700], each: 75, package: 397 },
+  { id: 'ham',            name: 'Ham',                      match: /\bham\b|prosciutto/,                   per100g: [145, 6, 2, 1.5, 0, 0, 21, 1200], slice: 28 },
+  { id: 'pork',           name: 'Pork, raw',                match: /pork/,                                 per100g: [143, 5.4, 1.9, 0, 0, 0, 21.4, 50], each: 200 },
+  { id: 'lamb',           name: 'Lamb, raw',                match: /lamb/,                                 per100g: [282, 23, 10, 0, 0, 0, 16.6, 59] },
+  { id: 'salmon',         name: 'Salmon, raw',              match: /salmon/,                               per100g: [208, 13.4, 3.1, 0, 0, 0, 20.4, 59], each: 170 },
+  { id: 'tuna',           name: 'Tuna, canned in water',    match: /tuna/,                                 per100g: [116, 0.8, 0.2, 0, 0, 0, 25.5, 338], can: 142, drained: 0.6 },
+  { id: 'shrimp',         name: 'Shrimp, raw',              match: /shrimp|prawns/,                        per100g: [106, 1.7, 0.3, 0.9, 0, 0, 20.3, 148], each: 15 },
+  { id: 'white-fish',     name: 'White fish, raw',          match: /\bcod\b|tilapia|halibut|haddock|\bfish\b|mahi|snapper|pollock/, per100g: [82, 0.7, 0.1, 0, 0, 0, 17.8, 54], each: 170 },
+  { id: 'tofu',           name: 'Tofu, firm',               match: /tofu/,                                 per100g: [144, 8.7, 1.3, 2.8, 2.3, 0.6, 17.3, 14], cup: 252, package: 397 },
+  { id: 'egg',            name: 'Egg',                      match: /\beggs?\b/,                            per100g: [143, 9.5, 3.1, 0.7, 0, 0.4, 12.6, 142], each: 50, cup: 243 },
+
+  // Dairy
+  { id: 'butter-unsalted', name: 'Butter, unsalted',        match: /unsalted butter/,                      per100g: [717, 81, 51, 0.1, 0, 0.1, 0.9, 11], stick: 113 },
+  { id: 'butter',         name: 'Butter',                   match: /\bbutter\b|ghee/,                         per100g: [717, 81, 51, 0.1, 0, 0.1, 0.9, 643], stick: 113 },
+  { id: 'heavy-cream',    name: 'Heavy cream',              match: /heavy cream|whipping cream|double cream/, per100g: [340, 36, 23, 2.8, 0, 2.9, 2.8, 27], cup: 238 },
+  { id: 'half-and-half',  name: 'Half-and-half',            match: /half[- ]and[- ]half|light cream/,      per100g: [131, 11.5, 7, 4.3, 0, 4.1, 3.1, 61], cup: 242 },
+  { id: 'milk-low-fat',   name: 'Milk, low-fat',            match: /(?:skim|nonfat|non-fat|fat-free|low-fat|lowfat|2%|1%) milk/, per100g: [50, 2, 1.3, 4.8, 0, 5.1, 3.3, 47], cup: 244 },
+  { id: 'milk',           name: 'Milk, whole',              match: /\bmilk\b|buttermilk/,                  per100g: [61, 3.3, 1.9, 4.8, 0, 5.1, 3.2, 43], cup: 244 },
+  { id: 'greek-yogurt',   name: 'Greek yogurt, plain',      match: /greek yogh?urt/,                       per100g: [59, 0.4, 0.1, 3.6, 0, 3.2, 10.2, 36], cup: 245 },
+  { id: 'yogurt',         name: 'Yogurt, plain',            match: /yogh?urt/,                             per100g: [61, 3.3, 2.1, 4.7, 0, 4.7, 3.5, 46], cup: 245 },
+  { id: 'parmesan',       name: 'Parmesan',                 match: /parmesan|parmigiano|pecorino|romano/,  per100g: [392, 25.8, 16.4, 3.2, 0, 0.8, 35.8, 1602] },
+  { id: 'mozzarella',     name: 'Mozzarella, part-skim',    match: /mozzarella/,                           per100g: [254, 15.9, 10.1, 2.8, 0, 1.1, 24.3, 619], slice: 28 },
+  { id: 'feta',           name: 'Feta',                     match: /feta|goat cheese|cotija|queso fresco/, per100g: [264, 21.3, 14.9, 4.1, 0, 4.1, 14.2, 1116], cup: 150 },
+  { id: 'ricotta',        name: 'Ricotta, whole milk',      match: /ricotta|cottage cheese/,               per100g: [174, 13, 8.3, 3, 0, 0.3, 11.3, 84], cup: 246 },
+  { id: 'cheese',         name: 'Cheddar and similar',      match: /cheese|cheddar|monterey|jack|swiss|gruyere|provolone/, per100g: [403, 33, 21, 1.3, 0, 0.5, 24.9, 621], slice: 28 },
+
+  // Produce
+  { id: 'garlic',         name: 'Garlic',                   match: /garlic/,                               per100g: [149, 0.5, 0.1, 33, 2.1, 1, 6.4, 17], clove: 3, head: 40, each: 3, cup: 136 },
+  { id: 'scallion',       name: 'Green onions',             match: /scallions?|green onions?|spring onions?|chives/, per100g: [32, 0.2, 0, 7.3, 2.6, 2.3, 1.8, 16], each: 15, bunch: 100, cup: 100 },
+  { id: 'shallot',        name: 'Shallot',                  match: /shallots?/,                            per100g: [72, 0.1, 0, 16.8, 3.2, 7.9, 2.5, 12], each: 45, cup: 160 },
+  { id: 'onion',          name: 'Onion',                    match: /onions?/,                              per100g: [40, 0.1, 0, 9.3, 1.7, 4.2, 1.1, 4], each: 110, cup: 160 },
+  { id: 'tomato',         name: 'Tomato',                   match: /tomato/,                               per100g: [18, 0.2, 0, 3.9, 1.2, 2.6, 0.9, 5], each: 123, cup: 180, can: 411 },
+  { id: 'potato',         name: 'Potato',                   match: /potato/,                               per100g: [77, 0.1, 0, 17.5, 2.2, 0.8, 2, 6], each: 213, cup: 150 },
+  { id: 'carrot',         name: 'Carrot',                   match: /carrots?/,                             per100g: [41, 0.2, 0, 9.6, 2.8, 4.7, 0.9, 69], each: 61, cup: 128 },
+  { id: 'celery',         name: 'Celery',                   match: /celery/,                               per100g: [16, 0.2, 0, 3, 1.6, 1.3, 0.7, 80], stalk: 40, each: 40, cup: 101 },
+  { id: 'broccoli',       name: 'Broccoli',                 match: /broccoli/,                             per100g: [34, 0.4, 0, 6.6, 2.6, 1.7, 2.8, 33], cup: 91, head: 600, bunch: 600 },
+  { id: 'cauliflower',    name: 'Cauliflower',              match: /cauliflower/,                          per100g: [25, 0.3, 0.1, 5, 2, 1.9, 1.9, 30], cup: 107, head: 575 },
+  { id: 'spinach',        name: 'Spinach',                  match: /spinach/,                              per100g: [23, 0.4, 0.1, 3.6, 2.2, 0.4, 2.9, 79], cup: 30, bunch: 340, handful: 30, package: 283 },
+  { id: 'kale',           name: 'Kale',                     match: /kale|collard|chard/,                   per100g: [49, 0.9, 0.1, 8.8, 3.6, 2.3, 4.3, 38], cup: 67, bunch: 200, handful: 25 },
+  { id: 'lettuce',        name: 'Lettuce and salad greens', match: /lettuce|romaine|arugula|greens|mesclun/, per100g: [17, 0.3, 0, 3.3, 2.1, 1.2, 1.2, 8], cup: 47, head: 626, handful: 20 },
+  { id: 'cabbage',        name: 'Cabbage',                  match: /cabbage|bok choy|coleslaw/,            per100g: [25, 0.1, 0, 5.8, 2.5, 3.2, 1.3, 18], cup: 89, head: 900 },
+  { id: 'zucchini',       name: 'Zucchini',                 match: /zucchini|courgette|summer squash/,     per100g: [17, 0.3, 0.1, 3.1, 1, 2.5, 1.2, 8], each: 196, cup: 124 },
+  { id: 'squash',         name: 'Winter squash',            match: /squash|pumpkin/,                       per100g: [45, 0.1, 0, 11.7, 2, 2.2, 1, 4], each: 1000, cup: 140 },
+  { id: 'mushrooms',      name: 'Mushrooms',                match: /mushrooms?/,                           per100g: [22, 0.3, 0, 3.3, 1, 2, 3.1, 5], each: 18, cup: 70, package: 227 },
+  { id: 'cucumber',       name: 'Cucumber',                 match: /cucumbers?/,                           per100g: [15, 0.1, 0, 3.6, 0.5, 1.7, 0.7, 2], each: 300, cup: 104 },
+  { id: 'eggplant',       name: 'Eggplant',                 match: /eggplant|aubergine/,                   per100g: [25, 0.2, 0, 5.9, 3, 3.5, 1, 2], each: 458, cup: 82 },
+  { id: 'asparagus',      name: 'Asparagus',                match: /asparagus/,                            per100g: [20, 0.1, 0, 3.9, 2.1, 1.9, 2.2, 2], each: 16, bunch: 450, cup: 134 },
+  { id: 'corn',           name: 'Corn',                     match: /\bcorn\b(?! ?starch| ?meal| tortillas?| syrup)/, per100g: [86, 1.4, 0.2, 19, 2.7, 6.3, 3.3, 15], each: 90, cup: 145, can: 425, drained: 0.6 },
+  { id: 'peas',           name: 'Green peas',               match: /\bpeas\b|edamame/,                     per100g: [81, 0.4, 0.1, 14.5, 5.1, 5.7, 5.4, 5], cup: 145 },
+  { id: 'avocado',        name: 'Avocado',                  match: /avocados?|guacamole/,                  per100g: [160, 14.7, 2.1, 8.5, 6.7, 0.7, 2, 7], each: 150, cup: 150 },
+  { id: 'lemon',          name: 'Lemon or lime',            match: /lemons?|limes?/,                       per100g: [29, 0.3, 0, 9.3, 2.8, 2.5, 1.1, 2], each: 60 },
+  { id: 'banana',         name: 'Banana',                   match: /bananas?/,                             per100g: [89, 0.3, 0.1, 22.8, 2.6, 12.2, 1.1, 1], each: 118, cup: 150 },
+  { id: 'apple',          name: 'Apple',                    match: /apples?(?! cider| juice)/,             per100g: [52, 0.2, 0, 13.8, 2.4, 10.4, 0.3, 1], each: 182, cup: 125 },
+  { id: 'strawberries',   name: 'Strawberries',             match: /strawberr/,                            per100g: [32, 0.3, 0, 7.7, 2, 4.9, 0.7, 1], each: 12, cup: 152 },
+  { id: 'berries',        name: 'Blueberries and other berries', match: /berr/,                            per100g: [57, 0.3, 0, 14.5, 2.4, 10, 0.7, 1], cup: 148 },
+  { id: 'ginger',         name: 'Ginger, fresh',            match: /(?<!ground )ginger(?! powder)/,        per100g: [80, 0.8, 0.2, 17.8, 2, 1.7, 1.8, 13], piece: 10, cup: 96 },
+  { id: 'herbs',          name: 'Fresh herbs',              match: /cilantro|parsley|basil|\bmint\b|\bdill\b|rosemary|thyme|sage|oregano|tarragon/, per100g: [23, 0.5, 0, 3.7, 2.8, 0.9, 2.1, 46], cup: 16, bunch: 60, sprig: 1, handful: 10 },
+
+  // Grains, baking and pantry
+  { id: 'almond-flour',   name: 'Almond flour',             match: /almond (?:flour|meal)/,                per100g: [571, 50, 3.8, 21.4, 10.7, 3.6, 21.4, 0] },
+  { id: 'whole-wheat-flour', name: 'Whole wheat flour',     match: /whole wheat flour|wholemeal flour/,    per100g: [340, 2.5, 0.4, 72, 10.7, 0.4, 13.2, 2] },
+  { id: 'flour',          name: 'Flour, all-purpose',       match: /flour/,                                per100g: [364, 1, 0.2, 76.3, 2.7, 0.3, 10.3, 2] },
+  { id: 'cornmeal',       name: 'Cornmeal',                 match: /corn ?meal|polenta|grits/,             per100g: [370, 3.9, 0.5, 79, 7.3, 0.6, 7.1, 35] },
+  { id: 'cornstarch',     name: 'Cornstarch',               match: /corn ?starch|cornflour|arrowroot/,     per100g: [381, 0.1, 0, 91.3, 0.9, 0, 0.3, 9] },
+  { id: 'brown-sugar',    name: 'Brown sugar',              match: /brown sugar/,                          per100g: [380, 0, 0, 98, 0, 97, 0.1, 28] },
+  { id: 'sugar',          name: 'Sugar',                    match: /sugar/,                                per100g: [387, 0, 0, 100, 0, 100, 0, 1] },
+  { id: 'honey',          name: 'Honey',                    match: /honey|agave/,                          per100g: [304, 0, 0, 82.4, 0.2, 82.1, 0.3, 4] },
+  { id: 'maple-syrup',    name: 'Maple syrup',              match: /syrup|molasses/,                       per100g: [260, 0.1, 0, 67, 0, 60.5, 0, 12] },
+  { id: 'chocolate',      name: 'Chocolate chips',          match: /chocolate/,                            per100g: [480, 30, 18, 64, 6, 55, 4.2, 11], cup: 170 },
+  { id: 'cocoa',          name: 'Cocoa powder',             match: /cocoa/,                                per100g: [228, 13.7, 8.1, 57.9, 37, 1.8, 19.6, 21] },
+  { id: 'baking-soda',    name: 'Baking soda',              match: /baking soda|bicarbonate/,              per100g: [0, 0, 0, 0, 0, 0, 0, 27360], cup: 220 },
+  { id: 'baking-powder',  name: 'Baking powder',            match: /baking powder/,                        per100g: [53, 0, 0, 27.7, 0.2, 0, 0, 10600], cup: 220 },
+  { id: 'yeast',          name: 'Yeast',                    match: /yeast/,                                per100g: [325, 7.6, 1, 41, 27, 0, 40, 51], package: 7, cup: 150 },
+  { id: 'vanilla',        name: 'Vanilla extract',          match: /vanilla|extract/,                      per100g: [288, 0.1, 0, 12.7, 0, 12.7, 0.1, 9], cup: 208 },
+  { id: 'brown-rice',     name: 'Brown rice, dry',          match: /brown rice|wild rice/,                 per100g: [367, 2.7, 0.5, 76.2, 3.4, 0.9, 7.5, 7], cup: 190 },
+  { id: 'rice-cooked',    name: 'Rice, cooked',             match: /cooked (?:\w+ )?rice|leftover rice/,   per100g: [130, 0.3, 0.1, 28.2, 0.4, 0.1, 2.7, 1], cup: 158 },
+  { id: 'rice',           name: 'White rice, dry',          match: /\brice\b(?! vinegar| noodles| paper)/, per100g: [365, 0.7, 0.2, 80, 1.3, 0.1, 7.1, 5] },
+  { id: 'rice-noodles',   name: 'Rice noodles, dry',        match: /rice noodles|vermicelli/,              per100g: [364, 0.6, 0.2, 80, 1.6, 0, 6, 182], package: 227 },
+  { id: 'pasta',          name: 'Pasta, dry',               match: /pasta|spaghetti|penne|macaroni|noodles|linguine|fettuccine|rigatoni|fusilli|orzo|lasagna|ziti|rotini|farfalle|shells|tortellini|ravioli|ramen/, per100g: [371, 1.5, 0.3, 74.7, 3.2, 2.7, 13, 6], cup: 100, package: 454 },
+  { id: 'oats',           name: 'Rolled oats',              match: /\boats\b|oatmeal/,                     per100g: [379, 6.5, 1.1, 67.7, 10.1, 1, 13.2, 6] },
+  { id: 'quinoa',         name: 'Quinoa, dry',              match: /quinoa|couscous|bulgur|farro/,         per100g: [368, 6.1, 0.7, 64.2, 7, 0, 14.1, 5] },
+  { id: 'breadcrumbs',    name: 'Breadcrumbs',              match: /bread ?crumbs|panko/,                  per100g: [395, 5.3, 1.2, 72, 4.5, 6.2, 13.4, 732] },
+  { id: 'bread',          name: 'Bread',                    match: /bread|\bbuns?\b|\brolls?\b|baguette|pita|naan|bagels?|english muffins?/, per100g: [265, 3.2, 0.7, 49, 2.7, 5, 9, 491], slice: 28, each: 60 },
+  { id: 'chickpeas',      name: 'Chickpeas, canned',        match: /chickpeas|garbanzo/,                   per100g: [139, 2.8, 0.3, 22.5, 6.4, 0, 7, 240], cup: 160, can: 250, drained: 0.6 },
+  { id: 'lentils',        name: 'Lentils, dry',             match: /lentils/,                              per100g: [352, 1.1, 0.2, 63.4, 10.7, 2, 24.6, 6], cup: 192 },
+  { id: 'beans',          name: 'Beans, canned',            match: /beans/,                                per100g: [91, 0.3, 0.1, 16.6, 6.9, 0.3, 6, 384], cup: 172, can: 250, drained: 0.6 },
+  { id: 'almonds',        name: 'Almonds',                  match: /almonds/,                              per100g: [579, 49.9, 3.8, 21.6, 12.5, 4.4, 21.2, 1] },
+  { id: 'nuts',           name: 'Walnuts, pecans and other nuts', match: /nuts|pecans|cashews|pistachios|pine nuts/, per100g: [654, 65, 6.1, 13.7, 6.7, 2.6, 15.2, 2], cup: 120 },
+  { id: 'seeds',          name: 'Seeds',                    match: /seeds/,                                per100g: [573, 49.7, 7, 23.5, 11.8, 0.3, 17.7, 11], cup: 144 },
+  { id: 'raisins',        name: 'Raisins and dried fruit',  match: /raisins|cranberries|dried (?:fruit|apricots|cherries)|dates/, per100g: [299, 0.5, 0.1, 79.2, 3.7, 59.2, 3.1, 11] },
+  { id: 'olive-oil',      name: 'Olive oil',                match: /olive oil/,                            per100g: [884, 100, 13.8, 0, 0, 0, 0, 2], cup: 216 },
+  { id: 'oil',            name: 'Vegetable oil',            match: /\boil\b|shortening|lard/,              per100g: [884, 100, 10, 0, 0, 0, 0, 0], cup: 218 },
+  { id: 'wine',           name: 'Wine',                     match: /wine|sherry|beer/,                     per100g: [83, 0, 0, 2.6, 0, 0.6, 0.1, 4] },
+  { id: 'kosher-salt',    name: 'Kosher salt',              match: /kosher salt|flaky salt|sea salt flakes/, per100g: [0, 0, 0, 0, 0, 0, 0, 38758], cup: 150 },
+  { id: 'salt',           name: 'Salt',                     match: /\bsalt\b/,                             per100g: [0, 0, 0, 0, 0, 0, 0, 38758], cup: 292 },
+  { id: 'spices',         name: 'Dried spices',             match: /pepper|cumin|paprika|cinnamon|nutmeg|cloves|curry|turmeric|cayenne|coriander|allspice|seasoning|spice|flakes|bay lea|dried|ground/, per100g: [300, 10, 1.5, 55, 30, 3, 12, 60], cup: 110 },
+  { id: 'water',          name: 'Water or ice',             match: /\bwater\b|\bice\b/,                    per100g: [0, 0, 0, 0, 0, 0, 0, 0], cup: 237 },
+];
+
+// Grams per measure when the food doesn't say
+const DEFAULT_MEASURES = { pinch: 0.35, dash: 0.6, handful: 30, stick: 113, slice: 28, can: 400, jar: 450, package: 225 };
+
+// Container units whose size is often given in the line: "1 (28 oz) can crushed tomatoes"
+const CONTAINER_UNITS = ['can', 'jar', 'package'];
+const CONTAINER_SIZE_RE = /(\d+(?:\.\d+)?)[\s-]*(ounces?|oz|grams?|g|pounds?|lbs?|kg)\b/i;
+
+/** The key corrections are stored under: the ingredient as written, lower-cased */
+function nutritionKey(item) {
+  return String(item || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/** A NUTRITION_FOODS entry by id */
+function foodById(id) {
+  return NUTRITION_FOODS.find(f => f.id === id) || null;
+}
+
+/** The first NUTRITION_FOODS entry whose pattern matches the item, or null */
+function matchFood(item) {
+  const name = String(item || '').toLowerCase();
+  return NUTRITION_FOODS.find(f => f.match.test(name)) || null;
+}
+
+/** Grams of `food` in a parsed ingredient line, or null when the amount can't be weighed */
+function ingredientGrams(parsed, food) {
+  if (!parsed || parsed.qty === null) return null;
+  // Plan for the middle of a range
+  const qty  = parsed.qtyMax !== null ? (parsed.qty + parsed.qtyMax) / 2 : parsed.qty;
+  const unit = parsed.unit;
+  if (!unit) return food.each ? qty * food.each : null;
+  if (unit in WEIGHT_G) return qty * WEIGHT_G[unit];
+  if (unit in VOLUME_ML) {
+    const perCup = food.cup || densityOf(parsed.item) || VOLUME_ML.cup;
+    return qty * VOLUME_ML[unit] / VOLUME_ML.cup * perCup;
+  }
+  if (CONTAINER_UNITS.includes(unit)) {
+    const size = String(parsed.prep || '').match(CONTAINER_SIZE_RE);
+    if (size) {
+      const u = size[2].toLowerCase();
+      const perUnit = u.startsWith('o') ? WEIGHT_G.oz : u.startsWith('p') || u.startsWith('lb') ? WEIGHT_G.lb : u === 'kg' ? WEIGHT_G.kg : 1;
+      return qty * Number(size[1]) * perUnit * (food.drained || 1);
+    }
+  }
+  const measure = food[unit] || DEFAULT_MEASURES[unit];
+  return measure ? qty * measure : null;
+}
+
+/**
+ * How each ingredient line is counted:
+ * [{ index, text, key, food, auto, grams, autoGrams, amount, corrected, ignored, counted }]
+ * `food`/`grams` are what's used after corrections; `auto`/`autoGrams` what matching
+ * alone gives. Lines without an amount ("salt to taste") have no grams.
+ */
+function nutritionLines(recipe) {
+  const lines  = recipe.ingredients || [];
+  const parsed = recipe.parsedIngredients || parseIngredients(lines);
+  const map    = recipe.nutritionMap || {};
+  const out = [];
+  parsed.forEach((p, index) => {
+    if (!p || !p.item) return;
+    const key  = nutritionKey(p.item);
+    const fix  = map[key] || {};
+    const auto = matchFood(p.item);
+    const food = fix.food === 'none' ? null : foodById(fix.food) || auto;
+    const autoGrams = food ? ingredientGrams(p, food) : null;
+    const grams = fix.grams > 0 ? fix.grams : autoGrams;
+    out.push({
+      index, text: lines[index], key, food, auto, grams, autoGrams, amount: p.qty !== null,
+      corrected: !!(fix.food || fix.grams),
+      ignored: fix.food === 'none',
+      counted: !!food && grams != null,
+    });
+  });
+  return out;
+}
+
+/**
+ * Per-serving estimate from the ingredients — the derived `nutritionEstimate` field.
+ * { calories, fat, …, sodium, counted, lines, basis }: `counted` of the `lines`
+ * that have an amount went into the numbers; nutrients are absent when none did.
+ */
+function estimateNutrition(recipe) {
+  const lines    = nutritionLines(recipe);
+  const counted  = lines.filter(l => l.counted);
+  const measured = lines.filter(l => !l.ignored && (l.amount || l.grams != null));
+  const estimate = { counted: counted.length, lines: measured.length, basis: nutritionBasis(recipe) };
+  if (!counted.length) return estimate;
+
+  const servings = recipe.servings > 0 ? recipe.servings : 1;
+  PER_100G.forEach((nutrient, i) => {
+    const total = counted.reduce((sum, l) => sum + l.food.per100g[i] * l.grams / 100, 0);
+    estimate[nutrient] = Math.round(total / servings);
+  });
+  return estimate;
+}
+
+/** What an estimate was computed from — it's stale once this changes */
+function nutritionBasis(recipe) {
+  const source = JSON.stringify([NUTRITION_DATA_VERSION, recipe.servings, recipe.ingredients, recipe.nutritionMap || {}]);
+  // FNV-1a: short enough to store with every recipe
+  let h = 0x811c9dc5;
+  for (let i = 0; i < source.length; i++) h = Math.imul(h ^ source.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(36);
+}
+
+/**
+ * The recipe's nutrition per serving, its own facts first and estimates filling the gaps:
+ * { calories: { value: 430, text: '430', estimated: false }, protein: { value: 31, text: '31 g', estimated: true }, … }
+ * `value` is a number in NUTRIENTS units (mg for sodium) for totalling; `text` is for display.
+ */
+function nutritionOf(recipe) {
+  const own = recipe.nutrition || {};
+  const estimate = recipe.nutritionEstimate || {};
+  const out = {};
+  for (const [key, info] of Object.entries(NUTRIENTS)) {
+    let given = own[key];
+    if (key === 'calories' && !(Number(given) > 0)) given = recipe.calories;
+    const value = nutrientValue(given, info.unit);
+    if (value !== null && !(key === 'calories' && value === 0)) {
+      out[key] = { value, text: String(given), estimated: false };
+    } else if (estimate[key] != null) {
+      out[key] = { value: estimate[key], text: `${estimate[key]}${info.unit ? ` ${info.unit}` : ''}`, estimated: true };
+    }
+  }
+  return out;
+}
+
+/** "12 g", "450mg", "0.5 g" (of sodium), 430 → a number in `unit`, or null */
+function nutrientValue(given, unit) {
+  if (given == null || given === '') return null;
+  const m = String(given).replace(',', '').match(/(\d+(?:\.\d+)?)\s*(mg|g|kcal|cal)?/i);
+  if (!m) return null;
+  const n = Number(m[1]);
+  const from = (m[2] || '').toLowerCase();
+  if (unit === 'mg' && from === 'g') return n * 1000;
+  if (unit === 'g' && from === 'mg') return n / 1000;
+  return n;
+}
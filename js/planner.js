@@ -0,0 +1,98 @@
+/**
+ * planner.js — Weekly meal planner helpers
+ * Date math and labels for the planner panel on the main page. The plan itself
+ * lives in recipeDB.mealPlan, keyed by local calendar day and meal slot:
+ *
+ *   { '2026-10-18': { dinner: { recipe: 'r_abc123', eaten: { katie: true } }, lunch: { placeholder: 'leftovers' } } }
+ *
+ * Days are 'YYYY-MM-DD' in local time — the day the meal is eaten on, wherever
+ * the plan was made. `eaten` is ticked by each person once they've had the meal
+ * (intake.js).
+ */
+
+// Columns of the planner grid, in order
+const MEAL_SLOTS = {
+  breakfast: { label: 'Breakfast', emoji: '🍳' },
+  lunch:     { label: 'Lunch',     emoji: '🥪' },
+  dinner:    { label: 'Dinner',    emoji: '🍽️' },
+};
+
+// Things that fill a slot without a recipe
+const MEAL_PLACEHOLDERS = {
+  leftovers: { label: 'Leftovers',  emoji: '🥡' },
+  out:       { label: 'Eating out', emoji: '🍕' },
+};
+
+// Weeks run Sunday → Saturday, the week we plan on Sunday (0 = Sunday, 1 = Monday)
+const WEEK_STARTS_ON = 0;
+
+/** 'YYYY-MM-DD' for a Date, in local time */
+function dayKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** A day key back to a Date at local midnight */
+function parseDayKey(key) {
+  const [y, m, d] = String(key).split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/** The day key `days` after (or before) `key` */
+function addDays(key, days) {
+  const date = parseDayKey(key);
+  date.setDate(date.getDate() + days);
+  return dayKey(date);
+}
+
+/** Key of the first day of the week holding `date` (a Date or day key) */
+function weekStart(date = new Date()) {
+  const d = typeof date === 'string' ? parseDayKey(date) : new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() - (d.getDay() - WEEK_STARTS_ON + 7) % 7);
+  return dayKey(d);
+}
+
+/** The seven day keys of the week starting `start` */
+function weekDays(start) {
+  return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+}
+
+/** "Oct 18 – 24, 2026", "Oct 25 – Nov 1, 2026", "Dec 27, 2026 – Jan 2, 2027" */
+function weekLabel(start) {
+  const from = parseDayKey(start), to = parseDayKey(addDays(start, 6));
+  const month = d => d.toLocaleDateString('en-US', { month: 'short' });
+  if (from.getFullYear() !== to.getFullYear()) {
+    return `${month(from)} ${from.getDate()}, ${from.getFullYear()} – ${month(to)} ${to.getDate()}, ${to.getFullYear()}`;
+  }
+  const end = from.getMonth() === to.getMonth() ? to.getDate() : `${month(to)} ${to.getDate()}`;
+  return `${month(from)} ${from.getDate()} – ${end}, ${to.getFullYear()}`;
+}
+
+/**
+ * Slots from the week starting `from`, moved onto the week starting `to` — in the
+ * shape recipeDB.planMeals() takes. Whatever was planned for the target week is
+ * replaced; `keep(entry)` can drop entries (recipes that have since been deleted).
+ * The copies start out not eaten.
+ */
+function copyWeekPlan(plan, from, to, keep = () => true) {
+  const days = {};
+  weekDays(from).forEach((day, i) => {
+    const target = addDays(to, i);
+    for (const slot of Object.keys(MEAL_SLOTS)) {
+      const entry = plan[day]?.[slot];
+      if (isPlanned(entry) && keep(entry)) (days[target] = days[target] || {})[slot] = { recipe: entry.recipe, placeholder: entry.placeholder };
+      else if (plan[target]?.[slot]) (days[target] = days[target] || {})[slot] = null;
+    }
+  });
+  return days;
+}
+
+/** Whether a slot holds a recipe or placeholder — not just an `eaten` tick left behind by a merge */
+function isPlanned(entry) {
+  return !!(entry && (entry.recipe || entry.placeholder));
+}
+
+/** Whether `person` has ticked a slot as eaten — `eaten: true`, from before ticks were per person, is everyone */
+function eatenBy(entry, person) {
+  return !!(entry?.eaten === true || entry?.eaten?.[person]);
+}
@@ -5,8 +5,11 @@
 
 let currentRecipe = null;
 let checkedIngredients = new Set();
+let shownServings = null;   // servings control — null = as written
 
 document.addEventListener('DOMContentLoaded', async () => {
+  recipeDB.onConflict = resolveSyncConflicts;
+  recipeDB.onStorageError = msg => showPageToast(msg, 'error');
   await recipeDB.init();
 
   const params = new URLSearchParams(window.location.search);
@@ -19,6 +22,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   renderRecipePage(currentRecipe);
   bindPageEvents();
+
+  const pending = recipeDB.pendingCount();
+  if (pending) showPageToast(`${pending} change${pending !== 1 ? 's' : ''} waiting to sync to ${recipeDB.backendLabel}`, 'info');
 });
 
 function redirectHome() {
@@ -27,7 +33,7 @@ function redirectHome() {
 
 // ── Main Render ───────────────────────────────────────────────
 function renderRecipePage(recipe) {
-  const cat = CATEGORIES[recipe.category] || { label: recipe.category, emoji: '🍽️', color: '#888' };
+  const cat = categoryInfo(recipe.category);
   document.title = `${recipe.name} — Team KD's Recipes`;
 
   // Hero
@@ -38,7 +44,7 @@ function renderRecipePage(recipe) {
   } else {
     document.getElementById('hero-emoji').textContent = recipe.emoji || cat.emoji;
   }
-  document.getElementById('hero-category').textContent   = `${cat.emoji} ${cat.label}`;
+  document.getElementById('hero-category').textContent   = heroCategoryText(recipe);
   document.getElementById('hero-title').textContent      = recipe.name;
 
   // Stats row
@@ -59,7 +65,7 @@ function renderRecipePage(recipe) {
   // GitHub page link
   const ghEl = document.getElementById('hero-gh-link');
   const settings = getSettings();
-  if (settings.githubOwner && settings.githubRepo) {
+  if (recipeDB.backend.kind === 'github' && settings.githubOwner && settings.githubRepo) {
     const ghUrl = `https://${settings.githubOwner}.github.io/${settings.githubRepo}/recipes/${recipe.id}.html`;
     ghEl.href = ghUrl;
     ghEl.classList.remove('hidden');
@@ -75,8 +81,9 @@ function renderRecipePage(recipe) {
   if (isLinkOut) {
     renderLinkOutBanner(recipe.source);
   } else {
-    renderIngredients(recipe.ingredients || []);
-    renderNutrition(recipe.nutrition, recipe.calories, recipe.servings);
+    renderIngredients(displayedIngredients());
+    renderNutrition(recipe, shownServings || recipe.servings);
+    renderScaleBanner();
     renderSteps(recipe.steps || []);
   }
 
@@ -99,22 +106,32 @@ function renderRecipePage(recipe) {
 function buildStatsRow(recipe) {
   const container = document.getElementById('recipe-stats-row');
   const stats = [];
-  if (recipe.calories != null) stats.push({ icon: '🔥', val: recipe.calories + ' cal', lbl: 'Per Serving' });
-  if (recipe.servings)   stats.push({ icon: '👥', val: recipe.servings, lbl: 'Servings' });
+  const cal = nutritionOf(recipe).calories;
+  if (cal) stats.push({ icon: '🔥', val: `${cal.estimated ? '~' : ''}${cal.value} cal`, lbl: cal.estimated ? 'Per Serving (est.)' : 'Per Serving' });
+  if (recipe.servings)   stats.push({ icon: '👥', html: servingsControl(recipe), lbl: 'Servings' });
   if (recipe.prepTime)   stats.push({ icon: '⏱', val: recipe.prepTime, lbl: 'Prep Time' });
   if (recipe.cookTime)   stats.push({ icon: '🍳', val: recipe.cookTime, lbl: 'Cook Time' });
-  if (recipe.totalTime)  stats.push({ icon: '⏰', val: recipe.totalTime, lbl: 'Total Time' });
+  if (recipeTotalTime(recipe)) stats.push({ icon: '⏰', val: recipeTotalTime(recipe), lbl: recipe.totalTime ? 'Total Time' : 'Prep + Cook' });
 
   container.innerHTML = stats.map(s => `
     <div class="recipe-stat">
       <span class="stat-icon">${s.icon}</span>
       <div>
-        <div class="stat-val">${escHtml(String(s.val))}</div>
+        <div class="stat-val">${s.html || escHtml(String(s.val))}</div>
         <div class="stat-lbl">${s.lbl}</div>
       </div>
     </div>`).join('');
 }
 
+function servingsControl(recipe) {
+  const n = shownServings || recipe.servings;
+  return `<span class="servings-control">
+    <button class="servings-btn" data-servings-step="-1" title="Fewer servings" aria-label="Fewer servings"${n <= 1 ? ' disabled' : ''}>−</button>
+    <span class="servings-val${shownServings ? ' scaled' : ''}">${n}</span>
+    <button class="servings-btn" data-servings-step="1" title="More servings" aria-label="More servings">+</button>
+  </span>`;
+}
+
 function buildTagsRow(tags) {
   const container = document.getElementById('recipe-tags-row');
   container.innerHTML = tags.map(t =>
@@ -166,12 +183,16 @@ function renderIngredients(ingredients) {
       return;
     }
 
+    // Scaled or converted lines keep the recipe's own wording on hover
+    const original = (currentRecipe.ingredients || [])[idx];
+    const changed = original != null && original !== item;
+
     const el = document.createElement('div');
     el.className = `ingredient-item${checkedIngredients.has(idx) ? ' checked' : ''}`;
     el.dataset.idx = idx;
     el.innerHTML = `
       <div class="ingredient-check">${checkedIngredients.has(idx) ? '✓' : ''}</div>
-      <span>${escHtml(item)}</span>`;
+      <span${changed ? ` class="has-original" title="${escHtml(original)}"` : ''}>${escHtml(item)}</span>`;
 
     el.addEventListener('click', () => {
       if (checkedIngredients.has(idx)) {
@@ -189,37 +210,168 @@ function renderIngredients(ingredients) {
   });
 }
 
+// ── Serving Size ──────────────────────────────────────────────
+function scaleFactor() {
+  return shownServings && currentRecipe.servings ? shownServings / currentRecipe.servings : 1;
+}
+
+/** Ingredient lines for the servings currently shown (scaleIngredient in ingredients.js) */
+function scaledIngredients() {
+  const factor = scaleFactor();
+  return (currentRecipe.ingredients || []).map(line => scaleIngredient(line, factor));
+}
+
+/** …and in the reader's units (convertIngredient in units.js) */
+function displayedIngredients() {
+  const system = unitSystem();
+  return scaledIngredients().map(line => system === 'original' ? line : convertIngredient(line, system));
+}
+
+function setServings(n) {
+  n = Math.min(99, Math.max(1, n));
+  shownServings = n === currentRecipe.servings ? null : n;
+  renderServings();
+}
+
+/** Re-render everything that depends on the servings shown */
+function renderServings() {
+  buildStatsRow(currentRecipe);
+  renderIngredients(displayedIngredients());
+  // Nutrition is per serving, so only the total changes
+  renderNutrition(currentRecipe, shownServings || currentRecipe.servings);
+  renderScaleBanner();
+}
+
+function renderScaleBanner() {
+  const banner = document.getElementById('scale-banner');
+  if (!banner) return;
+  banner.classList.toggle('hidden', !shownServings);
+  if (!shownServings) return;
+  const factor = Math.round(scaleFactor() * 100) / 100;
+  document.getElementById('scale-banner-text').textContent =
+    `Scaled ×${factor} — ${shownServings} servings instead of ${currentRecipe.servings}`;
+}
+
+async function saveScaledCopy() {
+  if (!shownServings) return;
+  const btn = document.getElementById('btn-save-scaled');
+  btn.disabled = true;
+
+  // A new recipe: fresh id, dates and ratings; parsedIngredients is re-derived
+  const { id: _id, dateAdded: _d, lastModified: _m, deletedAt: _t, parsedIngredients: _p, ...fields } = currentRecipe;
+  const result = await recipeDB.add({
+    ...fields,
+    name: `${currentRecipe.name} (${shownServings} servings)`,
+    servings: shownServings,
+    ingredients: scaledIngredients(),
+    ratings: emptyRatings(),
+  });
+
+  if (result._syncOk === false) {
+    showPageToast(`⚠️ Saved locally — sync to ${recipeDB.backendLabel} will retry: ${result._syncError}`, 'warning');
+    setTimeout(() => { window.location.href = `recipe.html?id=${encodeURIComponent(result.id)}`; }, 2000);
+  } else {
+    showPageToast(`Saved "${result.name}"`, 'success');
+    setTimeout(() => { window.location.href = `recipe.html?id=${encodeURIComponent(result.id)}`; }, 1000);
+  }
+}
+
+// ── Units ─────────────────────────────────────────────────────
+function unitSystem() {
+  const system = getSettings().units;
+  return system in UNIT_SYSTEMS ? system : 'original';
+}
+
+function setUnitSystem(system) {
+  saveSettings({ units: system });
+  renderIngredients(displayedIngredients());
+  renderSteps(currentRecipe.steps || []);
+}
+
 // ── Nutrition ─────────────────────────────────────────────────
-function renderNutrition(nut, fallbackCal, servings) {
+/** The recipe's own nutrition facts, with estimates from the ingredients (nutrition.js) filling gaps */
+function renderNutrition(recipe, servings) {
   const container = document.getElementById('nutrition-grid');
-  nut = nut || {};
-
-  const cal = nut.calories || fallbackCal || 0;
-  const items = [
-    { val: cal,           lbl: 'Calories',    highlight: true },
-    { val: nut.fat,       lbl: 'Total Fat' },
-    { val: nut.carbs,     lbl: 'Carbs' },
-    { val: nut.protein,   lbl: 'Protein' },
-    { val: nut.fiber,     lbl: 'Fiber' },
-    { val: nut.sugar,     lbl: 'Sugar' },
-    { val: nut.sodium,    lbl: 'Sodium' },
-    { val: nut.saturatedFat, lbl: 'Sat. Fat' },
-  ].filter(i => i.val != null && i.val !== '');
-
-  if (!items.length) {
-    container.closest('.detail-card').classList.add('hidden');
-    return;
+  const facts = nutritionOf(recipe);
+  const items = Object.entries(NUTRIENTS).filter(([key]) => facts[key]).map(([key, info]) =>
+    ({ ...facts[key], lbl: info.label, highlight: key === 'calories' }));
+
+  // Keep the card while there are ingredients to match, so an estimate can be corrected into existence
+  const card = container.closest('.detail-card');
+  const lines = (recipe.ingredients || []).filter(l => l.trim()).length;
+  card.classList.toggle('hidden', !items.length && !lines);
+  if (!items.length && !lines) return;
+
+  container.innerHTML = items.length ? items.map(item => `
+    <div class="nutrition-item${item.estimated ? ' estimated' : ''}"${item.estimated ? ' title="Estimated from the ingredients"' : ''}>
+      <div class="n-val${item.highlight ? ' highlight' : ''}">${item.estimated ? '~' : ''}${escHtml(item.text)}</div>
+      <div class="n-lbl">${item.lbl}</div>
+    </div>`).join('') : `<p class="nutrition-empty">No nutrition facts, and none of the ingredients matched the nutrition table.</p>`;
+
+  const note = document.getElementById('nutrition-note');
+  if (note) {
+    const estimate = recipe.nutritionEstimate || {};
+    const parts = [servings ? `Per serving (${servings} servings total)` : 'Per serving'];
+    if (items.some(i => i.estimated)) parts.push(`~ estimated from ${estimate.counted} of ${estimate.lines} ingredient${estimate.lines !== 1 ? 's' : ''}`);
+    note.textContent = parts.join(' · ');
   }
+  if (!document.getElementById('nutrition-matches').classList.contains('hidden')) renderNutritionMatches();
+}
 
-  container.innerHTML = items.map(item => `
-    <div class="nutrition-item">
-      <div class="n-val${item.highlight ? ' highlight' : ''}">${escHtml(String(item.val))}</div>
-      <div class="n-lbl">${item.lbl}</div>
-    </div>`).join('');
+function toggleNutritionMatches() {
+  const panel = document.getElementById('nutrition-matches');
+  const open = panel.classList.contains('hidden');
+  panel.classList.toggle('hidden', !open);
+  document.getElementById('btn-nutrition-matches').textContent = open ? 'Hide matches' : '🔍 Check matches';
+  if (open) renderNutritionMatches();
+}
+
+/** One row per ingredient line: the food it was matched to and its weight, both correctable */
+function renderNutritionMatches() {
+  const panel = document.getElementById('nutrition-matches');
+  const map = currentRecipe.nutritionMap || {};
+  const foods = NUTRITION_FOODS.slice().sort((a, b) => a.name.localeCompare(b.name));
+  const calIndex = PER_100G.indexOf('calories');
+
+  panel.innerHTML = nutritionLines(currentRecipe).map(line => {
+    const fix = map[line.key] || {};
+    const status = line.ignored ? 'Not counted'
+      : !line.food ? 'No match — pick a food'
+      : line.grams == null ? (line.amount ? 'Can\'t weigh this amount — enter grams' : 'No amount — enter grams to count it')
+      : `~${Math.round(line.food.per100g[calIndex] * line.grams / 100)} cal in all`;
+    return `
+      <div class="nutrition-match${line.counted || line.ignored ? '' : ' uncounted'}${line.corrected ? ' corrected' : ''}" data-key="${escHtml(line.key)}">
+        <div class="nutrition-match-line">${escHtml(line.text)}</div>
+        <div class="nutrition-match-fix">
+          <select class="form-select nutrition-food" aria-label="Food for ${escHtml(line.text)}">
+            <option value="">Auto — ${line.auto ? escHtml(line.auto.name) : 'no match'}</option>
+            <option value="none"${fix.food === 'none' ? ' selected' : ''}>Don't count</option>
+            ${foods.map(f => `<option value="${f.id}"${fix.food === f.id ? ' selected' : ''}>${escHtml(f.name)}</option>`).join('')}
+          </select>
+          <input type="number" class="form-input nutrition-grams" min="0" step="1" aria-label="Grams of ${escHtml(line.text)}"
+                 value="${fix.grams > 0 ? fix.grams : ''}" placeholder="${line.autoGrams != null ? Math.round(line.autoGrams) : '?'}" />
+          <span class="nutrition-grams-unit">g</span>
+        </div>
+        <div class="nutrition-match-status">${escHtml(status)}</div>
+      </div>`;
+  }).join('') || `<p class="text-muted">No ingredients to match.</p>`;
+}
 
-  if (servings) {
-    const note = document.getElementById('nutrition-note');
-    if (note) note.textContent = `Per serving (${servings} servings total)`;
+/** Store a correction for one ingredient ({ food } and/or { grams }; '' or 0 goes back to automatic) */
+async function saveNutritionMatch(key, change) {
+  const map = { ...(currentRecipe.nutritionMap || {}) };
+  const fix = { ...map[key], ...change };
+  if (!fix.food) delete fix.food;
+  if (!(fix.grams > 0)) delete fix.grams;
+  if (Object.keys(fix).length) map[key] = fix;
+  else delete map[key];
+
+  const result = await recipeDB.update(currentRecipe.id, { nutritionMap: map });
+  currentRecipe = recipeDB.getById(currentRecipe.id) || currentRecipe;
+  buildStatsRow(currentRecipe);
+  renderNutrition(currentRecipe, shownServings || currentRecipe.servings);
+  if (result && result._syncOk === false) {
+    showPageToast(`⚠️ Saved locally — sync to ${recipeDB.backendLabel} will retry: ${result._syncError}`, 'warning');
   }
 }
 
@@ -231,10 +383,13 @@ function renderSteps(steps) {
     return;
   }
 
+  // Oven temperatures in the reader's units, the original on hover
+  const system = unitSystem();
+  const mark = (converted, original) => `<span class="has-original" title="${original}">${converted}</span>`;
   container.innerHTML = steps.map((step, i) => `
     <div class="step-item">
       <div class="step-num">${i + 1}</div>
-      <div class="step-text">${escHtml(step)}</div>
+      <div class="step-text">${convertTemperatures(escHtml(step), system, mark)}</div>
     </div>`).join('');
 }
 
@@ -287,10 +442,12 @@ async function saveRatings() {
   };
 
   const result = await recipeDB.update(currentRecipe.id, { ratings });
+  // A sync merge may have swapped in a fresh object for this recipe
+  currentRecipe = recipeDB.getById(currentRecipe.id) || currentRecipe;
   currentRecipe.ratings = ratings;
 
   if (result && result._syncOk === false) {
-    showPageToast(`⚠️ Ratings saved locally but GitHub sync failed: ${result._syncError}`, 'warning');
+    showPageToast(`⚠️ Ratings saved locally — sync to ${recipeDB.backendLabel} will retry: ${result._syncError}`, 'warning');
   } else {
     const badge = document.getElementById('ratings-saved-badge');
     if (badge) { badge.classList.add('show'); setTimeout(() => badge.classList.remove('show'), 3000); }
@@ -302,23 +459,36 @@ async function saveRatings() {
 function openEditDetails() {
   const panel = document.getElementById('edit-details-panel');
 
-  // Populate category select with all available categories
-  const catSelect = document.getElementById('edit-category');
-  catSelect.innerHTML = Object.entries(CATEGORIES).map(([key, cat]) =>
-    `<option value="${key}"${key === currentRecipe.category ? ' selected' : ''}>${cat.emoji} ${cat.label}</option>`
-  ).join('');
+  // Populate category select and the other categories it's in
+  renderEditCategories(currentRecipe.category, recipeCategories(currentRecipe));
 
   // Populate fields from current recipe
   document.getElementById('edit-name').value     = currentRecipe.name    || '';
-  document.getElementById('edit-calories').value = currentRecipe.calories != null ? currentRecipe.calories : '';
+  // Left blank, calories come from the ingredient estimate
+  const calInput = document.getElementById('edit-calories');
+  calInput.value = currentRecipe.calories || '';
+  calInput.placeholder = currentRecipe.nutritionEstimate?.calories != null ? `~${currentRecipe.nutritionEstimate.calories} estimated` : '';
   document.getElementById('edit-servings').value = currentRecipe.servings != null ? currentRecipe.servings : '';
   document.getElementById('edit-prep').value     = currentRecipe.prepTime || '';
   document.getElementById('edit-cook').value     = currentRecipe.cookTime || '';
+  document.getElementById('edit-total').value    = currentRecipe.totalTime || '';
 
   panel.style.display = 'block';
   document.getElementById('edit-name').focus();
 }
 
+function renderEditCategories(main, categories) {
+  document.getElementById('edit-category').innerHTML   = categoryOptionsHTML(main);
+  document.getElementById('edit-categories').innerHTML = categoryPicksHTML(categories, main);
+}
+
+/** "🍖 Meat & Poultry · Mexican & Tex-Mex" — the main category's emoji, then every category */
+function heroCategoryText(recipe) {
+  const [main, ...rest] = recipeCategories(recipe).map(categoryInfo);
+  if (!main) return '';
+  return [`${main.emoji} ${main.label}`, ...rest.map(c => c.label)].join(' · ');
+}
+
 function closeEditDetails() {
   document.getElementById('edit-details-panel').style.display = 'none';
 }
@@ -326,10 +496,12 @@ function closeEditDetails() {
 async function saveEditDetails() {
   const name     = document.getElementById('edit-name').value.trim();
   const category = document.getElementById('edit-category').value;
+  const categories = pickedCategories(category, document.getElementById('edit-categories'));
   const calRaw   = document.getElementById('edit-calories').value;
   const servRaw  = document.getElementById('edit-servings').value;
   const prepTime = document.getElementById('edit-prep').value.trim();
   const cookTime = document.getElementById('edit-cook').value.trim();
+  const totalTime = document.getElementById('edit-total').value.trim();
 
   if (!name) { showPageToast('Recipe name cannot be empty', 'error'); return; }
 
@@ -342,33 +514,37 @@ async function saveEditDetails() {
   btn.disabled = true;
   btn.textContent = 'Saving…';
 
-  const result = await recipeDB.update(currentRecipe.id, { name, category, calories, servings, prepTime, cookTime, nutrition });
+  const result = await recipeDB.update(currentRecipe.id, { name, category, categories, calories, servings, prepTime, cookTime, totalTime, nutrition });
+  currentRecipe = recipeDB.getById(currentRecipe.id) || currentRecipe;
 
   btn.disabled = false;
   btn.textContent = '💾 Save Changes';
 
   if (result && result._syncOk === false) {
-    showPageToast(`⚠️ Saved locally but GitHub sync failed: ${result._syncError}`, 'warning');
+    showPageToast(`⚠️ Saved locally — sync to ${recipeDB.backendLabel} will retry: ${result._syncError}`, 'warning');
   } else {
     const badge = document.getElementById('details-saved-badge');
     if (badge) { badge.classList.add('show'); setTimeout(() => badge.classList.remove('show'), 3000); }
     showPageToast('Recipe updated!', 'success');
   }
 
-  // Update local copy and re-render the affected hero elements immediately
-  Object.assign(currentRecipe, { name, category, calories, servings, prepTime, cookTime, nutrition });
-  const cat = CATEGORIES[category] || { label: category, emoji: '🍽️' };
+  // Update local copy and re-render the affected hero elements immediately.
+  // The times are left as the save wrote them ("90" → "1 hr 30 min").
+  Object.assign(currentRecipe, { name, category, categories, calories, servings, nutrition });
   document.getElementById('hero-title').textContent    = name;
-  document.getElementById('hero-category').textContent = `${cat.emoji} ${cat.label}`;
+  document.getElementById('hero-category').textContent = heroCategoryText(currentRecipe);
   document.title = `${name} — Team KD's Recipes`;
-  buildStatsRow(currentRecipe);
-  renderNutrition(currentRecipe.nutrition, currentRecipe.calories, currentRecipe.servings);
+  // The saved servings are the new baseline
+  shownServings = null;
+  renderServings();
 }
 
 // ── Notes ─────────────────────────────────────────────────────
 function bindPageEvents() {
   // Back button
-  document.getElementById('btn-back').addEventListener('click', () => {
+  document.getElementById('btn-back').addEventListener('click', async () => {
+    // Notes/ratings may still be waiting on the sync debounce
+    await recipeDB.flush().catch(() => {});
     history.length > 1 ? history.back() : (window.location.href = 'index.html');
   });
 
@@ -387,16 +563,16 @@ function bindPageEvents() {
   const deleteBtn = document.getElementById('btn-delete-recipe');
   if (deleteBtn) {
     deleteBtn.addEventListener('click', async () => {
-      if (!confirm(`Delete "${currentRecipe.name}"? This cannot be undone.`)) return;
+      if (!confirm(`Move "${currentRecipe.name}" to the trash? You can restore it from the Trash on the main page.`)) return;
       deleteBtn.disabled = true;
       deleteBtn.textContent = 'Deleting…';
       const result = await recipeDB.remove(currentRecipe.id);
       if (result._syncOk === false) {
-        showPageToast(`⚠️ Deleted locally but GitHub sync failed: ${result._syncError}`, 'warning');
-        deleteBtn.disabled = false;
-        deleteBtn.textContent = '🗑 Delete Recipe';
+        // Already gone locally; the pending-write journal retries the sync
+        showPageToast(`⚠️ Moved to trash locally — sync to ${recipeDB.backendLabel} will retry: ${result._syncError}`, 'warning');
+        setTimeout(() => { window.location.href = 'index.html'; }, 2000);
       } else {
-        showPageToast('Recipe deleted', 'info');
+        showPageToast('Recipe moved to trash', 'info');
         setTimeout(() => { window.location.href = 'index.html'; }, 1000);
       }
     });
@@ -407,10 +583,41 @@ function bindPageEvents() {
   if (clearBtn) {
     clearBtn.addEventListener('click', () => {
       checkedIngredients.clear();
-      renderIngredients(currentRecipe.ingredients || []);
+      renderIngredients(displayedIngredients());
     });
   }
 
+  // Units
+  const unitSelect = document.getElementById('unit-system');
+  if (unitSelect) {
+    unitSelect.innerHTML = Object.entries(UNIT_SYSTEMS).map(([key, label]) =>
+      `<option value="${key}"${key === unitSystem() ? ' selected' : ''}>${label}</option>`
+    ).join('');
+    unitSelect.addEventListener('change', () => setUnitSystem(unitSelect.value));
+  }
+
+  // Servings control — the stats row is rebuilt on every change, so delegate
+  document.getElementById('recipe-stats-row').addEventListener('click', e => {
+    const btn = e.target.closest('[data-servings-step]');
+    if (btn) setServings((shownServings || currentRecipe.servings) + Number(btn.dataset.servingsStep));
+  });
+
+  const resetScaleBtn = document.getElementById('btn-reset-scale');
+  if (resetScaleBtn) resetScaleBtn.addEventListener('click', () => setServings(currentRecipe.servings));
+
+  const saveScaledBtn = document.getElementById('btn-save-scaled');
+  if (saveScaledBtn) saveScaledBtn.addEventListener('click', saveScaledCopy);
+
+  // Nutrition matches — rows are rebuilt after every correction, so delegate
+  const matchesBtn = document.getElementById('btn-nutrition-matches');
+  if (matchesBtn) matchesBtn.addEventListener('click', toggleNutritionMatches);
+  document.getElementById('nutrition-matches').addEventListener('change', e => {
+    const row = e.target.closest('[data-key]');
+    if (!row) return;
+    if (e.target.matches('.nutrition-food')) saveNutritionMatch(row.dataset.key, { food: e.target.value });
+    else if (e.target.matches('.nutrition-grams')) saveNutritionMatch(row.dataset.key, { grams: Math.round(Number(e.target.value)) || 0 });
+  });
+
   // Save ratings
   const ratingsBtn = document.getElementById('btn-save-ratings');
   if (ratingsBtn) ratingsBtn.addEventListener('click', saveRatings);
@@ -428,6 +635,28 @@ function bindPageEvents() {
 
   const saveDetailsBtn = document.getElementById('btn-save-details');
   if (saveDetailsBtn) saveDetailsBtn.addEventListener('click', saveEditDetails);
+
+  // The main category drops out of the "Also in" picks
+  const editCategory = document.getElementById('edit-category');
+  if (editCategory) editCategory.addEventListener('change', () =>
+    renderEditCategories(editCategory.value, pickedCategories(editCategory.value, document.getElementById('edit-categories'))));
+
+  // Revision history (history.js)
+  const historyBtn = document.getElementById('btn-load-history');
+  if (historyBtn) historyBtn.addEventListener('click', showHistory);
+}
+
+function showHistory() {
+  loadRecipeHistory(currentRecipe.id, result => {
+    currentRecipe = recipeDB.getById(currentRecipe.id) || currentRecipe;
+    renderRecipePage(currentRecipe);
+    if (result && result._syncOk === false) {
+      showPageToast(`⚠️ Restored locally — sync to ${recipeDB.backendLabel} will retry: ${result._syncError}`, 'warning');
+    } else {
+      showPageToast('Version restored!', 'success');
+    }
+    showHistory();
+  });
 }
 
 function saveNotes() {
@@ -0,0 +1,433 @@
+/**
+ * schema.js — Recipe schema, validator and data migrations
+ *
+ * Recipes reach RecipeDB from the scraper, the manual form, imports and other
+ * devices, and over time they have drifted apart (HTML entities left in
+ * ingredients, "30" vs 30 vs "30 min" for times, no `ratings` at all, …).
+ *
+ *   validateRecipe(recipe)  → { recipe, fixes, errors }
+ *     Returns a cleaned copy that matches RECIPE_SCHEMA, a list of what had to
+ *     be repaired, and problems it couldn't repair (e.g. no id). Run by
+ *     RecipeDB on load, on every save and on import.
+ *
+ *   migrateData(data)       → { data, from, to, fixes }
+ *     Upgrades a whole { version, recipes } database to SCHEMA_VERSION by
+ *     running the MIGRATIONS chain, keyed on `version`. Data written by a newer
+ *     version of the app is left alone.
+ *
+ * To change the schema: bump SCHEMA_VERSION, add a step to MIGRATIONS that
+ * upgrades the previous version in place, and adjust RECIPE_SCHEMA.
+ *
+ * `derived` fields (minutes, parsedIngredients, nutritionEstimate) are computed from
+ * other fields. The validator recomputes them whenever they're missing or
+ * stale, the merge leaves them out, and they aren't shown in diffs.
+ */
+
+const SCHEMA_VERSION = '1.4';
+const RATERS = ['katie', 'dan'];
+
+// ── Schema ────────────────────────────────────────────────────
+// type: string | text (HTML entities decoded) | number | time | list | object | ratings | date
+//       | derived (derive(recipe) → value; kept while current(value, recipe) holds)
+// `required` fields are reported as errors when missing; the rest get `default`.
+const RECIPE_SCHEMA = {
+  id:           { type: 'string', required: true },
+  name:         { type: 'text',   default: 'Untitled Recipe' },
+  description:  { type: 'text',   default: '' },
+  category:     { type: 'string', default: 'meat' },             // the main one — also first in `categories`
+  categories:   { type: 'list',   default: [], unique: true },   // every category the recipe is in
+  emoji:        { type: 'string', default: '' },
+  calories:     { type: 'number', default: 0, min: 0, integer: true },
+  servings:     { type: 'number', default: 4, min: 1, integer: true },
+  prepTime:     { type: 'time',   default: '' },
+  cookTime:     { type: 'time',   default: '' },
+  totalTime:    { type: 'time',   default: '' },   // blank = prep + cook (minutes.total)
+  minutes: {                                                        // { prep, cook, total } read from the times
+    type:    'derived',
+    derive:  r => recipeDurations(r),
+    current: (v, r) => !!v && typeof v === 'object' &&
+                       Object.entries(recipeDurations(r)).every(([k, n]) => v[k] === n),
+  },
+  source:       { type: 'string', default: '' },
+  thumbnail:    { type: 'string', default: '' },
+  ingredients:  { type: 'list',   default: [], keepBlank: true },  // '' = section separator
+  parsedIngredients: {                                              // one parseIngredient() per line
+    type:    'derived',
+    derive:  r => parseIngredients(r.ingredients),
+    current: (v, r) => Array.isArray(v) && v.length === r.ingredients.length &&
+                       v.every((p, i) => p ? typeof p === 'object' && p.raw === r.ingredients[i] : !r.ingredients[i]),
+  },
+  steps:        { type: 'list',   default: [] },
+  tags:         { type: 'list',   default: [], unique: true },
+  nutrition:    { type: 'object', default: {} },
+  nutritionMap: { type: 'object', default: {} },   // corrections to ingredient → food matches (nutrition.js)
+  nutritionEstimate: {                                              // per-serving estimate from the ingredients
+    type:    'derived',
+    derive:  r => estimateNutrition(r),
+    current: (v, r) => !!v && typeof v === 'object' && v.basis === nutritionBasis(r),
+  },
+  ratings:      { type: 'ratings' },
+  notes:        { type: 'string', default: '' },
+  dateAdded:    { type: 'date' },
+  lastModified: { type: 'date' },
+  deletedAt:    { type: 'date' },   // set while the recipe is in the trash
+};
+
+// ── Migrations ────────────────────────────────────────────────
+// Each step upgrades `data` (in place) from `from` to `to`; `fix(recipe, msg)`
+// records a repair against a recipe for the report.
+const MIGRATIONS = [
+  {
+    from: '1.0',
+    to:   '1.1',
+    describe: 'Ratings object for every recipe; times stored as text',
+    up(data, fix) {
+      data.recipes.forEach(r => {
+        if (!r.ratings || typeof r.ratings !== 'object') {
+          r.ratings = { katie: null, dan: null };
+          fix(r, 'added empty ratings');
+        }
+        ['prepTime', 'cookTime', 'totalTime'].forEach(k => {
+          if (typeof r[k] === 'number') {
+            r[k] = r[k] > 0 ? `${r[k]} min` : '';
+            fix(r, `${k}: number → "${r[k]}"`);
+          }
+        });
+      });
+    },
+  },
+  {
+    from: '1.1',
+    to:   '1.2',
+    describe: 'Structured ingredients (quantity, unit, item, prep) stored next to the text',
+    up(data, fix) {
+      data.recipes.forEach(r => {
+        if (!Array.isArray(r.ingredients) || r.parsedIngredients) return;
+        r.parsedIngredients = parseIngredients(r.ingredients.map(String));
+        fix(r, 'added parsed ingredients');
+      });
+    },
+  },
+  {
+    from: '1.2',
+    to:   '1.3',
+    describe: 'Times written one way ("1 hr 15 min"), with minutes stored next to them',
+    up(data, fix) {
+      data.recipes.forEach(r => {
+        ['prepTime', 'cookTime', 'totalTime'].forEach(k => {
+          if (r[k] == null || r[k] === '') return;
+          const text = normalizeDuration(r[k]);
+          if (text === r[k]) return;
+          fix(r, `${k}: "${r[k]}" → "${text}"`);
+          r[k] = text;
+        });
+        r.minutes = recipeDurations(r);   // derived, so not a repair
+      });
+    },
+  },
+  {
+    from: '1.3',
+    to:   '1.4',
+    describe: 'Recipes can be in several categories',
+    up(data, fix) {
+      data.recipes.forEach(r => {
+        if (Array.isArray(r.categories) && r.categories.length) return;
+        r.categories = r.category ? [r.category] : [];
+        fix(r, 'added categories');
+      });
+    },
+  },
+];
+
+/** Upgrade a { version, recipes } object to SCHEMA_VERSION */
+function migrateData(data) {
+  const fixes = new Map();   // recipe id → [messages]
+  const fix = (r, msg) => {
+    if (!fixes.has(r.id)) fixes.set(r.id, []);
+    fixes.get(r.id).push(msg);
+  };
+  const from = data.version || '1.0';
+  if (compareVersions(from, SCHEMA_VERSION) > 0) {
+    console.warn(`[schema] Data is version ${from}, newer than this app (${SCHEMA_VERSION}) — not migrating`);
+    return { data, from, to: from, fixes };
+  }
+
+  let version = from;
+  for (const step of MIGRATIONS) {
+    if (step.from !== version) continue;
+    console.log(`[schema] Migrating ${version} → ${step.to}: ${step.describe}`);
+    step.up(data, fix);
+    version = step.to;
+  }
+  data.version = version;
+  return { data, from, to: version, fixes };
+}
+
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number), pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d) return d;
+  }
+  return 0;
+}
+
+// ── Validator ─────────────────────────────────────────────────
+
+/** Clean a recipe against RECIPE_SCHEMA. Never throws; unknown fields are kept. */
+function validateRecipe(input) {
+  const fixes = [], errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { recipe: null, fixes, errors: ['not a recipe object'] };
+  }
+
+  const recipe = {};
+  for (const [k, v] of Object.entries(input)) {
+    // Transient flags like _syncOk / _scrapeOk must never be stored
+    if (k.startsWith('_')) { fixes.push(`removed ${k}`); continue; }
+    recipe[k] = v;
+  }
+
+  for (const [field, rule] of Object.entries(RECIPE_SCHEMA)) {
+    const had = recipe[field];
+    if (rule.type === 'derived') {
+      // Follows its source fields silently — recomputing isn't a repair
+      recipe[field] = rule.current(had, recipe) ? had : rule.derive(recipe);
+      continue;
+    }
+    if (had === undefined || had === null) {
+      if (rule.required) { errors.push(`missing ${field}`); continue; }
+      if (rule.type === 'ratings') { recipe.ratings = emptyRatings(); fixes.push('added empty ratings'); continue; }
+      if ('default' in rule) {
+        recipe[field] = Array.isArray(rule.default) ? [] : typeof rule.default === 'object' ? {} : rule.default;
+        if (had === null || field === 'name') fixes.push(`${field}: missing → default`);
+      }
+      continue;
+    }
+    const cleaned = cleanField(field, rule, had, fixes);
+    if (cleaned === undefined) delete recipe[field];
+    else recipe[field] = cleaned;
+  }
+
+  // The main category leads the list, whichever of the two was set
+  if (typeof recipe.category === 'string' && recipe.categories) {
+    const categories = [recipe.category, ...recipe.categories.filter(c => c !== recipe.category)];
+    if (categories.join() !== recipe.categories.join()) {
+      if (recipe.categories.length) fixes.push('categories: main category moved first');
+      recipe.categories = categories;
+    }
+  }
+  return { recipe, fixes: [...new Set(fixes)], errors };
+}
+
+function cleanField(field, rule, value, fixes) {
+  const note = msg => fixes.push(`${field}: ${msg}`);
+  switch (rule.type) {
+    case 'string':
+    case 'text': {
+      let s = typeof value === 'string' ? value : String(value);
+      if (typeof value !== 'string') note(`${typeof value} → text`);
+      if (rule.type === 'text') s = decodeEntitiesNoted(s, note);
+      const t = s.trim();
+      if (t !== s && field !== 'notes') { note('trimmed whitespace'); s = t; }
+      if (!s && field === 'name') { note('empty → default'); s = rule.default; }
+      return s;
+    }
+    case 'number': {
+      let n = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^\d.\-]/g, ''));
+      if (typeof value !== 'number') note(`"${value}" → ${isNaN(n) ? rule.default : n}`);
+      if (isNaN(n)) n = rule.default;
+      if (rule.integer && n !== Math.round(n)) { n = Math.round(n); note('rounded'); }
+      if (rule.min != null && n < rule.min) { note(`${n} below ${rule.min} → ${rule.default}`); n = rule.default; }
+      return n;
+    }
+    case 'time': {
+      if (typeof value === 'number') {
+        const s = formatDuration(value);
+        note(`number → "${s}"`);
+        return s;
+      }
+      const s = normalizeDuration(value);
+      if (s !== String(value).trim()) note(`"${value}" → "${s}"`);
+      return s;
+    }
+    case 'list': {
+      let list = value;
+      if (typeof list === 'string') { note('text → list'); list = list.split(field === 'tags' ? ',' : '\n'); }
+      if (!Array.isArray(list)) { note('not a list → []'); return []; }
+      const decoded = list.map(x => x != null && typeof x !== 'object' ? decodeEntitiesNoted(String(x), note) : null);
+      let out = decoded.filter(x => x !== null).map(x => x.trim());
+      if (!rule.keepBlank) out = out.filter(Boolean);
+      else while (out.length && !out[out.length - 1]) out.pop();
+      if (rule.unique) {
+        const seen = new Set();
+        out = out.filter(x => !seen.has(x.toLowerCase()) && seen.add(x.toLowerCase()));
+      }
+      if (out.length !== decoded.length || out.some((x, i) => x !== decoded[i])) note('removed blank/duplicate entries or whitespace');
+      return out;
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) { note('not an object → {}'); return {}; }
+      const out = {};
+      for (const [k, v] of Object.entries(value)) {
+        out[k] = typeof v === 'string' ? decodeEntitiesNoted(v, note).trim() : v;
+      }
+      return out;
+    }
+    case 'ratings': {
+      const src = typeof value === 'object' && !Array.isArray(value) ? value : {};
+      if (src !== value) note('not an object → empty ratings');
+      const out = { ...src };
+      RATERS.forEach(who => {
+        const v = src[who];
+        if (v === undefined) { out[who] = null; return; }
+        if (v === null || v === '') { out[who] = null; return; }
+        let n = typeof v === 'number' ? v : parseFloat(v);
+        if (isNaN(n)) { note(`${who} "${v}" → none`); out[who] = null; return; }
+        const c = Math.min(10, Math.max(0, Math.round(n)));
+        if (c !== v) note(`${who} ${JSON.stringify(v)} → ${c}`);
+        out[who] = c;
+      });
+      return out;
+    }
+    case 'date': {
+      const s = String(value);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+      const d = new Date(s);
+      if (isNaN(d)) { note(`unreadable date "${s}" removed`); return undefined; }
+      note(`"${s}" → ${d.toISOString().slice(0, 10)}`);
+      return d.toISOString().slice(0, 10);
+    }
+  }
+  return value;
+}
+
+const DERIVED_FIELDS = Object.keys(RECIPE_SCHEMA).filter(k => RECIPE_SCHEMA[k].type === 'derived');
+
+/** Recompute a recipe's derived fields (in place) — e.g. after merging its source fields */
+function deriveFields(recipe) {
+  DERIVED_FIELDS.forEach(k => { recipe[k] = RECIPE_SCHEMA[k].derive({ ingredients: [], ...recipe }); });
+  return recipe;
+}
+
+/** Every category a recipe is in, main one first — also for recipes from before `categories` */
+function recipeCategories(recipe) {
+  return recipe.categories?.length ? recipe.categories : recipe.category ? [recipe.category] : [];
+}
+
+function emptyRatings() {
+  return Object.fromEntries(RATERS.map(who => [who, null]));
+}
+
+// ── Durations ─────────────────────────────────────────────────
+// Times are kept as text for display ("1 hr 15 min"); the validator rewrites any
+// that are plain durations into that form and stores the minutes as `minutes`.
+const DURATION_UNITS = {
+  d: 1440, day: 1440, days: 1440,
+  h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+  m: 1, min: 1, mins: 1, minute: 1, minutes: 1,
+  s: 1 / 60, sec: 1 / 60, secs: 1 / 60, second: 1 / 60, seconds: 1 / 60,
+};
+const DURATION_FRACTIONS = { '½': 1 / 2, '¼': 1 / 4, '¾': 3 / 4, '⅓': 1 / 3, '⅔': 2 / 3 };
+const ISO_DURATION_RE = /^p(?:(\d+(?:\.\d+)?)d)?(?:t(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s)?)?$/;
+
+/**
+ * Minutes in a duration, or null: "1 hr 15 min", "1½ hours", "1h30", "90",
+ * "1:30", ISO 8601 "PT1H15M", or a number of minutes. A range ("20-25 min")
+ * counts as its longer end.
+ */
+function parseDuration(value) {
+  return readDuration(value).minutes;
+}
+
+/** 75 → "1 hr 15 min", 45 → "45 min", 120 → "2 hr"; nothing → '' */
+function formatDuration(minutes) {
+  if (!(minutes > 0)) return '';
+  const h = Math.floor(minutes / 60), m = Math.round(minutes % 60);
+  return [h ? `${h} hr` : '', m ? `${m} min` : ''].filter(Boolean).join(' ');
+}
+
+/** Text as formatDuration() writes it — unless it says more than a duration ("20-25 min", "2 hr plus chilling") */
+function normalizeDuration(text) {
+  const { minutes, exact } = readDuration(text);
+  return exact ? formatDuration(minutes) : String(text ?? '').trim();
+}
+
+/** A recipe's times in minutes — { prep, cook, total }, null where unknown. With no total time, it's prep + cook. */
+function recipeDurations(recipe) {
+  const prep = parseDuration(recipe.prepTime);
+  const cook = parseDuration(recipe.cookTime);
+  const total = parseDuration(recipe.totalTime) ?? (prep || cook ? (prep || 0) + (cook || 0) : null);
+  return { prep, cook, total };
+}
+
+/** How long a recipe takes, for display — its total time, or prep + cook */
+function recipeTotalTime(recipe) {
+  return recipe.totalTime || formatDuration(recipeDurations(recipe).total);
+}
+
+/** { minutes, exact } — `exact` when the whole text was a plain duration */
+function readDuration(value) {
+  const whole = n => (n > 0 ? Math.round(n) : null);
+  if (typeof value === 'number') return { minutes: whole(value), exact: true };
+  let s = String(value ?? '').trim().toLowerCase();
+  if (!s) return { minutes: null, exact: false };
+
+  const iso = s.length > 2 && s.match(ISO_DURATION_RE);
+  if (iso) {
+    const [, d = 0, h = 0, m = 0, sec = 0] = iso.map(Number.parseFloat).map(n => n || 0);
+    return { minutes: whole(d * 1440 + h * 60 + m + sec / 60), exact: true };
+  }
+  const clock = s.match(/^(\d+):([0-5]\d)$/);
+  if (clock) return { minutes: whole(clock[1] * 60 + Number(clock[2])), exact: true };
+  if (/^\d*\.?\d+$/.test(s)) return { minutes: whole(parseFloat(s)), exact: true };
+
+  let exact = true;
+  s = s.replace(/(\d*)\s*([½¼¾⅓⅔])/g, (_, n, f) => String((Number(n) || 0) + DURATION_FRACTIONS[f]))
+       .replace(/(\d+)\s+(\d+)\/(\d+)/g, (_, n, a, b) => String(Number(n) + a / b))
+       .replace(/(\d+)\/(\d+)/g, (_, a, b) => String(a / b))
+       .replace(/(\d*\.?\d+)\s*(?:-|–|to)\s*(\d*\.?\d+)/g, (_, a, b) => { exact = false; return String(Math.max(a, b)); });
+
+  let minutes = 0, found = false, unit = 0;
+  const rest = s.replace(/(\d*\.?\d+)\s*([a-z]+)?/g, (m, n, word) => {
+    // A bare number after hours is minutes ("1h30"), after days hours
+    const per = word ? DURATION_UNITS[word] : unit === 60 ? 1 : unit === 1440 ? 60 : null;
+    if (per == null) return m;
+    found = true;
+    unit = per;
+    minutes += n * per;
+    return ' ';
+  });
+  if (!found) return { minutes: null, exact: false };
+  if (rest.replace(/\b(?:and|plus)\b|[\s,&+.]/g, '')) exact = false;
+  return { minutes: whole(minutes), exact };
+}
+
+// ── HTML Entities ─────────────────────────────────────────────
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  deg: '°', frac12: '½', frac14: '¼', frac34: '¾', frac13: '⅓', frac23: '⅔', frac18: '⅛',
+  times: '×', reg: '®', trade: '™', copy: '©', eacute: 'é', egrave: 'è', ntilde: 'ñ', uuml: 'ü',
+};
+
+/** Decode HTML entities (&#8211; &#x2013; &ndash; …) — also double-encoded ones like &amp;#8211; */
+function decodeEntities(str) {
+  let s = String(str);
+  for (let pass = 0; pass < 2 && /&(#\d+|#x[\da-f]+|[a-z]\w*);/i.test(s); pass++) {
+    s = s.replace(/&(#\d+|#x[\da-f]+|[a-z]\w*);/gi, (m, e) => {
+      if (e[0] === '#') {
+        const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : m;
+      }
+      return NAMED_ENTITIES[e.toLowerCase()] ?? m;
+    });
+  }
+  return s;
+}
+
+function decodeEntitiesNoted(s, note) {
+  const d = decodeEntities(s);
+  if (d !== s) note('decoded HTML entities');
+  return d;
+}
@@ -142,8 +142,9 @@ class RecipeScraper {
     const name = this._str(data.name);
     const description = this._str(data.description);
 
-    // Ingredients
+    // Ingredients — text as written, plus { qty, unit, item, prep } per line
     const ingredients = this._toArray(data.recipeIngredient).map(i => this._str(i)).filter(Boolean);
+    const parsedIngredients = parseIngredients(ingredients);
 
     // Steps — can be HowToStep, HowToSection, or plain strings
     const steps = this._parseInstructions(data.recipeInstructions);
@@ -193,6 +194,7 @@ class RecipeScraper {
       source: sourceUrl,
       thumbnail: image,
       ingredients,
+      parsedIngredients,
       steps,
       nutrition,
       tags,
@@ -305,15 +307,8 @@ class RecipeScraper {
 
   _parseDuration(iso) {
     if (!iso) return '';
-    // ISO 8601 duration: PT30M, PT1H30M, P0DT45M
-    const m = String(iso).match(/PT(?:(\d+)H)?(?:(\d+)M)?/);
-    if (!m) return String(iso);
-    const h = parseInt(m[1] || '0');
-    const min = parseInt(m[2] || '0');
-    if (h > 0 && min > 0) return `${h}h ${min} min`;
-    if (h > 0) return `${h} hr`;
-    if (min > 0) return `${min} min`;
-    return String(iso);
+    // ISO 8601 (PT30M, PT1H30M, P0DT45M) or text like "1 hour 15 minutes" → "1 hr 15 min"
+    return normalizeDuration(iso);
   }
 
   _parseServings(raw) {
@@ -349,33 +344,18 @@ class RecipeScraper {
   }
 
   // ── Category Guesser ──────────────────────────────────────
+  /** The likeliest category — the site's own category and cuisine count like tags */
   _guessCategory(rawCat, cuisine, name, ingredients) {
-    const text = `${rawCat} ${cuisine} ${name} ${ingredients.join(' ')}`.toLowerCase();
-
-    const rules = [
-      ['soups',      /soup|stew|chowder|broth|bisque|chili/],
-      ['pasta',      /pasta|spaghetti|penne|fettuccine|rigatoni|linguine|lasagna|noodle|macaroni|tagliatelle|gnocchi|orzo/],
-      ['mexican',    /taco|fajita|burrito|enchilada|quesadilla|salsa|guacamole|mexican|tex.mex|chimichanga/],
-      ['asian',      /stir.fry|fried rice|ramen|pho|pad thai|sushi|teriyaki|korean|chinese|japanese|thai|vietnamese|asian|wok/],
-      ['seafood',    /salmon|shrimp|fish|tuna|cod|halibut|tilapia|lobster|crab|scallop|seafood|prawn|clam|mussel/],
-      ['salads',     /salad|bowl|grain bowl|buddha bowl/],
-      ['breakfast',  /breakfast|brunch|egg|omelette|pancake|waffle|french toast|shakshuka|frittata|quiche/],
-      ['desserts',   /cake|cookie|brownie|pie|tart|dessert|sweet|chocolate|ice cream|pudding|muffin|cupcake/],
-      ['pizza',      /pizza|flatbread|focaccia|calzone/],
-      ['casseroles', /casserole|bake|gratin|lasagna|pot pie/],
-      ['meat',       /chicken|beef|pork|lamb|turkey|steak|roast|meatball|meatloaf|wing|rib|cutlet|tenderloin/],
-      ['vegetables', /vegetable|veggie|vegan|side dish|roasted veg|cauliflower|broccoli|asparagus|green bean/],
-    ];
-
-    for (const [cat, re] of rules) {
-      if (re.test(text)) return cat;
-    }
+    return this._suggestCategories(rawCat, cuisine, name, ingredients)[0].category;
+  }
 
-    return 'meat'; // default
+  /** Every category, most likely first: [{ category, confidence }] (js/classify.js) */
+  _suggestCategories(rawCat, cuisine, name, ingredients) {
+    return categoryClassifier.suggest({ name, tags: [rawCat, cuisine].filter(Boolean), ingredients });
   }
 
   _categoryEmoji(cat) {
-    return (CATEGORIES[cat] || { emoji: '🍽️' }).emoji;
+    return categoryInfo(cat).emoji;
   }
 
   // ── Helpers ───────────────────────────────────────────────
@@ -0,0 +1,506 @@
+/**
+ * search.js — Search query language
+ * Parses what's typed in the search box into text terms and field filters,
+ * matches recipes against them and ranks the matches:
+ *
+ *   chicken cal<500 tag:quick rating.katie>=8 time<=30 -mushroom cat:asian
+ *
+ * - Bare words are looked up in the name, tags, category, ingredients and notes,
+ *   tolerating a typo or two ("chiken", "parmesean"). "Quoted phrases" match as typed.
+ * - `field:value` filters a field; numeric fields also take <, <=, >, >=, =
+ *   and ranges (`cal:300..500`). SEARCH_FIELDS lists them.
+ * - A leading `-` excludes: `-mushroom`, `-tag:spicy`.
+ *
+ * Every term and filter must match. Matches rank by SEARCH_WEIGHTS — a name hit
+ * counts for more than an ingredient hit, a whole word for more than part of one.
+ * Anything that doesn't parse as a filter is searched as text. Words are looked
+ * up in a SearchIndex rather than by reading every recipe.
+ */
+
+// How much a term found in each field counts towards a recipe's rank
+const SEARCH_WEIGHTS = { name: 10, tags: 6, category: 4, ingredients: 3, notes: 1 };
+
+// How well a term matched a field's text — the share of the field's weight it earns
+const MATCH_WORD   = 1;     // a whole word: "rice" in "fried rice"
+const MATCH_PREFIX = 0.8;   // the start of a word: "chick" in "chickpeas"
+const MATCH_INSIDE = 0.6;   // anywhere else: "rice" in "licorice"
+const MATCH_FUZZY  = 0.4;   // within a typo or two of a word
+
+// Filters, by the name typed before the colon or operator. `example` is shown as a hint.
+const SEARCH_FIELDS = {
+  name:     { kind: 'text',     label: 'Name',              example: 'name:soup',       get: r => [r.name] },
+  tag:      { kind: 'tag',      label: 'Tag',               example: 'tag:quick',       get: r => r.tags || [] },
+  cat:      { kind: 'category', label: 'Category',          example: 'cat:asian' },
+  ing:      { kind: 'text',     label: 'Ingredient',        example: 'ing:spinach',     get: r => r.ingredients || [] },
+  notes:    { kind: 'text',     label: 'Notes',             example: 'notes:double',    get: r => [r.notes || ''] },
+  cal:      { ...nutrientField('calories'), example: 'cal<500' },
+  protein:  { ...nutrientField('protein'),  example: 'protein>=30' },
+  fiber:    nutrientField('fiber'),
+  fat:      nutrientField('fat'),
+  carbs:    nutrientField('carbs'),
+  sugar:    nutrientField('sugar'),
+  sodium:   nutrientField('sodium'),
+  time:     { kind: 'number',   label: 'Total time (min)',  example: 'time<=30',        get: r => recipeMinutes(r) },
+  servings: { kind: 'number',   label: 'Servings',          example: 'servings>=4',     get: r => r.servings || null },
+  rating:   { kind: 'rating',   label: 'Rating',            example: 'rating.katie>=8' },
+  has:      { kind: 'has',      label: 'Has',               example: 'has:notes' },
+};
+
+/** A numeric filter on one of the NUTRIENTS, per serving — the recipe's own facts or the estimate */
+function nutrientField(key) {
+  return { kind: 'number', label: NUTRIENTS[key].label, get: r => nutritionOf(r)[key]?.value };
+}
+
+// Other names for the same filters
+const SEARCH_ALIASES = {
+  tags: 'tag', category: 'cat', ingredient: 'ing', ingredients: 'ing', note: 'notes',
+  calories: 'cal', kcal: 'cal', minutes: 'time', serves: 'servings', rated: 'rating',
+};
+
+// What `has:` can check for
+const SEARCH_HAS = {
+  notes:     r => !!(r.notes || '').trim(),
+  rating:    r => Object.values(r.ratings || {}).some(v => v != null),
+  source:    r => !!r.source,
+  photo:     r => !!r.thumbnail,
+  nutrition: r => !!nutritionOf(r).calories,
+};
+
+// A term, a filter, or an exclusion: -field<op>value, where value may be "quoted"
+const QUERY_TOKEN_RE = /(-?)(?:([a-z]+(?:\.[a-z]+)?)(<=|>=|<|>|=|:))?(?:"([^"]*)"?|(\S+))?/gi;
+
+/**
+ * The query as { terms: [{ text, phrase, negate }], filters: [{ field, key, op, value, negate }], tokens }.
+ * `tokens` are the raw pieces with their offsets, for autocomplete.
+ */
+function parseSearchQuery(query) {
+  const parsed = { terms: [], filters: [], tokens: [] };
+  for (const m of String(query || '').matchAll(QUERY_TOKEN_RE)) {
+    if (!m[0]) continue;
+    const [raw, minus, name, op, quoted, bare] = m;
+    parsed.tokens.push({ raw, start: m.index, end: m.index + raw.length });
+    const negate = minus === '-';
+    const value  = (quoted ?? bare ?? '').toLowerCase();
+    const filter = name && searchFilter(name.toLowerCase(), op, value, negate);
+    if (filter) {
+      parsed.filters.push(filter);
+    } else if (name && (quoted != null || bare)) {
+      // Not a filter after all ("http://…", "ratio:2") — search it as text
+      parsed.terms.push({ text: raw.slice(minus.length).toLowerCase(), phrase: false, negate });
+    } else if (value) {
+      parsed.terms.push({ text: value, phrase: quoted != null, negate });
+    }
+  }
+  return parsed;
+}
+
+/** A filter for `name op value`, or null if it isn't one we know */
+function searchFilter(name, op, value, negate) {
+  const [base, sub] = name.split('.');
+  const field = SEARCH_ALIASES[base] || base;
+  const def = SEARCH_FIELDS[field];
+  if (!def || !value || (sub && def.kind !== 'rating')) return null;
+  if (def.kind === 'number' || def.kind === 'rating') {
+    const range = value.match(/^(\d*\.?\d+)\.\.(\d*\.?\d+)$/);
+    if (range) return { field, key: sub, op: '..', value: [Number(range[1]), Number(range[2])], negate };
+    if (!/^\d*\.?\d+$/.test(value)) return null;
+    return { field, key: sub, op: op === ':' ? '=' : op, value: Number(value), negate };
+  }
+  if (op !== ':') return null;
+  if (def.kind === 'has') return SEARCH_HAS[value] ? { field, key: sub, op, value, negate } : null;
+  // Folded like the text it's compared with — name:creme finds "Crème Brûlée"
+  return { field, key: sub, op, value: foldText(value), negate };
+}
+
+/** The plain words and phrases being looked for — what to highlight */
+function searchTerms(query) {
+  return parseSearchQuery(query).terms.filter(t => !t.negate).map(t => t.text);
+}
+
+/**
+ * An inverted index of the words in each recipe's searchable fields, so a search
+ * looks words up instead of reading every recipe. RecipeDB keeps one and calls
+ * search() with its current recipes; sync() re-reads only the recipes whose
+ * object changed — add(), update() and remove() replace a recipe's object rather
+ * than editing it — and drops the ones that are gone.
+ *
+ * A term matches the words that share its stem ("tomatoes" → tomato), start with
+ * it, contain it, or are a typo away from it; every word in the index is checked,
+ * which is far fewer than there are recipes times fields.
+ */
+class SearchIndex {
+  constructor() {
+    this._docs  = new Map();   // recipe id → { recipe, text, words: Set }
+    this._words = new Map();   // word → Map of recipe id → the fields it's in
+    this._stems = new Map();   // stem → Set of words
+  }
+
+  get size() {
+    return this._docs.size;
+  }
+
+  /** Bring the index up to date with `recipes` */
+  sync(recipes) {
+    const ids = new Set();
+    for (const recipe of recipes) {
+      ids.add(recipe.id);
+      if (this._docs.get(recipe.id)?.recipe !== recipe) this.add(recipe);
+    }
+    if (this._docs.size > ids.size) {
+      for (const id of [...this._docs.keys()]) if (!ids.has(id)) this.remove(id);
+    }
+  }
+
+  /** Index a recipe, replacing what was indexed for its id */
+  add(recipe) {
+    this.remove(recipe.id);
+    const text  = searchableText(recipe);
+    const words = new Set();
+    for (const [field, texts] of Object.entries(text)) {
+      for (const word of new Set(texts.flatMap(searchTokens))) {
+        if (!this._words.has(word)) {
+          this._words.set(word, new Map());
+          const stem = stemWord(word);
+          if (!this._stems.has(stem)) this._stems.set(stem, new Set());
+          this._stems.get(stem).add(word);
+        }
+        const postings = this._words.get(word);
+        if (!postings.has(recipe.id)) postings.set(recipe.id, []);
+        postings.get(recipe.id).push(field);
+        words.add(word);
+      }
+    }
+    this._docs.set(recipe.id, { recipe, text, words });
+  }
+
+  remove(id) {
+    const doc = this._docs.get(id);
+    if (!doc) return;
+    for (const word of doc.words) {
+      const postings = this._words.get(word);
+      postings.delete(id);
+      if (postings.size) continue;
+      this._words.delete(word);
+      const stem = stemWord(word);
+      this._stems.get(stem).delete(word);
+      if (!this._stems.get(stem).size) this._stems.delete(stem);
+    }
+    this._docs.delete(id);
+  }
+
+  /**
+   * `recipes` (indexed first if need be) that match `query`, best match first.
+   * With no words to rank by, they keep their order.
+   */
+  search(query, recipes) {
+    this.sync(recipes);
+    const parsed = parseSearchQuery(query);
+    if (!parsed.terms.length && !parsed.filters.length) return recipes.slice();
+
+    // Every word has to match somewhere: keep the recipes all of them found
+    let scores = null;
+    const excluded = new Set();
+    for (const term of parsed.terms) {
+      if (term.negate) {
+        this._excluded(term).forEach(id => excluded.add(id));
+        continue;
+      }
+      const hits = this._termScores(term);
+      if (!scores) { scores = hits; continue; }
+      for (const [id, score] of scores) {
+        if (hits.has(id)) scores.set(id, score + hits.get(id));
+        else scores.delete(id);
+      }
+    }
+
+    const ranked = [];
+    recipes.forEach((recipe, i) => {
+      if ((scores && !scores.has(recipe.id)) || excluded.has(recipe.id)) return;
+      if (!parsed.filters.every(f => filterMatches(recipe, f) !== f.negate)) return;
+      ranked.push({ recipe, score: scores ? scores.get(recipe.id) : 0, i });
+    });
+    return ranked.sort((a, b) => b.score - a.score || a.i - b.i).map(r => r.recipe);
+  }
+
+  /** Map of recipe id → weighted score for the recipes one term matches */
+  _termScores(term) {
+    const text   = foldText(term.text);
+    const tokens = searchTokens(text);
+    const scores = new Map();
+    if (!tokens.length) return scores;
+
+    if (term.phrase || tokens.length > 1 || tokens[0] !== text) {
+      // Phrases and words with punctuation ("half-and-half"): the recipes with
+      // every word in them, then the text itself as typed
+      for (const id of this._idsWithAll(tokens)) {
+        let score = 0;
+        for (const [field, texts] of Object.entries(this._docs.get(id).text)) {
+          score += Math.max(0, ...texts.map(t => textMatch(t, text))) * SEARCH_WEIGHTS[field];
+        }
+        if (score) scores.set(id, score);
+      }
+      return scores;
+    }
+
+    // Each field counts its best-matching word once
+    const best = new Map();   // id → { field: level }
+    for (const [word, level] of this._matchingWords(text, true)) {
+      for (const [id, fields] of this._words.get(word)) {
+        if (!best.has(id)) best.set(id, {});
+        const found = best.get(id);
+        for (const field of fields) found[field] = Math.max(found[field] || 0, level);
+      }
+    }
+    for (const [id, found] of best) {
+      scores.set(id, Object.entries(found).reduce((sum, [field, level]) => sum + level * SEARCH_WEIGHTS[field], 0));
+    }
+    return scores;
+  }
+
+  /**
+   * Recipes an exclusion rules out. It matches as typed and from the start of a
+   * word, so "-ham" keeps graham crackers and a typo doesn't hide anything.
+   */
+  _excluded(term) {
+    const text   = foldText(term.text);
+    const tokens = searchTokens(text);
+    if (!tokens.length) return new Set();
+    if (tokens.length === 1 && tokens[0] === text) {
+      const ids = new Set();
+      for (const [word, postings] of this._words) if (word.startsWith(text)) postings.forEach((_, id) => ids.add(id));
+      return ids;
+    }
+    return new Set([...this._idsWithAll(tokens)].filter(id =>
+      Object.values(this._docs.get(id).text).some(texts => texts.some(t => textMatch(t, text) >= MATCH_PREFIX))));
+  }
+
+  /**
+   * Words in the index that `term` matches: Map of word → MATCH_WORD … MATCH_FUZZY.
+   * Typos are only looked for when nothing matches as typed — it's the slow part.
+   */
+  _matchingWords(term, fuzzy) {
+    const found = new Map();
+    for (const word of this._stems.get(stemWord(term)) || []) found.set(word, MATCH_WORD);
+    for (const word of this._words.keys()) {
+      if (found.has(word)) continue;
+      const level = word === term ? MATCH_WORD : word.startsWith(term) ? MATCH_PREFIX : word.includes(term) ? MATCH_INSIDE : 0;
+      if (level) found.set(word, level);
+    }
+    if (!found.size && fuzzy) {
+      for (const word of this._words.keys()) if (isTypo(term, word)) found.set(word, MATCH_FUZZY);
+    }
+    return found;
+  }
+
+  /** The recipes with a word containing each of `tokens` — candidates for a phrase */
+  _idsWithAll(tokens) {
+    let ids = null;
+    for (const token of tokens) {
+      const found = new Set();
+      for (const word of this._matchingWords(token, false).keys()) this._words.get(word).forEach((_, id) => found.add(id));
+      ids = ids ? new Set([...ids].filter(id => found.has(id))) : found;
+    }
+    return ids;
+  }
+}
+
+/** { name: ['…'], tags: […], category: […], ingredients: […], notes: […] }, folded with foldText() */
+function searchableText(recipe) {
+  const fold = list => list.filter(Boolean).map(foldText);
+  return {
+    name:        fold([recipe.name]),
+    tags:        fold(recipe.tags || []),
+    category:    fold(recipeCategories(recipe).flatMap(c => [c, recipeDB.categories[c]?.label])),
+    ingredients: fold(recipe.ingredients || []),
+    notes:       fold([recipe.notes]),
+  };
+}
+
+/** Lowercase without accents — "Jalapeño Crème" → "jalapeno creme" */
+function foldText(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/** The words in folded text */
+function searchTokens(text) {
+  return text.split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * A word cut down to what its other forms share, so "tomatoes", "baked" and
+ * "chopped" find "tomato", "bake" and "chop". Only ever compared with other
+ * stems, so it doesn't need to be a real word ("berri", "cooki").
+ */
+function stemWord(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word
+    .replace(/sses$/, 'ss')
+    .replace(/ies$/, 'i')
+    .replace(/([^su])s$/, '$1');
+  const suffix = w.match(/(?:ed|ing)$/);
+  if (suffix && w.length - suffix[0].length >= 3 && /[aeiouy]/.test(w.slice(0, -suffix[0].length))) {
+    w = w.slice(0, -suffix[0].length).replace(/([^aeiouylsz])\1$/, '$1');
+  }
+  return w.replace(/y$/, 'i').replace(/e$/, '');
+}
+
+/** MATCH_WORD, MATCH_PREFIX or MATCH_INSIDE for how `term` appears in `text` as typed, or 0 */
+function textMatch(text, term) {
+  let at = text.indexOf(term);
+  if (at < 0) return 0;
+  let best = MATCH_INSIDE;
+  for (; at >= 0; at = text.indexOf(term, at + 1)) {
+    const starts = at === 0 || !/[a-z0-9]/.test(text[at - 1]);
+    if (!starts) continue;
+    const ends = !/[a-z0-9]/.test(text[at + term.length] || ' ');
+    best = Math.max(best, ends ? MATCH_WORD : MATCH_PREFIX);
+  }
+  return best;
+}
+
+/** Whether `word` is a typo or two away from `term` — or from its first letters, while it's still being typed */
+function isTypo(term, word) {
+  if (term.length < 4 || /\d/.test(word)) return false;
+  const allowed = term.length >= 8 ? 2 : 1;
+  return editDistance(term, word, allowed) <= allowed ||
+    (word.length > term.length + allowed && editDistance(term, word.slice(0, term.length), allowed) <= allowed);
+}
+
+/**
+ * Edits (insert, delete, substitute, swap two neighbours) from `a` to `b`,
+ * giving up with max + 1 as soon as it's more than `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null, prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/** Whether `recipe` passes one filter, before any `-` is applied */
+function filterMatches(recipe, f) {
+  const def = SEARCH_FIELDS[f.field];
+  switch (def.kind) {
+    case 'text':
+    case 'tag':
+      return def.get(recipe).some(t => foldText(t).includes(f.value));
+    case 'category':
+      return recipeCategories(recipe).some(c =>
+        foldText(c).startsWith(f.value) || foldText(recipeDB.categories[c]?.label || '').includes(f.value));
+    case 'has':
+      return SEARCH_HAS[f.value](recipe);
+    case 'rating':
+      return compareNumber(recipeRating(recipe, f.key), f.op, f.value);
+    default:
+      return compareNumber(def.get(recipe), f.op, f.value);
+  }
+}
+
+function compareNumber(n, op, value) {
+  if (n == null || isNaN(n)) return false;
+  switch (op) {
+    case '<':  return n < value;
+    case '<=': return n <= value;
+    case '>':  return n > value;
+    case '>=': return n >= value;
+    case '..': return n >= value[0] && n <= value[1];
+    default:   return n === value;
+  }
+}
+
+/** One person's rating, or the average of everyone's who rated it */
+function recipeRating(recipe, person) {
+  const ratings = recipe.ratings || {};
+  if (person) return ratings[person] ?? null;
+  const given = RATERS.map(p => ratings[p]).filter(v => v != null);
+  return given.length ? given.reduce((a, b) => a + b, 0) / given.length : null;
+}
+
+/** Total minutes — totalTime, or prep + cook — or null. Saved recipes carry them (`minutes`, schema.js). */
+function recipeMinutes(recipe) {
+  return (recipe.minutes || recipeDurations(recipe)).total;
+}
+
+/**
+ * Autocomplete for the search box: [{ text, label, hint }] for the token the
+ * caret is in. `text` replaces the token; suggestions ending in ':', '.' or '<'
+ * lead on to a value. An empty token gets the syntax hints.
+ */
+function searchSuggestions(query, caret, recipes, limit = 8) {
+  const token = currentSearchToken(query, caret);
+  const raw   = token.raw.toLowerCase();
+  const minus = raw.startsWith('-') ? '-' : '';
+  const body  = raw.slice(minus.length);
+
+  if (!body) {
+    return Object.entries(SEARCH_FIELDS).filter(([, def]) => def.example)
+      .map(([, def]) => ({ text: minus + def.example, label: def.example, hint: def.label }))
+      .concat(minus ? [] : [{ text: '-', label: '-word', hint: 'Leave out' }, { text: '"', label: '"exact phrase"', hint: 'Match as typed' }]);
+  }
+
+  const op = body.match(/^([a-z]+)(?:\.([a-z]*))?(:|<=|>=|<|>|=)?(.*)$/);
+  if (op && op[3]) {
+    const field = SEARCH_ALIASES[op[1]] || op[1];
+    const value = op[4].replace(/^"/, '');
+    const prefix = minus + body.slice(0, body.length - op[4].length);
+    const values = searchFieldValues(field, recipes);
+    if (!values) return [];
+    return values.filter(v => v.value.startsWith(value) && v.value !== value).slice(0, limit)
+      .map(v => ({ text: prefix + (/\s/.test(v.value) ? `"${v.value}"` : v.value), label: v.value, hint: v.hint }));
+  }
+  if (op && op[2] != null) {
+    if ((SEARCH_ALIASES[op[1]] || op[1]) !== 'rating') return [];
+    return RATERS.filter(p => p.startsWith(op[2]) && p !== op[2])
+      .map(p => ({ text: `${minus}${op[1]}.${p}>=`, label: `${op[1]}.${p}`, hint: `${p.charAt(0).toUpperCase()}${p.slice(1)}'s rating` }));
+  }
+  return Object.entries(SEARCH_FIELDS).filter(([name]) => name.startsWith(body) && name !== body).slice(0, limit)
+    .map(([name, def]) => {
+      const lead = def.kind === 'number' ? '<' : def.kind === 'rating' ? '.' : ':';
+      return { text: `${minus}${name}${lead}`, label: `${name}${lead}`, hint: def.label };
+    });
+}
+
+/** The token the caret is in (or right after) — { raw, start, end } */
+function currentSearchToken(query, caret = query.length) {
+  const token = parseSearchQuery(query).tokens.find(t => t.start <= caret && caret <= t.end);
+  return token || { raw: '', start: caret, end: caret };
+}
+
+/** What a filter can be set to, most used first: [{ value, hint }], or null if it's free-form */
+function searchFieldValues(field, recipes) {
+  const count = list => {
+    const n = new Map();
+    list.forEach(v => n.set(v, (n.get(v) || 0) + 1));
+    return [...n].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([value, c]) => ({ value, hint: `${c} recipe${c !== 1 ? 's' : ''}` }));
+  };
+  switch (SEARCH_FIELDS[field]?.kind) {
+    case 'tag':      return count(recipes.flatMap(r => [...new Set((r.tags || []).map(t => t.toLowerCase()))]));
+    case 'category': return count(recipes.flatMap(recipeCategories));
+    case 'has':      return Object.keys(SEARCH_HAS).map(value => ({ value, hint: '' }));
+    default:         return null;
+  }
+}
+
+/** Replace the token the caret is in with `text` — the new query and where the caret goes */
+function applySearchSuggestion(query, caret, text) {
+  const token = currentSearchToken(query, caret);
+  const open  = /[:.<>=\-"]$/.test(text);
+  const after = query.slice(token.end);
+  const sep   = open || after.startsWith(' ') ? '' : ' ';
+  const next  = query.slice(0, token.start) + text + sep + after.replace(/^ /, sep ? '' : ' ');
+  return { query: next, caret: token.start + text.length + sep.length };
+}
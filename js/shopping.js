@@ -0,0 +1,119 @@
+/**
+ * shopping.js — Shopping list builder
+ * Turns the recipes on the shopping list (recipeDB.shoppingList, each with a
+ * servings multiplier) into one list: like ingredients merged across recipes,
+ * their amounts added up, grouped by store aisle.
+ *
+ *   2 cups flour (Pancakes ×2) + 200 g flour (Bread)  →  🥫 Pantry: "4 cups + 200 g flour"
+ *
+ * Amounts add up when their units convert (tbsp + cup, oz + lb); otherwise they
+ * are listed side by side. Lines without an amount ("salt to taste") appear once.
+ */
+
+// In the order the list shows them
+const AISLES = {
+  produce: { label: 'Produce',             emoji: '🥬' },
+  meat:    { label: 'Meat & Seafood',      emoji: '🥩' },
+  dairy:   { label: 'Dairy & Eggs',        emoji: '🧀' },
+  bakery:  { label: 'Bakery',              emoji: '🍞' },
+  frozen:  { label: 'Frozen',              emoji: '🧊' },
+  spices:  { label: 'Spices & Seasonings', emoji: '🧂' },
+  pantry:  { label: 'Pantry',              emoji: '🥫' },
+};
+
+// Checked in order — the first match wins, so "chicken broth" is pantry, not meat
+const AISLE_RULES = [
+  ['produce', /bell peppers?|jalape[nñ]os?|poblanos?|serranos?|chili peppers?|chile peppers?/],
+  ['frozen',  /\bfrozen\b|ice cream/],
+  ['pantry',  /broth|stock|bouillon|canned|paste|sauce|salsa|soup|peanut butter|almond butter|coconut milk|condensed milk|evaporated milk|vinegar|\boils?\b|flour|sugar|baking (?:soda|powder)|yeast|\brice\b|pasta|spaghetti|macaroni|penne|noodles|oats|beans|lentils|chickpeas|honey|syrup|molasses|corn ?starch|bread ?crumbs|panko|nuts|almonds|walnuts|pecans|peanuts|chocolate|cocoa|raisins|mayonnaise|mustard|ketchup|\bsoy\b|tortilla chips|quinoa|couscous/],
+  ['spices',  /\bsalt\b|pepper|cumin|paprika|oregano|thyme|cinnamon|nutmeg|powder|curry|turmeric|bay lea|cayenne|seasoning|spice|vanilla|flakes|coriander|allspice|ground (?:ginger|cloves)|dried (?:basil|parsley|rosemary|dill|sage|herbs)/],
+  ['meat',    /chicken|beef|pork|turkey|lamb|veal|bacon|sausage|\bham\b|steak|chorizo|prosciutto|pancetta|salmon|shrimp|prawns|tuna|\bcod\b|fish|tilapia|halibut|scallops|crab|mince/],
+  ['dairy',   /milk|cream|cheese|butter|yogh?urt|\beggs?\b|parmesan|mozzarella|cheddar|ricotta|feta|half-and-half|ghee/],
+  ['bakery',  /bread|\bbuns?\b|\brolls?\b|tortillas?|pita|bagels?|baguette|naan|croissants?/],
+  ['produce', /onion|garlic|tomato|potato|carrot|celery|lettuce|spinach|kale|cabbage|broccoli|cauliflower|zucchini|squash|cucumber|mushroom|lemon|lime|orange|apple|banana|berries|avocado|cilantro|parsley|basil|mint|dill|rosemary|ginger|scallion|shallot|leek|\bcorn\b|\bpeas\b|green beans|beets?|radish|herbs|fruit|eggplant|asparagus|arugula|sprouts/],
+];
+
+// Sold whole — 1½ cans of tomatoes means buying 2
+const BUY_WHOLE = ['can', 'jar', 'package', 'head', 'bunch'];
+
+// Size and freshness words that don't make a different thing to buy
+const SHOPPING_FILLER = /\b(?:fresh|large|medium|small|whole|ripe|good-quality|organic)\b/g;
+
+/** Aisle id for an ingredient */
+function aisleOf(item, unit) {
+  if (unit === 'can' || unit === 'jar') return 'pantry';
+  const name = String(item || '').toLowerCase();
+  const rule = AISLE_RULES.find(([, re]) => re.test(name));
+  return rule ? rule[0] : 'pantry';
+}
+
+/** What makes two ingredient lines the same thing to buy: "Large Eggs" and "egg" → "egg" */
+function shoppingKey(item) {
+  return String(item || '').toLowerCase()
+    .replace(SHOPPING_FILLER, ' ')
+    .replace(/[^a-z0-9ñé\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/ies$/, 'y')
+    .replace(/oes$/, 'o')
+    .replace(/([^s])s$/, '$1');
+}
+
+/**
+ * @param {Array} entries  [{ recipe, multiplier }]
+ * @param {string} system  'original' | 'metric' | 'us' — converts amounts first (units.js)
+ * @returns {Array} [{ aisle, label, emoji, items: [{ key, name, amount, text, recipes }] }] in AISLES order
+ */
+function buildShoppingList(entries, system = 'original') {
+  const byKey = new Map();
+  for (const { recipe, multiplier } of entries) {
+    const lines  = recipe.ingredients || [];
+    const parsed = recipe.parsedIngredients || parseIngredients(lines);
+    parsed.forEach(p => {
+      if (!p || !p.item) return;
+      const key = shoppingKey(p.item);
+      if (!key) return;
+      const entry = byKey.get(key) || { key, name: p.item, aisle: aisleOf(p.item, p.unit), totals: new Map(), recipes: [] };
+      byKey.set(key, entry);
+      if (!entry.recipes.includes(recipe.name)) entry.recipes.push(recipe.name);
+      if (p.qty === null) return;
+
+      // Buy for the top of a range
+      let qty = (p.qtyMax ?? p.qty) * multiplier, unit = p.unit;
+      if (system !== 'original' && unit && typeof convertAmount === 'function') {
+        const to = convertAmount(qty, unit, p.item, system);
+        if (to) ({ qty, unit } = to);
+      }
+      // Amounts in units of one ladder (tsp/tbsp/cup, …) add up in its smallest unit
+      const ladder = UNIT_LADDERS.find(l => unit in l);
+      const base = ladder ? Object.keys(ladder).find(u => ladder[u] === 1) : unit;
+      const total = entry.totals.get(base) || 0;
+      entry.totals.set(base, total + qty * (ladder ? ladder[unit] : 1));
+    });
+  }
+
+  const groups = Object.entries(AISLES).map(([aisle, info]) => ({ aisle, ...info, items: [] }));
+  for (const entry of byKey.values()) {
+    const amount = [...entry.totals].map(([unit, qty]) => {
+      const fit = fitUnit(BUY_WHOLE.includes(unit) ? Math.ceil(qty - 0.01) : qty, unit);
+      const label = fit.unit ? ` ${unitLabel(fit.unit, roundQuantity(fit.qty, fit.unit) > 1)}` : '';
+      return formatQuantity(fit.qty, fit.unit) + label;
+    }).join(' + ');
+    const item = { key: entry.key, name: entry.name, amount, text: amount ? `${amount} ${entry.name}` : entry.name, recipes: entry.recipes };
+    groups.find(g => g.aisle === entry.aisle).items.push(item);
+  }
+  groups.forEach(g => g.items.sort((a, b) => a.name.localeCompare(b.name)));
+  return groups.filter(g => g.items.length);
+}
+
+/** The list as plain text, for copying into a notes app or texting to whoever's shopping */
+function shoppingListText(groups, entries, checked = {}) {
+  const recipes = entries.map(({ recipe, multiplier }) => `${recipe.name}${multiplier !== 1 ? ` ×${multiplier}` : ''}`);
+  const lines = [`Shopping list — ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}`];
+  if (recipes.length) lines.push(`For: ${recipes.join(', ')}`);
+  groups.forEach(g => {
+    lines.push('', `${g.emoji} ${g.label.toUpperCase()}`);
+    g.items.forEach(i => lines.push(`[${checked[i.key] ? 'x' : ' '}] ${i.text}`));
+  });
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,138 @@
+/**
+ * units.js — Metric / US customary display
+ * Rewrites ingredient amounts and oven temperatures into the unit system the
+ * reader prefers (settings.units: 'original' | 'metric' | 'us'):
+ *
+ *   convertIngredient('1 cup all-purpose flour', 'metric') → '120 g all-purpose flour'
+ *   convertIngredient('2 cups chicken broth', 'metric')    → '475 ml chicken broth'
+ *   convertTemperatures('Bake at 350°F for 20 minutes', 'metric') → 'Bake at 175°C for 20 minutes'
+ *   convertTemperatures('Bake at 350 F for 20 minutes', 'metric') → 'Bake at 175°C for 20 minutes'
+ *
+ * Cups of dry ingredients become grams through INGREDIENT_DENSITIES; anything
+ * not in the table converts volume to volume. Teaspoons and tablespoons are
+ * left alone — metric recipes use the same spoons. Builds on parseIngredient(),
+ * fitUnit() and rewriteAmount() from ingredients.js.
+ */
+
+const UNIT_SYSTEMS = {
+  original: 'As written',
+  metric:   'Metric',
+  us:       'US customary',
+};
+
+// Millilitres and grams per unit
+const VOLUME_ML = { tsp: 4.929, tbsp: 14.787, 'fl oz': 29.574, cup: 236.588, pint: 473.176, quart: 946.353, gallon: 3785.41, ml: 1, l: 1000 };
+const WEIGHT_G  = { oz: 28.3495, lb: 453.592, mg: 0.001, g: 1, kg: 1000 };
+const METRIC_UNITS = ['ml', 'l', 'mg', 'g', 'kg'];
+const SPOON_UNITS  = ['tsp', 'tbsp'];
+
+// Grams per US cup, most specific first — the first pattern that matches the item wins
+const INGREDIENT_DENSITIES = [
+  [/almond (?:flour|meal)/,                     96],
+  [/coconut flour/,                             112],
+  [/bread flour/,                               127],
+  [/cake flour|pastry flour/,                   114],
+  [/whole wheat flour|wholemeal flour/,         120],
+  [/\bflour\b/,                                 120],
+  [/corn ?starch|cornflour/,                    128],
+  [/corn ?meal|polenta/,                        138],
+  [/brown sugar/,                               213],
+  [/powdered sugar|icing sugar|confectioners/,  120],
+  [/\bsugar\b/,                                 200],
+  [/cocoa/,                                     85],
+  [/chocolate chips/,                           170],
+  [/peanut butter|almond butter/,               258],
+  [/\bbutter\b/,                                227],
+  [/honey/,                                     340],
+  [/maple syrup/,                               312],
+  [/molasses/,                                  337],
+  [/\boats\b|oatmeal/,                          90],
+  [/quinoa/,                                    170],
+  [/\brice\b/,                                  185],
+  [/panko/,                                     50],
+  [/bread ?crumbs/,                             108],
+  [/parmesan|pecorino/,                         100],
+  [/cheddar|mozzarella|shredded cheese|monterey jack/, 113],
+  [/cream cheese/,                              232],
+  [/sour cream/,                                230],
+  [/yogu?h?rt/,                                 245],
+  [/walnuts|pecans/,                            120],
+  [/almonds/,                                   143],
+  [/raisins/,                                   145],
+  [/shredded coconut|coconut flakes/,           85],
+];
+
+/** Grams per cup for an ingredient, or null when it isn't in the table */
+function densityOf(item) {
+  const name = String(item || '').toLowerCase();
+  const hit = INGREDIENT_DENSITIES.find(([re]) => re.test(name));
+  return hit ? hit[1] : null;
+}
+
+/**
+ * Rewrite an ingredient line in `system` ('metric' or 'us'). Lines that are already
+ * in that system, have no amount, or use units that don't convert (cloves, cans)
+ * come back unchanged.
+ */
+function convertIngredient(text, system) {
+  const parsed = parseIngredient(text);
+  if (!parsed || parsed.qty === null || !parsed.unit) return text;
+  const to = convertAmount(parsed.qty, parsed.unit, parsed.item, system);
+  if (!to) return text;
+  const qtyMax = parsed.qtyMax !== null ? parsed.qtyMax * to.qty / parsed.qty : null;
+  return rewriteAmount(text, parsed, { ...to, qtyMax });
+}
+
+// A converted amount is only ever about right, so it may round further to reach a
+// bigger unit than a scaled one: 250 ml is "1 cup", not "17 tbsp"
+const CONVERT_TOLERANCE = 0.15;
+
+/** An amount in `system` → { qty, unit } (via fitUnit), or null when there's nothing to do */
+function convertAmount(qty, unit, item, system) {
+  const metric = METRIC_UNITS.includes(unit);
+  const density = densityOf(item);
+
+  if (system === 'metric' && !metric) {
+    if (unit in WEIGHT_G) return fitUnit(qty * WEIGHT_G[unit], 'g', CONVERT_TOLERANCE);
+    if (unit in VOLUME_ML && !SPOON_UNITS.includes(unit)) {
+      const ml = qty * VOLUME_ML[unit];
+      return density ? fitUnit(ml / VOLUME_ML.cup * density, 'g', CONVERT_TOLERANCE) : fitUnit(ml, 'ml', CONVERT_TOLERANCE);
+    }
+  }
+  if (system === 'us' && metric && unit !== 'mg') {
+    if (unit in VOLUME_ML) return fitUnit(qty * VOLUME_ML[unit] / VOLUME_ML.tsp, 'tsp', CONVERT_TOLERANCE);
+    const g = qty * WEIGHT_G[unit];
+    // Flour and sugar go by the cup in a US kitchen; meat and cheese by the ounce
+    return density ? fitUnit(g / density * 48, 'tsp', CONVERT_TOLERANCE) : fitUnit(g / WEIGHT_G.oz, 'oz', CONVERT_TOLERANCE);
+  }
+  return null;
+}
+
+// "350°F", "180 °C", "350 degrees F", "200 degrees Celsius", "425F", "180C", "350 F".
+// A bare letter only counts in capitals, and C only right after the number:
+// "16 c broth" and "12 C of rice" are cups.
+const TEMPERATURE_RE = /(\d{2,3})(\s*[°º˚]\s*|\s*[Dd]egrees?\s+|(?=[FC]\b)|\s+(?=F\b))([Ff]ahrenheit|[Cc]elsius|[FfCc])\b/g;
+
+/**
+ * Rewrite oven temperatures in step text for `system`. Steps that already give the
+ * temperature both ways ("350°F (175°C)") are left alone. `mark(converted, original)`
+ * can wrap each rewritten temperature, e.g. in a span that shows the original on hover.
+ */
+function convertTemperatures(text, system, mark = converted => converted) {
+  if (system !== 'metric' && system !== 'us') return text;
+  const target = system === 'metric' ? 'C' : 'F';
+  const scale = s => s[0].toUpperCase();
+  const temps = [...String(text).matchAll(TEMPERATURE_RE)];
+  if (!temps.length || temps.some(m => scale(m[3]) === target)) return text;
+
+  return String(text).replace(TEMPERATURE_RE, (original, degrees) =>
+    mark(`${convertDegrees(Number(degrees), target)}°${target}`, original)
+  );
+}
+
+/** °F ↔ °C, rounded the way oven dials are marked */
+function convertDegrees(degrees, target) {
+  if (target === 'C') return Math.round((degrees - 32) * 5 / 9 / 5) * 5;
+  const f = degrees * 9 / 5 + 32;
+  return f >= 250 ? Math.round(f / 25) * 25 : Math.round(f / 5) * 5;
+}
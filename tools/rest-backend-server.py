@@ -0,0 +1,169 @@
+"""
+rest-backend-server.py — Minimal file server for the REST storage backend
+
+Speaks the protocol RestBackend in js/backends.js expects, storing files under
+a local folder. Handy for self-hosting on a home server or for testing the
+"My own server" option in Settings without touching the live GitHub data.
+
+Usage:  python tools/rest-backend-server.py [--port 8787] [--root ./rest-data] [--token SECRET]
+Then in Settings → Storage pick "My own server" and use http://localhost:8787
+
+  GET    /<path>    → file body, ETag = version · 404 if missing
+  GET    /<dir>/    → [{ "name", "version" }] · 404 if missing
+  PUT    /<path>    → { "version" } · honours If-Match / If-None-Match: * (412 on mismatch)
+  DELETE /<path>    → 204 · honours If-Match (412 on mismatch)
+"""
+
+import argparse
+import hashlib
+import json
+import os
+import tempfile
+import threading
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+
+
+def etag(data):
+    return '"' + hashlib.sha1(data).hexdigest() + '"'
+
+
+class Handler(BaseHTTPRequestHandler):
+    root = '.'
+    token = ''
+    # Requests run on their own threads: the If-Match check and the write it
+    # guards must happen as one step, or two PUTs with the same ETag both win
+    write_lock = threading.Lock()
+
+    # ── Helpers ──────────────────────────────────────────────
+    def _path(self):
+        rel = self.path.split('?', 1)[0].lstrip('/')
+        root = os.path.realpath(self.root)
+        full = os.path.realpath(os.path.join(root, rel))
+        # Not a prefix check: <root>2/… starts with <root> but is outside it
+        if os.path.commonpath([full, root]) != root:
+            return None
+        return full
+
+    def _send(self, status, body=b'', content_type='application/json', headers=None):
+        self.send_response(status)
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Expose-Headers', 'ETag')
+        for k, v in (headers or {}).items():
+            self.send_header(k, v)
+        if body:
+            self.send_header('Content-Type', content_type)
+        self.send_header('Content-Length', str(len(body)))
+        self.end_headers()
+        if body and self.command != 'HEAD':
+            self.wfile.write(body)
+
+    def _authorized(self):
+        if not self.token:
+            return True
+        if self.headers.get('Authorization') == 'Bearer ' + self.token:
+            return True
+        self._send(401, b'{"error":"unauthorized"}')
+        return False
+
+    def _current(self, full):
+        if not os.path.isfile(full):
+            return None
+        with open(full, 'rb') as f:
+            return etag(f.read())
+
+    def _precondition_ok(self, full):
+        cur = self._current(full)
+        if self.headers.get('If-None-Match') == '*' and cur is not None:
+            return False
+        match = self.headers.get('If-Match')
+        return match is None or match == cur
+
+    # ── Methods ──────────────────────────────────────────────
+    def do_OPTIONS(self):
+        self._send(204, headers={
+            'Access-Control-Allow-Methods': 'GET, HEAD, PUT, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+        })
+
+    def do_GET(self):
+        if not self._authorized():
+            return
+        full = self._path()
+        if full is None:
+            return self._send(400, b'{"error":"bad path"}')
+        if self.path.split('?', 1)[0].endswith('/'):
+            if not os.path.isdir(full):
+                return self._send(404, b'{"error":"not found"}')
+            # Dot files are PUTs still being written
+            files = sorted(n for n in os.listdir(full)
+                           if not n.startswith('.') and os.path.isfile(os.path.join(full, n)))
+            listing = [{'name': n, 'version': self._current(os.path.join(full, n))} for n in files]
+            return self._send(200, json.dumps(listing).encode())
+        if not os.path.isfile(full):
+            return self._send(404, b'{"error":"not found"}')
+        with open(full, 'rb') as f:
+            data = f.read()
+        ctype = 'text/html' if full.endswith('.html') else 'application/json'
+        self._send(200, data, ctype, {'ETag': etag(data)})
+
+    do_HEAD = do_GET
+
+    def do_PUT(self):
+        if not self._authorized():
+            return
+        full = self._path()
+        if full is None:
+            return self._send(400, b'{"error":"bad path"}')
+        data = self.rfile.read(int(self.headers.get('Content-Length') or 0))
+        if full == os.path.realpath(self.root) or os.path.isdir(full) or self.path.split('?', 1)[0].endswith('/'):
+            return self._send(400, b'{"error":"not a file path"}')
+        with self.write_lock:
+            if not self._precondition_ok(full):
+                return self._send(412, b'{"error":"version mismatch"}')
+            folder = os.path.dirname(full)
+            os.makedirs(folder, exist_ok=True)
+            # Write it next to the old one and swap it in, so a GET (which doesn't
+            # take the lock) or a crash never sees a half-written file
+            fd, tmp = tempfile.mkstemp(dir=folder, prefix='.', suffix='.tmp')
+            try:
+                with os.fdopen(fd, 'wb') as f:
+                    f.write(data)
+                os.chmod(tmp, 0o644)   # mkstemp makes it owner-only
+                os.replace(tmp, full)
+            except BaseException:
+                os.remove(tmp)
+                raise
+        version = etag(data)
+        self._send(200, json.dumps({'version': version}).encode(), headers={'ETag': version})
+
+    def do_DELETE(self):
+        if not self._authorized():
+            return
+        full = self._path()
+        if full is None:
+            return self._send(400, b'{"error":"bad path"}')
+        with self.write_lock:
+            if not os.path.isfile(full):
+                return self._send(404, b'{"error":"not found"}')
+            if not self._precondition_ok(full):
+                return self._send(412, b'{"error":"version mismatch"}')
+            os.remove(full)
+        self._send(204)
+
+
+def main():
+    ap = argparse.ArgumentParser(description='REST storage backend for the recipe tracker')
+    ap.add_argument('--port', type=int, default=8787)
+    ap.add_argument('--root', default='rest-data')
+    ap.add_argument('--token', default='')
+    args = ap.parse_args()
+
+    Handler.root = os.path.abspath(args.root)
+    Handler.token = args.token
+    os.makedirs(Handler.root, exist_ok=True)
+    print(f'Serving {Handler.root} on http://localhost:{args.port}')
+    ThreadingHTTPServer(('', args.port), Handler).serve_forever()
+
+
+if __name__ == '__main__':
+    main()